@@ -0,0 +1,166 @@
+// scripts/build-search-manifest.js
+// Writes src/data/search-manifest.json: one small entry per record the
+// timeline would show, so search, tag counts and shared links work before
+// a civilization's dataset chunk has loaded. It is bundled with the app, so
+// it only carries what search (title and the author:/lang:/loc:/tag:
+// prefixes), the filters and tag counts need: descriptions, categories and
+// dates as written are left out until the rows load, folder / kind / index
+// come from the id, and the symbolic system from the tags.
+//
+// CLI:         npm run build:manifest
+// Vite plugin: searchManifestPlugin() in vite.config.js (rebuilds on start
+//              and whenever a dataset file changes)
+
+import { existsSync, readFileSync, readdirSync, writeFileSync } from "node:fs";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { TEXT_TAG_FIELDS, FATHER_TAG_FIELDS } from "../src/utils/tagGroups.js";
+import { parseRelations } from "../src/utils/relations.js";
+import { splitRecordId } from "../src/utils/viewState.js";
+import {
+  nullCellsToNA,
+  getTextDate,
+  getDatavizNumber,
+  textRecordId,
+  fatherRecordId,
+  textDateRange,
+  fatherDateRange,
+  recordTags,
+  packTags,
+} from "../src/utils/datasetRecords.js";
+import { bandExtents } from "./validate-data.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const DATA_DIR = join(ROOT, "src", "data");
+export const MANIFEST_FILE = join(DATA_DIR, "search-manifest.json");
+
+/* ===== Small utils ===== */
+const readJson = (file) => JSON.parse(readFileSync(file, "utf8"));
+const str = (v) => String(v ?? "").trim();
+
+// drop empty fields and "-" placeholders, pack the tags
+function compact(entry) {
+  const out = {};
+  for (const [k, v] of Object.entries(entry)) {
+    if (v === "" || v === "-" || v == null || v === false) continue;
+    if (k === "tags") out.tags = packTags(v);
+    else if (k === "span") {
+      // [earliest, latest], left out when it is just `when`
+      if (v.earliest !== entry.when || v.latest !== entry.when) out.span = [v.earliest, v.latest];
+    }
+    else if (k === "rel") {
+      if (v.length) out.rel = v;
+    } else if (k === "folder" || k === "kind") {
+      if (!splitRecordId(entry.id)) out[k] = v; // ids without an Index
+    } else out[k] = v === true ? 1 : v;
+  }
+  return out;
+}
+
+const isYes = (v) => ["yes", "y", "true", "1"].includes(str(v).toLowerCase());
+const isHistoric = (v) => str(v).toLowerCase().split(",").map((s) => s.trim()).includes("historic");
+
+/* ===== Entries (mirror the Timeline row builders) ===== */
+function textEntry(ds, t, when) {
+  return compact({
+    id: textRecordId(ds, t, when),
+    kind: "text",
+    folder: ds.folder,
+    when,
+    title: str(t["Name"]),
+    author: str(t["Author"]),
+    span: textDateRange(t, when),
+    language: str(t["Original Language"]),
+    location: str(t["Original Geographical Location"]),
+    tags: recordTags(t, TEXT_TAG_FIELDS),
+    rel: parseRelations(t["relations"]).map((r) => r.targetId),
+  });
+}
+
+function fatherEntry(ds, f, when) {
+  return compact({
+    id: fatherRecordId(ds, f, when),
+    kind: "father",
+    folder: ds.folder,
+    when,
+    title: str(f["Name"]),
+    span: fatherDateRange(f, when),
+    historic: isHistoric(f["Historic-Mythic Status Tags"]),
+    founding: isYes(f["Founding Figure?"]),
+    location: str(f["Location"]),
+    tags: recordTags(f, FATHER_TAG_FIELDS),
+    rel: parseRelations(f["relations"]).map((r) => r.targetId),
+  });
+}
+
+/* ===== Entry point ===== */
+/**
+ * Build the manifest entries from the data folder.
+ * @returns {Array<object>} in folder order, texts before fathers, file order within
+ */
+export function buildSearchManifest({ dataDir = DATA_DIR } = {}) {
+  const bands = bandExtents(readJson(join(dataDir, "durations.json")));
+  const entries = [];
+
+  const folders = readdirSync(dataDir, { withFileTypes: true })
+    .filter((d) => d.isDirectory())
+    .map((d) => d.name)
+    .sort();
+
+  for (const folder of folders) {
+    const ds = { folder, durationId: `${folder}-composite` };
+    const band = bands.get(ds.durationId);
+    if (!band) continue; // the timeline has nowhere to draw these rows
+
+    const files = readdirSync(join(dataDir, folder)).sort();
+    for (const [suffix, dateOf, entryOf] of [
+      ["_texts.json", getTextDate, textEntry],
+      ["_fathers.json", getDatavizNumber, fatherEntry],
+    ]) {
+      for (const name of files.filter((n) => n.endsWith(suffix))) {
+        const rows = readJson(join(dataDir, folder, name));
+        for (const raw of Array.isArray(rows) ? rows : []) {
+          const row = nullCellsToNA(raw);
+          const when = dateOf(row);
+          if (!Number.isFinite(when) || when < band.min || when > band.max) continue;
+          entries.push(entryOf(ds, row, when));
+        }
+      }
+    }
+  }
+  return entries;
+}
+
+// one entry per line keeps diffs readable
+const serialize = (entries) => `[\n${entries.map((e) => JSON.stringify(e)).join(",\n")}\n]\n`;
+
+/** Write the manifest if it changed; returns the entry count and whether it was written. */
+export function writeSearchManifest({ dataDir = DATA_DIR, file = MANIFEST_FILE } = {}) {
+  const entries = buildSearchManifest({ dataDir });
+  const next = serialize(entries);
+  const changed = !existsSync(file) || readFileSync(file, "utf8") !== next;
+  if (changed) writeFileSync(file, next);
+  return { count: entries.length, changed };
+}
+
+/* ===== Vite plugin ===== */
+export function searchManifestPlugin({ dataDir = DATA_DIR } = {}) {
+  const isDataset = (file) =>
+    file.startsWith(dataDir) && /(_texts|_fathers)\.json$|[\\/]durations\.json$/.test(file);
+  return {
+    name: "search-manifest",
+    buildStart() {
+      writeSearchManifest({ dataDir });
+    },
+    handleHotUpdate({ file }) {
+      // rewriting the manifest triggers its own HMR update
+      if (isDataset(file)) writeSearchManifest({ dataDir });
+    },
+  };
+}
+
+/* ===== CLI ===== */
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const { count, changed } = writeSearchManifest();
+  console.log(`${count} record(s); search-manifest.json ${changed ? "written" : "unchanged"}`);
+}
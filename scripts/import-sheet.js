@@ -0,0 +1,301 @@
+// scripts/import-sheet.js
+// Turns a spreadsheet export (CSV / TSV, e.g. "Download as CSV" from the
+// working sheet or an XLSX saved as CSV) into the dataset JSON the timeline
+// loads, so nobody has to hand-edit the big *_texts.json / *_fathers.json.
+//
+//   npm run import:sheet -- <folder> <sheet.csv> [--kind texts|fathers|events|rulers] [--write]
+//
+// - header spellings are mapped onto the canonical column names
+// - every cell is trimmed; "-" (and "—") become explicit nulls
+// - numbers stay numbers where the current JSON stores them as numbers
+// - without --write it only prints a diff against the current JSON
+
+import { existsSync, readFileSync, readdirSync, writeFileSync } from "node:fs";
+import { basename, dirname, extname, join, relative } from "node:path";
+import { fileURLToPath } from "node:url";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const DATA_DIR = join(ROOT, "src", "data");
+
+/* ===== Canonical columns (order = order written to JSON) ===== */
+const COLUMNS = {
+  texts: [
+    "Index", "Name", "Approx. Date", "Dataviz date", "Metaphysical Tags", "Arts and Sciences Tags",
+    "Access Level", "Short Description", "Jungian Archetypes Tags", "Neumann Stages Tags",
+    "Original Geographical Location", "Current Geographical Location", "Original Language", "Name.1",
+    "Civlizational code?", "Author", "Comtean framework", "Category", "Socio-political Tags",
+    "Literary Forms Tags", "Literary Themes Tags", "Symbolic System Tags", "Y-pos", "relations",
+  ],
+  fathers: [
+    "Index", "Name", "D.O.B", "D.O.D", "Dataviz", "Location", "Symbolic System Tags", "Duration",
+    "Description", "Historic-Mythic Status Tags", "Founding Figure?", "Name.1",
+    "Jungian Archetypes Tags", "Neumann Stages Tags", "Category", "Y-pos", "relations",
+  ],
+  events: [
+    "Index", "Name", "Approx. Date", "Dataviz date", "Bands", "Location", "Event Type Tags", "Description",
+  ],
+  rulers: ["Index", "Name", "Title", "Dynasty", "Reign", "Start", "End", "Band", "Note"],
+};
+
+// Known variants seen in exports, keyed by headerKey() of the variant
+const ALIASES = {
+  texts: {
+    civilizationalcode: "Civlizational code?",
+    literarycontenttags: "Literary Themes Tags",
+    literarythemes: "Literary Themes Tags",
+    datavizcolumn: "Dataviz date",
+    dataviz: "Dataviz date",
+    comteanframeworktags: "Comtean framework",
+  },
+  fathers: {
+    datavizdate: "Dataviz",
+    datavizcolumn: "Dataviz",
+    symbolicsystem: "Symbolic System Tags",
+    dateofbirth: "D.O.B",
+    dateofdeath: "D.O.D",
+    foundingfigure: "Founding Figure?",
+    historicmythicstatus: "Historic-Mythic Status Tags",
+  },
+  events: {
+    datavizcolumn: "Dataviz date",
+    dataviz: "Dataviz date",
+    date: "Approx. Date",
+    band: "Bands",
+    eventtype: "Event Type Tags",
+    eventtypes: "Event Type Tags",
+  },
+  rulers: {
+    reignstart: "Start",
+    reignend: "End",
+    from: "Start",
+    to: "End",
+    dates: "Reign",
+    dynastyname: "Dynasty",
+  },
+};
+
+const NULL_CELLS = new Set(["-", "—", "–"]);
+
+// Case/punctuation-insensitive header key: "Dataviz Date " -> "datavizdate"
+const headerKey = (s) => String(s || "").toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/* ===== CSV / TSV parsing (RFC 4180 quoting) ===== */
+function detectDelimiter(file, text) {
+  if (extname(file).toLowerCase() === ".tsv") return "\t";
+  const firstLine = text.slice(0, text.indexOf("\n") >>> 0);
+  const counts = ["\t", ",", ";"].map((d) => [d, firstLine.split(d).length - 1]);
+  counts.sort((a, b) => b[1] - a[1]);
+  return counts[0][1] > 0 ? counts[0][0] : ",";
+}
+
+export function parseDelimited(text, delimiter) {
+  const rows = [];
+  let row = [], cell = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') { cell += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cell += ch;
+      continue;
+    }
+    if (ch === '"' && cell === "") quoted = true;
+    else if (ch === delimiter) { row.push(cell); cell = ""; }
+    else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell); rows.push(row);
+      row = []; cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) { row.push(cell); rows.push(row); }
+  return rows;
+}
+
+/* ===== Header + cell normalization ===== */
+function mapHeaders(rawHeaders, kind) {
+  const canonByKey = new Map(COLUMNS[kind].map((c) => [headerKey(c), c]));
+  const aliases = ALIASES[kind];
+  const used = new Set();
+  const unknown = [];
+
+  const mapped = rawHeaders.map((raw) => {
+    const key = headerKey(raw);
+    if (!key) return null;
+    let name = canonByKey.get(key) || aliases[key] || null;
+    // A sheet with two "Name" columns exports the second one as "Name.1"
+    if (name && used.has(name) && canonByKey.has(`${key}1`)) name = canonByKey.get(`${key}1`);
+    if (!name) {
+      unknown.push(String(raw).trim());
+      name = String(raw).trim();
+    }
+    if (used.has(name)) {
+      unknown.push(`${String(raw).trim()} (duplicate)`);
+      return null;
+    }
+    used.add(name);
+    return name;
+  });
+  return { mapped, unknown };
+}
+
+function normalizeCell(v) {
+  const s = String(v ?? "").replace(/\u00A0/g, " ").trim();
+  return NULL_CELLS.has(s) ? null : s;
+}
+
+export function sheetToRecords(text, file, kind) {
+  const rows = parseDelimited(text.replace(/^\uFEFF/, ""), detectDelimiter(file, text));
+  if (!rows.length) return { records: [], unknown: [] };
+
+  const { mapped, unknown } = mapHeaders(rows[0], kind);
+  const order = [...COLUMNS[kind], ...mapped.filter((h) => h && !COLUMNS[kind].includes(h))];
+
+  const records = [];
+  for (const cells of rows.slice(1)) {
+    if (cells.every((c) => String(c).trim() === "")) continue; // blank spreadsheet row
+    const byName = {};
+    mapped.forEach((name, i) => {
+      if (name) byName[name] = normalizeCell(cells[i]);
+    });
+    const rec = {};
+    for (const col of order) if (col in byName) rec[col] = byName[col];
+    records.push(rec);
+  }
+  return { records, unknown };
+}
+
+/* ===== Cell types ===== */
+// Sheets only hold text. A column keeps the type the current JSON uses for
+// it (first non-null value, header spelling ignored), so re-importing does
+// not turn every Index into a string; columns the file does not have yet
+// follow NUMERIC_COLUMNS.
+const NUMERIC_COLUMNS = new Set(["Index", "Dataviz date", "Dataviz", "Start", "End"]);
+const NUMBER_RE = /^-?\d+(\.\d+)?$/;
+
+export function matchCellTypes(records, before) {
+  const numeric = new Map();
+  for (const r of before) {
+    for (const [col, v] of Object.entries(r || {})) {
+      const key = headerKey(col);
+      if (v != null && !numeric.has(key)) numeric.set(key, typeof v === "number");
+    }
+  }
+  const isNumeric = (col) => numeric.get(headerKey(col)) ?? NUMERIC_COLUMNS.has(col);
+  return records.map((rec) => {
+    const out = {};
+    for (const [col, v] of Object.entries(rec)) {
+      out[col] = typeof v === "string" && NUMBER_RE.test(v) && isNumeric(col) ? Number(v) : v;
+    }
+    return out;
+  });
+}
+
+/* ===== Diff against the current JSON ===== */
+const cmpValue = (v) => {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return NULL_CELLS.has(s) ? null : s;
+};
+const indexOf = (r) => {
+  const k = Object.keys(r || {}).find((key) => key.trim().toLowerCase() === "index");
+  return k ? cmpValue(r[k]) : null;
+};
+const short = (v) => {
+  const s = v == null ? "null" : JSON.stringify(v);
+  return s.length > 70 ? `${s.slice(0, 67)}…"` : s;
+};
+
+export function diffRecords(before, after) {
+  const lines = [];
+  const keyOf = (r, i) => indexOf(r) ?? `#${i + 1}`;
+  const oldByKey = new Map(before.map((r, i) => [keyOf(r, i), r]));
+  const newByKey = new Map(after.map((r, i) => [keyOf(r, i), r]));
+
+  for (const [key, rec] of newByKey) {
+    const old = oldByKey.get(key);
+    if (!old) {
+      lines.push(`+ [${key}] ${rec.Name ?? ""}`);
+      continue;
+    }
+    const fields = new Set([...Object.keys(old), ...Object.keys(rec)]);
+    for (const f of fields) {
+      if (f.trim().toLowerCase() === "index") continue;
+      const a = cmpValue(old[f]);
+      const b = cmpValue(rec[f]);
+      if (a !== b) lines.push(`~ [${key}] ${rec.Name ?? old.Name ?? ""}: ${f}: ${short(a)} → ${short(b)}`);
+    }
+  }
+  for (const [key, rec] of oldByKey) {
+    if (!newByKey.has(key)) lines.push(`- [${key}] ${rec.Name ?? ""}`);
+  }
+  return lines;
+}
+
+/* ===== Target file resolution ===== */
+// Reuse the folder's existing file name (some are historical, e.g.
+// levantine/west-semitic_texts.json); otherwise <folder>_<kind>.json.
+function targetFile(folder, kind) {
+  const dir = join(DATA_DIR, folder);
+  const existing = existsSync(dir)
+    ? readdirSync(dir).filter((n) => n.endsWith(`_${kind}.json`))
+    : [];
+  if (existing.length > 1) {
+    throw new Error(`${relative(ROOT, dir)} has several *_${kind}.json files: ${existing.join(", ")}`);
+  }
+  return join(dir, existing[0] || `${folder}_${kind}.json`);
+}
+
+/* ===== CLI ===== */
+function usage(msg) {
+  if (msg) console.error(`error: ${msg}\n`);
+  console.error("usage: npm run import:sheet -- <folder> <sheet.csv|.tsv> [--kind texts|fathers|events|rulers] [--write]");
+  process.exit(2);
+}
+
+function main(argv) {
+  const positional = [];
+  let kind = null, write = false;
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === "--write") write = true;
+    else if (a === "--kind") kind = argv[++i];
+    else if (a.startsWith("--kind=")) kind = a.slice("--kind=".length);
+    else if (a.startsWith("--")) usage(`unknown option ${a}`);
+    else positional.push(a);
+  }
+  const [folder, sheet] = positional;
+  if (!folder || !sheet) usage();
+  if (!existsSync(sheet)) usage(`no such file: ${sheet}`);
+
+  if (!kind) {
+    const name = basename(sheet);
+    kind = /father/i.test(name) ? "fathers"
+      : /event/i.test(name) ? "events"
+      : /ruler|reign/i.test(name) ? "rulers"
+      : "texts";
+  }
+  if (!COLUMNS[kind]) usage(`unknown --kind "${kind}"`);
+
+  const sheetRows = sheetToRecords(readFileSync(sheet, "utf8"), sheet, kind);
+  const { unknown } = sheetRows;
+  if (unknown.length) console.warn(`warning: unrecognized column(s) kept as-is: ${unknown.join(", ")}`);
+
+  const out = targetFile(folder, kind);
+  const before = existsSync(out) ? JSON.parse(readFileSync(out, "utf8")) : [];
+  const records = matchCellTypes(sheetRows.records, before);
+  const diff = diffRecords(before, records);
+
+  console.log(`${relative(ROOT, out)}: ${records.length} ${kind} (was ${before.length})`);
+  console.log(diff.length ? diff.join("\n") : "no changes");
+
+  if (write) {
+    writeFileSync(out, JSON.stringify(records, null, 2));
+    console.log(`\nwrote ${relative(ROOT, out)}; run \`npm run validate:data\` to check it`);
+  } else if (diff.length) {
+    console.log("\n(dry run; pass --write to update the file)");
+  }
+}
+
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  main(process.argv.slice(2));
+}
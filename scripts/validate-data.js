@@ -0,0 +1,319 @@
+// scripts/validate-data.js
+// Validates every src/data/**/*_texts.json, *_fathers.json, *_events.json,
+// *_rulers.json and durations.json
+// against the JSON schemas in scripts/schemas/ plus the rules the timeline
+// applies when it loads them (rows it would silently drop, tags it would
+// filter out, dates it would clamp away, index keys it cannot rely on).
+//
+// CLI:         npm run validate:data
+// Vite plugin: validateDataPlugin() in vite.config.js (fails `vite build`)
+
+import { readFileSync, readdirSync, statSync } from "node:fs";
+import { dirname, join, relative, sep } from "node:path";
+import { fileURLToPath } from "node:url";
+import Ajv from "ajv";
+import { TAG_GROUPS, TEXT_TAG_FIELDS, FATHER_TAG_FIELDS, EVENT_TAG_FIELDS } from "../src/utils/tagGroups.js";
+import { makeRecordId } from "../src/utils/viewState.js";
+import { RELATION_TYPES, parseRelations } from "../src/utils/relations.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const DATA_DIR = join(ROOT, "src", "data");
+const SCHEMA_DIR = join(ROOT, "scripts", "schemas");
+
+const INDEX_KEY = "Index"; // canonical spelling; "index" still loads but is flagged
+
+/* ===== Small utils ===== */
+const readJson = (file) => JSON.parse(readFileSync(file, "utf8"));
+
+function listJsonFiles(dir) {
+  const out = [];
+  for (const name of readdirSync(dir)) {
+    const p = join(dir, name);
+    if (statSync(p).isDirectory()) out.push(...listJsonFiles(p));
+    else if (name.endsWith(".json")) out.push(p);
+  }
+  return out.sort();
+}
+
+// 1-based source line of each top-level array element, so issues can point
+// editors at the right place in a 2,000-line file.
+function rowLineNumbers(source) {
+  const lines = [];
+  let line = 1, depth = 0, inString = false, escaped = false;
+  for (const ch of source) {
+    if (ch === "\n") line++;
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (ch === "\\") escaped = true;
+      else if (ch === '"') inString = false;
+      continue;
+    }
+    if (ch === '"') inString = true;
+    else if (ch === "{" || ch === "[") {
+      if (depth === 1) lines.push(line);
+      depth++;
+    } else if (ch === "}" || ch === "]") depth--;
+  }
+  return lines;
+}
+
+const isBlank = (v) => v == null || String(v).trim() === "";
+const isNA = (v) => String(v ?? "").trim() === "-";
+
+function firstField(row, keys) {
+  for (const k of keys) {
+    if (!isBlank(row[k])) return { key: k, value: row[k] };
+  }
+  return { key: keys[0], value: row[keys[0]] };
+}
+
+/* ===== Band extents (mirrors Timeline outlines) ===== */
+export function bandExtents(durations) {
+  const out = new Map();
+  for (const d of Array.isArray(durations) ? durations : []) {
+    if (!d || !d.id) continue;
+    const segs = Array.isArray(d.segments) ? d.segments : [];
+    const starts = segs.length ? segs.map((s) => s.start) : [d.start];
+    const ends = segs.length ? segs.map((s) => s.end) : [d.end];
+    const min = Math.min(...starts, ...ends);
+    const max = Math.max(...starts, ...ends);
+    if (Number.isFinite(min) && Number.isFinite(max)) out.set(d.id, { min, max });
+  }
+  return out;
+}
+
+const canonByGroup = new Map(TAG_GROUPS.map((g) => [g.key, new Set(g.allTags)]));
+
+/* ===== Per-file checks ===== */
+const recordKind = (kind) => ({ texts: "text", fathers: "father", events: "event", rulers: "ruler" })[kind];
+const TAG_FIELDS = { texts: TEXT_TAG_FIELDS, fathers: FATHER_TAG_FIELDS, events: EVENT_TAG_FIELDS, rulers: {} };
+const DATE_KEYS = {
+  texts: ["Dataviz date"],
+  fathers: ["Dataviz", "Dataviz column", "Dataviz date"],
+  events: ["Dataviz date"],
+  rulers: ["Start"],
+};
+
+// Event "Bands" / ruler "Band" entries the timeline can resolve (see resolveBandIds in timeline.jsx)
+const resolvesToBand = (name, bands) =>
+  bands.has(name) ||
+  bands.has(`${name}-composite`) ||
+  [...bands.keys()].some((id) => id.startsWith(`custom-${name}-`));
+const indexValue = (row) => {
+  const k = Object.keys(row || {}).find((key) => key.trim().toLowerCase() === "index");
+  return k ? String(row[k]).trim() : "";
+};
+
+function checkRows({ rows, kind, folder, bands, recordIds, report }) {
+  const durationId = `${folder}-composite`;
+  const band = bands.get(durationId);
+  if (!band) {
+    report("error", null, `no band "${durationId}" in durations.json; every row in this file is ignored`);
+  }
+
+  const tagFields = TAG_FIELDS[kind];
+  const dateKeys = DATE_KEYS[kind];
+  const seenIndex = new Map(); // index -> row number
+
+  rows.forEach((row, i) => {
+    if (!row || typeof row !== "object") return; // schema pass already reported it
+    const label = String(row.Name ?? "").trim() || "(unnamed)";
+
+    // --- date: non-numeric rows are dropped by the timeline
+    const { key: dateKey, value: rawDate } = firstField(row, dateKeys);
+    const when = Number(rawDate);
+    if (isBlank(rawDate) || !Number.isFinite(when)) {
+      report("error", i, `"${label}": ${dateKey} ${JSON.stringify(rawDate ?? null)} is not a number; row is dropped`);
+    } else if ((kind === "texts" || kind === "fathers") && band && (when < band.min || when > band.max)) {
+      report("error", i, `"${label}": ${dateKey} ${when} is outside band ${durationId} [${band.min}, ${band.max}]; row is dropped`);
+    }
+
+    // --- rulers: a reign needs an end, and not before its start
+    if (kind === "rulers") {
+      const end = Number(row.End);
+      if (isBlank(row.End) || !Number.isFinite(end)) {
+        report("error", i, `"${label}": End ${JSON.stringify(row.End ?? null)} is not a number; row is dropped`);
+      } else if (Number.isFinite(when) && end < when) {
+        report("warning", i, `"${label}": End ${end} is before Start ${when}; the two are swapped`);
+      }
+    }
+
+    // --- events / rulers: every band the marker or reign is drawn in must exist
+    if (kind === "events" || kind === "rulers") {
+      const cell = kind === "events" ? row.Bands : row.Band;
+      const names = String(cell ?? "").split(",").map((s) => s.trim()).filter((s) => s && s !== "-");
+      const unknown = names.filter((n) => !resolvesToBand(n, bands));
+      if (unknown.length) {
+        const dropped = unknown.length === names.length ? "; row is dropped" : "";
+        report("error", i, `"${label}": unknown band(s) ${unknown.map((n) => `"${n}"`).join(", ")} in ${kind === "events" ? "Bands" : "Band"}${dropped}`);
+      }
+    }
+
+    // --- index: stable record ids are built from it
+    const indexKeys = Object.keys(row).filter((k) => k.trim().toLowerCase() === "index");
+    if (indexKeys.length > 1) {
+      report("error", i, `"${label}": has both ${indexKeys.map((k) => `"${k}"`).join(" and ")} keys`);
+    }
+    const indexKey = indexKeys[0];
+    const index = indexKey ? String(row[indexKey]).trim() : "";
+    if (!indexKey || index === "" || index === "-") {
+      report("error", i, `"${label}": missing ${INDEX_KEY}; the record has no stable id`);
+    } else {
+      if (indexKey !== INDEX_KEY) {
+        report("warning", i, `"${label}": index key spelled "${indexKey}", expected "${INDEX_KEY}"`);
+      }
+      if (seenIndex.has(index)) {
+        report("error", i, `"${label}": duplicate ${INDEX_KEY} ${index} (also row ${seenIndex.get(index) + 1})`);
+      } else {
+        seenIndex.set(index, i);
+      }
+    }
+
+    // --- tags outside TAG_GROUPS are filtered out by normalizeTagStringToArray
+    for (const [groupKey, keys] of Object.entries(tagFields)) {
+      const { key, value } = firstField(row, keys);
+      if (isBlank(value) || isNA(value)) continue;
+      const canon = canonByGroup.get(groupKey) || new Set();
+      for (const tag of String(value).split(",").map((t) => t.trim()).filter(Boolean)) {
+        if (!canon.has(tag)) {
+          report("warning", i, `"${label}": unknown ${groupKey} tag "${tag}" in "${key}"; it is ignored`);
+        }
+      }
+    }
+
+    // --- relations must use a known type and point at an existing record
+    for (const { type, targetId } of parseRelations(row.relations)) {
+      if (!RELATION_TYPES[type]) {
+        report("error", i, `"${label}": unknown relation type "${type}" (expected ${Object.keys(RELATION_TYPES).join(", ")})`);
+      } else if (!recordIds.has(targetId)) {
+        report("error", i, `"${label}": ${type} points at unknown record "${targetId}"`);
+      }
+    }
+  });
+}
+
+/* ===== Entry point ===== */
+/**
+ * Validate the data folder.
+ * @param {{ dataDir?: string }} [opts]
+ * @returns {{ issues: Array<{ level: "error"|"warning", file: string, row: number|null, line: number|null, message: string }>, errors: number, warnings: number }}
+ */
+export function validateData({ dataDir = DATA_DIR } = {}) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  const validators = {
+    texts: ajv.compile(readJson(join(SCHEMA_DIR, "texts.schema.json"))),
+    fathers: ajv.compile(readJson(join(SCHEMA_DIR, "fathers.schema.json"))),
+    events: ajv.compile(readJson(join(SCHEMA_DIR, "events.schema.json"))),
+    rulers: ajv.compile(readJson(join(SCHEMA_DIR, "rulers.schema.json"))),
+    durations: ajv.compile(readJson(join(SCHEMA_DIR, "durations.schema.json"))),
+  };
+
+  const issues = [];
+  const files = listJsonFiles(dataDir);
+
+  // two passes: durations.json supplies the band extents the dataset checks need
+  let bands = new Map();
+  const parsed = new Map();
+  for (const file of files) {
+    const rel = relative(ROOT, file).split(sep).join("/");
+    const source = readFileSync(file, "utf8");
+    const lines = rowLineNumbers(source);
+    const report = (level, row, message) =>
+      issues.push({ level, file: rel, row: row == null ? null : row + 1, line: row == null ? null : lines[row] ?? null, message });
+
+    let data;
+    try {
+      data = JSON.parse(source);
+    } catch (err) {
+      report("error", null, `invalid JSON: ${err.message}`);
+      continue;
+    }
+
+    const kind = file.endsWith("_texts.json") ? "texts"
+      : file.endsWith("_fathers.json") ? "fathers"
+      : file.endsWith("_events.json") ? "events"
+      : file.endsWith("_rulers.json") ? "rulers"
+      : file.endsWith(`${sep}durations.json`) ? "durations"
+      : null;
+    if (!kind) continue;
+
+    const validate = validators[kind];
+    if (!validate(data)) {
+      for (const e of validate.errors) {
+        const m = e.instancePath.match(/^\/(\d+)/);
+        report("error", m ? Number(m[1]) : null, `schema: ${e.instancePath || "/"} ${e.message}`);
+      }
+    }
+
+    if (kind === "durations") bands = bandExtents(data);
+    else parsed.set(file, { kind, data, report });
+  }
+
+  // every stable id, so relations can be resolved across folders
+  const recordIds = new Set();
+  for (const [file, { kind, data }] of parsed) {
+    const folder = relative(dataDir, file).split(sep)[0];
+    for (const row of Array.isArray(data) ? data : []) {
+      const index = indexValue(row);
+      if (index && index !== "-") recordIds.add(makeRecordId(folder, recordKind(kind), index));
+    }
+  }
+
+  for (const [file, { kind, data, report }] of parsed) {
+    const folder = relative(dataDir, file).split(sep)[0];
+    checkRows({ rows: Array.isArray(data) ? data : [], kind, folder, bands, recordIds, report });
+  }
+
+  const errors = issues.filter((i) => i.level === "error").length;
+  return { issues, errors, warnings: issues.length - errors };
+}
+
+export function formatIssue(i) {
+  const where = i.line ? `${i.file}:${i.line}` : i.file;
+  const row = i.row ? ` (row ${i.row})` : "";
+  return `${i.level === "error" ? "error  " : "warning"} ${where}${row} ${i.message}`;
+}
+
+/* ===== Vite plugin ===== */
+// Runs once per build/dev-server start and again whenever a data file changes.
+// Errors fail `vite build`; in dev they are only printed so editing stays fluid.
+export function validateDataPlugin({ dataDir = DATA_DIR } = {}) {
+  let isBuild = false;
+  const run = (ctx) => {
+    const { issues, errors, warnings } = validateData({ dataDir });
+    // errors one by one; warnings (mostly tag spellings) only as a count
+    for (const i of issues) if (i.level === "error") ctx.warn(formatIssue(i));
+    if (warnings) ctx.warn(`${warnings} data warning(s); run \`npm run validate:data\` for the list`);
+    if (errors && isBuild) {
+      ctx.error(`data validation failed: ${errors} error(s), ${warnings} warning(s)`);
+    }
+  };
+  return {
+    name: "validate-data",
+    configResolved(config) {
+      isBuild = config.command === "build";
+    },
+    buildStart() {
+      run(this);
+    },
+    handleHotUpdate({ file, server }) {
+      if (!file.startsWith(dataDir) || !file.endsWith(".json")) return;
+      const { issues } = validateData({ dataDir });
+      for (const i of issues) {
+        if (i.level === "error") server.config.logger.warn(formatIssue(i));
+      }
+    },
+  };
+}
+
+/* ===== CLI ===== */
+if (process.argv[1] && fileURLToPath(import.meta.url) === process.argv[1]) {
+  const quiet = process.argv.includes("--errors-only");
+  const { issues, errors, warnings } = validateData();
+  for (const i of issues) {
+    if (quiet && i.level !== "error") continue;
+    console.log(formatIssue(i));
+  }
+  console.log(`\n${errors} error(s), ${warnings} warning(s)`);
+  process.exitCode = errors ? 1 : 0; // let piped stdout drain before exiting
+}
@@ -0,0 +1,69 @@
+// components/calendarMenu.jsx
+import { useEffect, useRef, useState } from "react";
+
+/**
+ * CalendarMenu — pick the era the time axis is labelled in, and an optional
+ * second era track under it (see utils/calendars.js).
+ * Props:
+ *  - calendars: [{ id, label }]                  in menu order
+ *  - primary: string                             calendar id of the axis
+ *  - secondary: string|null                      calendar id of the second track
+ *  - onChange: ({ primary, secondary }) => void
+ */
+export default function CalendarMenu({ calendars, primary, secondary, onChange }) {
+  const [open, setOpen] = useState(false);
+  const wrapRef = useRef(null);
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (!wrapRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onDown, true);
+    return () => document.removeEventListener("pointerdown", onDown, true);
+  }, [open]);
+
+  return (
+    <div ref={wrapRef} className="calendarMenu">
+      <button
+        type="button"
+        className="viewToggle-btn exportMenu-toggle"
+        aria-expanded={open}
+        onClick={() => setOpen((v) => !v)}
+      >
+        Calendar
+      </button>
+
+      {open && (
+        <div className="exportMenu-popover" role="dialog" aria-label="Calendar">
+          <label className="calendarMenu-row">
+            <span className="exportMenu-section">Axis</span>
+            <select
+              value={primary}
+              onChange={(e) => onChange({ primary: e.target.value, secondary })}
+            >
+              {calendars.map((c) => (
+                <option key={c.id} value={c.id}>{c.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="calendarMenu-row">
+            <span className="exportMenu-section">Second track</span>
+            <select
+              value={secondary ?? ""}
+              onChange={(e) => onChange({ primary, secondary: e.target.value || null })}
+            >
+              <option value="">None</option>
+              {calendars
+                .filter((c) => c.id !== primary)
+                .map((c) => (
+                  <option key={c.id} value={c.id}>{c.label}</option>
+                ))}
+            </select>
+          </label>
+        </div>
+      )}
+    </div>
+  );
+}
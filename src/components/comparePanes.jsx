@@ -0,0 +1,256 @@
+// components/comparePanes.jsx
+import { useEffect, useMemo, useRef } from "react";
+import * as d3 from "d3";
+import "../styles/comparePanes.css";
+
+const BIN_YEARS = 100;
+const STRIP_H = 66;     // summary strip: A bars, B bars, difference row
+const STRIP_ROW = 22;
+const LABEL_MIN_PX = 22; // century wide enough to print its difference
+const MARK_R = 2.5;
+const HEAD_H = 30;       // pane title sits at the pane's bottom-left, clear of the toolbar
+
+/**
+ * ComparePanes — two filtered copies of the same bands stacked over the
+ * timeline, sharing its x-axis and zoom; a strip underneath compares the
+ * records per century. Wheel and drag on the panes drive the chart's
+ * d3.zoom (zoomRef/svgSelRef) so the axis below stays the one scale.
+ * Props:
+ *  - panes: [{ key, title, summary, rows, years }]
+ *      rows:  loaded text + father rows passing the pane's filters
+ *      years: human years of every matching record (loaded or not), for counts
+ *  - outlines: duration bands (chart coordinates at k=1)
+ *  - x: base x scale (astronomical years -> px at k=1)
+ *  - toAstronomical: (year) => astronomical year
+ *  - formatYear: (year) => string        century labels in tooltips
+ *  - top, innerWidth, innerHeight: the chart area the panes cover
+ *  - zoomRef, svgSelRef: the chart's zoom behaviour and svg selection
+ *  - syncRef: ref filled with (transform) => void; the chart calls it on
+ *             every zoom event to re-place the marks
+ *  - editing: pane key the tag panel currently edits
+ *  - onEdit: (key) => void
+ *  - onSelect: (row) => void             open the record's card
+ */
+export default function ComparePanes({
+  panes, outlines, x, toAstronomical, formatYear, top = 0, innerWidth, innerHeight,
+  zoomRef, svgSelRef, syncRef, editing, onEdit, onSelect,
+}) {
+  const svgRef = useRef(null);
+  const onSelectRef = useRef(onSelect);
+  const paneH = Math.max(40, (innerHeight - STRIP_H) / 2);
+
+  const sy = useMemo(
+    () => d3.scaleLinear().domain([0, innerHeight]).range([0, paneH]),
+    [innerHeight, paneH]
+  );
+
+  const bands = useMemo(
+    () => outlines.filter((o) => !o._isCustomGroup), // members carry the real shapes
+    [outlines]
+  );
+
+  // Records per human century (600–501 BCE, 1–100 CE) for each pane; a0/a1
+  // are the century's edges in astronomical years, for placing it on the axis
+  const bins = useMemo(() => {
+    const byStart = new Map();
+    panes.forEach((p, side) => {
+      for (const year of p.years) {
+        const start = year < 0
+          ? -Math.ceil(-year / BIN_YEARS) * BIN_YEARS
+          : Math.floor((year - 1) / BIN_YEARS) * BIN_YEARS + 1;
+        if (!byStart.has(start)) {
+          const end = start + BIN_YEARS - 1;
+          byStart.set(start, {
+            start, end, a0: toAstronomical(start), a1: toAstronomical(end) + 1, counts: [0, 0],
+          });
+        }
+        byStart.get(start).counts[side]++;
+      }
+    });
+    return [...byStart.values()].sort((a, b) => a.start - b.start);
+  }, [panes, toAstronomical]);
+
+  useEffect(() => {
+    onSelectRef.current = onSelect;
+  }, [onSelect]);
+
+  // Re-place bands, marks and bins on every zoom event
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    const max = d3.max(bins, (b) => Math.max(b.counts[0], b.counts[1])) || 1;
+    const maxDiff = d3.max(bins, (b) => Math.abs(b.counts[0] - b.counts[1])) || 1;
+    const h = d3.scaleLinear().domain([0, max]).range([0, STRIP_ROW - 2]);
+    const hd = d3.scaleLinear().domain([0, maxDiff]).range([0, STRIP_ROW / 2 - 1]);
+
+    svg.selectAll("g.comparePane").each(function (_p, side) {
+      const pane = d3.select(this);
+      pane.select("g.comparePane-bands").selectAll("rect.comparePane-band")
+        .data(bands, (o) => o.id)
+        .join("rect")
+        .attr("class", "comparePane-band")
+        .attr("y", (o) => sy(o.y))
+        .attr("height", (o) => Math.max(1, sy(o.h)))
+        .attr("fill", (o) => o.color);
+      pane.select("g.comparePane-marks").selectAll("circle.comparePane-mark")
+        .data(panes[side].rows, (r) => r.id)
+        .join((enter) => enter.append("circle").call((c) => c.append("title")))
+        .attr("class", (r) => `comparePane-mark is-${r.kind}`)
+        .attr("r", MARK_R)
+        .attr("cy", (r) => sy(r.y))
+        .attr("fill", (r) => r.color)
+        .on("click", (_ev, r) => onSelectRef.current(r))
+        .select("title")
+        .text((r) => `${r.title || r.name} (${r.displayDate || formatYear(r.when)})`);
+    });
+
+    const strip = svg.select("g.compareStrip");
+    const bar = strip.selectAll("g.compareStrip-bin")
+      .data(bins, (b) => b.start)
+      .join((enter) => {
+        const g = enter.append("g").attr("class", "compareStrip-bin");
+        g.append("rect").attr("class", "compareStrip-a");
+        g.append("rect").attr("class", "compareStrip-b");
+        g.append("rect").attr("class", "compareStrip-diff");
+        g.append("text").attr("class", "compareStrip-label");
+        g.append("title");
+        return g;
+      });
+    bar.each(function (b) {
+      const [a, bb] = b.counts;
+      const diff = a - bb;
+      const g = d3.select(this);
+      g.select(".compareStrip-a").attr("y", STRIP_ROW - h(a)).attr("height", h(a));
+      g.select(".compareStrip-b").attr("y", STRIP_ROW).attr("height", h(bb));
+      g.select(".compareStrip-diff")
+        .classed("is-negative", diff < 0)
+        .attr("y", 2 * STRIP_ROW + STRIP_ROW / 2 - (diff > 0 ? hd(diff) : 0))
+        .attr("height", hd(Math.abs(diff)));
+      g.select(".compareStrip-label")
+        .attr("y", 2 * STRIP_ROW + STRIP_ROW / 2)
+        .text(diff > 0 ? `+${diff}` : diff < 0 ? `−${-diff}` : "");
+      g.select("title").text(
+        `${formatYear(b.start)} – ${formatYear(b.end)}: ` +
+        `${panes[0].title} ${a}, ${panes[1].title} ${bb}, difference ${diff > 0 ? "+" : ""}${diff}`
+      );
+    });
+
+    syncRef.current = (t) => {
+      const zx = t.rescaleX(x);
+      const inView = (r) => {
+        const px = zx(toAstronomical(r.when));
+        return px >= -MARK_R && px <= innerWidth + MARK_R;
+      };
+      svg.selectAll("rect.comparePane-band").each(function (o) {
+        const x0 = zx(toAstronomical(o.start));
+        const x1 = zx(toAstronomical(o.end));
+        d3.select(this)
+          .attr("x", Math.min(x0, x1))
+          .attr("width", Math.max(1, Math.abs(x1 - x0)));
+      });
+      svg.selectAll("circle.comparePane-mark")
+        .attr("display", (r) => (inView(r) ? null : "none"))
+        .attr("cx", (r) => zx(toAstronomical(r.when)));
+      strip.selectAll("g.compareStrip-bin").each(function (b) {
+        const x0 = zx(b.a0);
+        const w = Math.max(1, zx(b.a1) - x0 - 1);
+        const g = d3.select(this);
+        g.attr("display", x0 + w < 0 || x0 > innerWidth ? "none" : null);
+        g.selectAll("rect").attr("x", x0).attr("width", w);
+        g.select(".compareStrip-label")
+          .attr("x", x0 + w / 2)
+          .attr("display", w >= LABEL_MIN_PX ? null : "none");
+      });
+    };
+    const node = svgSelRef.current?.node();
+    if (node) syncRef.current(d3.zoomTransform(node));
+    return () => {
+      syncRef.current = () => {};
+    };
+  }, [panes, bands, bins, x, toAstronomical, formatYear, sy, innerWidth, syncRef, svgSelRef]);
+
+  // Wheel zooms and drag pans the chart, anchored where the pointer is
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    const chart = () => svgSelRef.current;
+
+    svg.on("wheel.compare", (ev) => {
+      const zoom = zoomRef.current;
+      if (!zoom || !chart()) return;
+      ev.preventDefault();
+      const [px] = d3.pointer(ev, svgRef.current);
+      chart().interrupt().call(zoom.scaleBy, Math.pow(2, zoom.wheelDelta()(ev)), [px, innerHeight / 2]);
+    });
+
+    const drag = d3.drag()
+      .filter((ev) => !ev.button && ev.target.tagName !== "circle")
+      .on("drag", (ev) => {
+        const zoom = zoomRef.current;
+        if (!zoom || !chart()) return;
+        const k = d3.zoomTransform(chart().node()).k;
+        chart().interrupt().call(zoom.translateBy, ev.dx / k, 0);
+      });
+    svg.call(drag);
+
+    return () => {
+      svg.on("wheel.compare", null).on(".drag", null);
+    };
+  }, [zoomRef, svgSelRef, innerHeight]);
+
+  return (
+    <div className="comparePanes" style={{ top, height: innerHeight }}>
+      <svg
+        ref={svgRef}
+        className="comparePanes-svg"
+        width={innerWidth}
+        height={innerHeight}
+      >
+        {panes.map((p, side) => (
+          <g
+            key={p.key}
+            className={`comparePane ${editing === p.key ? "is-editing" : ""}`}
+            transform={`translate(0,${side * paneH})`}
+          >
+            <rect className="comparePane-bg" width={innerWidth} height={paneH} />
+            <g className="comparePane-bands" />
+            <g className="comparePane-marks" />
+          </g>
+        ))}
+        <g className="compareStrip" transform={`translate(0,${2 * paneH})`}>
+          <line className="compareStrip-axis" x2={innerWidth} y1={STRIP_ROW} y2={STRIP_ROW} />
+          <line
+            className="compareStrip-axis"
+            x2={innerWidth}
+            y1={2 * STRIP_ROW + STRIP_ROW / 2}
+            y2={2 * STRIP_ROW + STRIP_ROW / 2}
+          />
+        </g>
+      </svg>
+
+      {panes.map((p, side) => (
+        <div
+          key={p.key}
+          className="comparePane-head"
+          style={{ top: (side + 1) * paneH - HEAD_H }}
+        >
+          <button
+            type="button"
+            className={`viewToggle-btn ${editing === p.key ? "is-active" : ""}`}
+            aria-pressed={editing === p.key}
+            title="Edit this pane's filters in the tag panel"
+            onClick={() => onEdit(p.key)}
+          >
+            {p.title}
+          </button>
+          <span className="comparePane-summary">
+            {p.summary} · {p.years.length} records
+          </span>
+        </div>
+      ))}
+      <div className="compareStrip-keys" style={{ top: 2 * paneH }}>
+        <span style={{ height: STRIP_ROW }}>{panes[0].title}</span>
+        <span style={{ height: STRIP_ROW }}>{panes[1].title}</span>
+        <span style={{ height: STRIP_ROW }}>{panes[0].title} − {panes[1].title}</span>
+      </div>
+    </div>
+  );
+}
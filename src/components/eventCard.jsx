@@ -0,0 +1,132 @@
+// components/eventCard.jsx
+import {
+  forwardRef,
+  useRef,
+  useState,
+  useEffect,
+  useImperativeHandle,
+} from "react";
+import "../styles/timeline.css";
+
+/**
+ * EventCard — details of a point event (*_events.json), styled like FatherCard.
+ * Props:
+ *  - d: event row (name, displayDate, location, description, eventTypeTags, index)
+ *  - bandNames: string[]     names of the bands the marker spans
+ *  - otherDates: string      the date in the calendars shown besides BCE/CE
+ *  - left, top: px inside the timeline wrapper
+ *  - onClose: () => void     called after the slide-out animation
+ * The ref exposes startClose() for the backdrop.
+ */
+const EventCard = forwardRef(function EventCard(
+  { d, bandNames = [], otherDates, left = 16, top = 16, onClose = () => {} },
+  ref
+) {
+  const elRef = useRef(null);
+  const [isClosing, setIsClosing] = useState(false);
+  const closedOnceRef = useRef(false);
+
+  useImperativeHandle(ref, () => ({
+    startClose: () => setIsClosing(true),
+  }));
+
+  // Animate out then call onClose
+  useEffect(() => {
+    if (!isClosing || !elRef.current) return;
+    const el = elRef.current;
+
+    el.classList.remove("tl-slideIn");
+    el.classList.add("tl-slideOut");
+
+    const handleDone = () => {
+      if (closedOnceRef.current) return;
+      closedOnceRef.current = true;
+      onClose?.();
+    };
+    el.addEventListener("animationend", handleDone, { once: true });
+    return () => el.removeEventListener("animationend", handleDone);
+  }, [isClosing, onClose]);
+
+  // Close on Esc (capture; ignore when search list is open)
+  useEffect(() => {
+    const onKeyDown = (e) => {
+      const key = e.key || e.code;
+      if (key !== "Escape" && key !== "Esc") return;
+      if (document.body.classList.contains("sb-open")) return;
+      e.preventDefault();
+      e.stopPropagation();
+      setIsClosing(true);
+    };
+    window.addEventListener("keydown", onKeyDown, { capture: true });
+    return () => window.removeEventListener("keydown", onKeyDown, { capture: true });
+  }, []);
+
+  if (!d) return null;
+
+  const title = d.name || "";
+  const indexStr = (d.index ?? "").toString().trim();
+  const places = [...new Set(bandNames.filter(Boolean))];
+  const types = String(d.eventTypeTags || "")
+    .split(/[;,]/)
+    .map((t) => t.trim())
+    .filter((t) => t && t !== "-");
+
+  let metaLine = d.displayDate || "";
+  if (d.location && d.location !== "-") metaLine += metaLine ? ` at ${d.location}` : `Location: ${d.location}`;
+
+  const Row = ({ label, value, className }) =>
+    value ? (
+      <div className={`textCard-row ${className || ""}`}>
+        {label && <span className="textCard-label">{label}</span>}
+        <span className="textCard-value">{value}</span>
+      </div>
+    ) : null;
+
+  return (
+    <div
+      ref={elRef}
+      className="fatherCard eventCard tl-slideIn"
+      style={{ position: "absolute", left, top }}
+      role="dialog"
+      aria-label={`Details for ${title}`}
+    >
+      {indexStr && <span className="textCard-index">{indexStr}</span>}
+
+      <button
+        className="textCard-close"
+        onClick={() => setIsClosing(true)}
+        aria-label="Close"
+      >
+        ×
+      </button>
+
+      <div className="textCard-titleCombo">
+        <span className="textCard-title">{title}</span>
+        <span className="textCard-sep"> - </span>
+        <span className="textCard-category">Event</span>
+      </div>
+
+      <Row value={d.description !== "-" && d.description} className="is-centered" />
+
+      {metaLine && <div className="textCard-meta">{metaLine}</div>}
+
+      <Row label="Other calendars:" value={otherDates} />
+      <Row label="Spans:" value={places.join(", ")} />
+
+      {types.length > 0 && (
+        <div className="textCard-row is-tags">
+          <span className="textCard-label">Event Type:</span>
+          <div className="textCard-tags">
+            {types.map((t) => (
+              <span key={t} className="textCard-tag" style={{ borderColor: d.color, color: d.color }}>
+                {t}
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+});
+
+export default EventCard;
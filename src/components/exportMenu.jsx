@@ -0,0 +1,127 @@
+// components/exportMenu.jsx
+import { useEffect, useRef, useState } from "react";
+
+const FORMATS = [
+  { key: "svg", label: "SVG" },
+  { key: "png2", label: "PNG 2×" },
+  { key: "png4", label: "PNG 4×" },
+];
+
+const RECORD_FORMATS = [
+  { key: "csv", label: "CSV", textsOnly: false },
+  { key: "json", label: "JSON", textsOnly: false },
+  { key: "bibtex", label: "BibTeX", textsOnly: true },
+  { key: "csl", label: "CSL-JSON", textsOnly: true },
+];
+
+/**
+ * ExportMenu — download the current timeline view or the records behind it.
+ * Props:
+ *  - hasCard: boolean                              a card is open and can be included
+ *  - imageDisabled: boolean                        no timeline to draw (network view)
+ *  - onExport: (format, { withCard, withCaption }) => Promise|void
+ *              format is "svg" | "png2" | "png4"
+ *  - recordCounts: { texts, fathers }              visible (filtered) records
+ *  - onExportRecords: (format) => void             "csv" | "json" | "bibtex" | "csl"
+ */
+export default function ExportMenu({ hasCard, imageDisabled, onExport, recordCounts, onExportRecords }) {
+  const [open, setOpen] = useState(false);
+  const [withCard, setWithCard] = useState(true);
+  const [withCaption, setWithCaption] = useState(true);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const wrapRef = useRef(null);
+  const { texts = 0, fathers = 0 } = recordCounts || {};
+
+  // Close on outside click
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (!wrapRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener("pointerdown", onDown, true);
+    return () => document.removeEventListener("pointerdown", onDown, true);
+  }, [open]);
+
+  const run = async (task) => {
+    setBusy(true);
+    setError(null);
+    try {
+      await task();
+      setOpen(false);
+    } catch (err) {
+      setError(err.message || "Export failed");
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div ref={wrapRef} className="exportMenu">
+      <button
+        type="button"
+        className="viewToggle-btn exportMenu-toggle"
+        aria-expanded={open}
+        onClick={() => setOpen((v) => !v)}
+      >
+        Export
+      </button>
+
+      {open && (
+        <div className="exportMenu-popover" role="dialog" aria-label="Export">
+          <div className="exportMenu-section">Image of the timeline</div>
+          <label className="exportMenu-row">
+            <input
+              type="checkbox"
+              checked={hasCard && withCard}
+              disabled={!hasCard}
+              onChange={(e) => setWithCard(e.target.checked)}
+            />
+            <span>Include open card</span>
+          </label>
+          <label className="exportMenu-row">
+            <input
+              type="checkbox"
+              checked={withCaption}
+              onChange={(e) => setWithCaption(e.target.checked)}
+            />
+            <span>Caption with years and filters</span>
+          </label>
+
+          <div className="exportMenu-formats">
+            {FORMATS.map((f) => (
+              <button
+                key={f.key}
+                type="button"
+                className="viewToggle-btn"
+                disabled={busy || imageDisabled}
+                onClick={() => run(() => onExport(f.key, { withCard: hasCard && withCard, withCaption }))}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="exportMenu-section">
+            Records · {texts} {texts === 1 ? "text" : "texts"}, {fathers} {fathers === 1 ? "figure" : "figures"}
+          </div>
+          <div className="exportMenu-formats">
+            {RECORD_FORMATS.map((f) => (
+              <button
+                key={f.key}
+                type="button"
+                className="viewToggle-btn"
+                disabled={busy || !(f.textsOnly ? texts : texts + fathers)}
+                title={f.textsOnly ? "Texts only" : "Texts and figures with all fields and tags"}
+                onClick={() => run(() => onExportRecords(f.key))}
+              >
+                {f.label}
+              </button>
+            ))}
+          </div>
+          {error && <div className="exportMenu-error" role="alert">{error}</div>}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -6,9 +6,10 @@ import React, {
   useImperativeHandle,
 } from "react";
 import "../styles/timeline.css";
+import RelatedChips from "./relatedChips";
 
 const FatherCard = forwardRef(function FatherCard(
-  { d, left = 16, top = 16, showMore = false, setShowMore = () => {}, onClose = () => {} },
+  { d, left = 16, top = 16, showMore = false, setShowMore = () => {}, onClose = () => {}, related, onSelectRelated, onShowOnTimeline, otherDates },
   ref
 ) {
   if (!d) return null;
@@ -137,8 +138,11 @@ const FatherCard = forwardRef(function FatherCard(
       {metaLine && <div className="textCard-meta">{metaLine}</div>}
 
       {/* Symbolic systems */}
+      <Row label="Other calendars:" value={otherDates} />
       <SymbolicTagRow label="Symbolic System(s):" value={d.symbolicSystem} />
 
+      <RelatedChips items={related} onSelect={onSelectRelated} />
+
       <div className="textCard-moreToggle">
         <button
           className="textCard-button"
@@ -147,6 +151,11 @@ const FatherCard = forwardRef(function FatherCard(
         >
           {showMore ? "Hide tags" : "Show tags"}
         </button>
+        {onShowOnTimeline && (
+          <button className="textCard-button" onClick={() => onShowOnTimeline(d)}>
+            Show on timeline
+          </button>
+        )}
       </div>
 
       {showMore && (
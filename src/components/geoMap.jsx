@@ -0,0 +1,218 @@
+// components/geoMap.jsx
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import { feature } from "topojson-client";
+import "../styles/geoMap.css";
+import BASEMAP from "../data/geo/basemap.topo.json";
+import { placeOfRow } from "../utils/gazetteer";
+
+const LAND = feature(BASEMAP, BASEMAP.objects.land);
+
+// Western Mediterranean to the Iranian plateau; the projection fits this box
+const FRAME = { type: "MultiPoint", coordinates: [[-8, 14], [64, 47]] };
+
+const MAX_LISTED = 6;
+const FADE_MS = 300;
+
+// dot area grows with the number of records at the place
+const radius = (n) => 3 + Math.sqrt(n) * 1.8;
+
+function dominantColor(rows) {
+  const counts = d3.rollup(rows, (v) => v.length, (r) => r.color || "#666");
+  return d3.greatest(counts, ([, n]) => n)?.[0] || "#666";
+}
+
+const rowTitle = (r) => (r.kind === "father" ? r.name : r.title) || "";
+
+/**
+ * GeoMap — where the visible records come from, one dot per place.
+ * Props:
+ *  - rows: visible text + father rows (already filtered, incl. the year window)
+ *  - width, height: pixel size of the map
+ *  - highlightRef: ref the map fills with (id|null) => void, so the timeline
+ *                  can light up the place of the mark under the pointer
+ *  - onHoverRecords: (ids: string[]|null) => void   place under the pointer
+ *  - onSelect: (row) => void                        open a record's card
+ *  - onClose: () => void
+ */
+export default function GeoMap({ rows, width, height, highlightRef, onHoverRecords, onSelect, onClose }) {
+  const svgRef = useRef(null);
+  const landRef = useRef(null);
+  const pointsRef = useRef(null);
+  const transformRef = useRef(d3.zoomIdentity);
+  const [hover, setHover] = useState(null);   // place under the pointer
+  const [pinned, setPinned] = useState(null); // place whose record list is open
+
+  // latest callbacks, so re-renders of the parent don't re-run the d3 joins
+  const onHoverRef = useRef(onHoverRecords);
+  const onSelectRef = useRef(onSelect);
+  onHoverRef.current = onHoverRecords;
+  onSelectRef.current = onSelect;
+
+  const projection = useMemo(
+    () => d3.geoMercator().fitExtent([[8, 8], [width - 8, height - 8]], FRAME),
+    [width, height]
+  );
+  const landPath = useMemo(() => d3.geoPath(projection)(LAND), [projection]);
+
+  const { places, unplaced } = useMemo(() => {
+    const byName = new Map();
+    let unplaced = 0;
+    for (const row of rows) {
+      const place = placeOfRow(row);
+      if (!place) { unplaced++; continue; }
+      let g = byName.get(place.name);
+      if (!g) byName.set(place.name, (g = { key: place.name, place, rows: [] }));
+      g.rows.push(row);
+    }
+    const places = [...byName.values()];
+    for (const g of places) {
+      [g.x, g.y] = projection([g.place.lon, g.place.lat]);
+      g.color = dominantColor(g.rows);
+    }
+    // large dots first so the small ones drawn over them stay hoverable
+    places.sort((a, b) => b.rows.length - a.rows.length);
+    return { places, unplaced };
+  }, [rows, projection]);
+
+  const keyById = useMemo(() => {
+    const m = new Map();
+    for (const g of places) for (const r of g.rows) m.set(r.id, g.key);
+    return m;
+  }, [places]);
+
+  // a pinned place that filtered out closes its list
+  useEffect(() => {
+    if (pinned && !places.some((g) => g.key === pinned.key)) setPinned(null);
+  }, [places, pinned]);
+
+  /* ---- Pan / zoom (dots keep their screen size) ---- */
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    const zoom = d3.zoom()
+      .scaleExtent([1, 8])
+      .translateExtent([[0, 0], [width, height]])
+      .on("zoom", (ev) => {
+        const t = ev.transform;
+        transformRef.current = t;
+        d3.select(landRef.current).attr("transform", t);
+        d3.select(pointsRef.current)
+          .selectAll("circle.gm-point")
+          .attr("cx", (d) => t.applyX(d.x))
+          .attr("cy", (d) => t.applyY(d.y));
+      });
+    svg.call(zoom).on("dblclick.zoom", null);
+    return () => svg.on(".zoom", null);
+  }, [width, height]);
+
+  /* ---- Dots: animated as the year window moves ---- */
+  useEffect(() => {
+    const t = transformRef.current;
+    const sel = d3.select(pointsRef.current)
+      .selectAll("circle.gm-point")
+      .data(places, (d) => d.key)
+      .join(
+        (enter) => enter.append("circle")
+          .attr("class", (d) => `gm-point gm-point--${d.place.kind}`)
+          .attr("r", 0),
+        (update) => update,
+        (exit) => exit.transition().duration(FADE_MS).attr("r", 0).remove()
+      )
+      .attr("cx", (d) => t.applyX(d.x))
+      .attr("cy", (d) => t.applyY(d.y))
+      .attr("fill", (d) => d.color)
+      .on("pointerenter", function (_ev, d) {
+        d3.select(this).raise();
+        setHover(d);
+        onHoverRef.current?.(d.rows.map((r) => r.id));
+      })
+      .on("pointerleave", () => {
+        setHover(null);
+        onHoverRef.current?.(null);
+      })
+      .on("click", (ev, d) => {
+        ev.stopPropagation();
+        if (d.rows.length === 1) onSelectRef.current?.(d.rows[0]);
+        else setPinned(d);
+      });
+
+    sel.transition()
+      .duration(FADE_MS)
+      .attr("r", (d) => radius(d.rows.length));
+  }, [places]);
+
+  // Timeline -> map: outline the place of the hovered mark
+  useEffect(() => {
+    if (!highlightRef) return;
+    highlightRef.current = (id) => {
+      const key = id ? keyById.get(id) : null;
+      d3.select(pointsRef.current)
+        .selectAll("circle.gm-point")
+        .classed("is-linked", (d) => d.key === key)
+        .filter((d) => d.key === key)
+        .raise();
+    };
+    return () => { highlightRef.current = null; };
+  }, [highlightRef, keyById]);
+
+  // the map unmounting mid-hover must not leave rings on the timeline
+  useEffect(() => () => onHoverRef.current?.(null), []);
+
+  const shownRows = rows.length - unplaced;
+
+  return (
+    <div className="gm-wrap">
+      <div className="gm-header">
+        <span className="gm-title">Map</span>
+        <span className="gm-count">
+          {shownRows} of {rows.length} records · {places.length} places
+        </span>
+        <button type="button" className="gm-close" aria-label="Close map" onClick={onClose}>
+          ×
+        </button>
+      </div>
+
+      <svg ref={svgRef} className="gm-svg" width={width} height={height} onClick={() => setPinned(null)}>
+        <rect className="gm-sea" width={width} height={height} />
+        <g ref={landRef}>
+          <path className="gm-land" d={landPath} />
+        </g>
+        <g ref={pointsRef} />
+      </svg>
+
+      {hover && (
+        <div className="gm-hover">
+          <strong>{hover.place.name}</strong>
+          <span className="gm-hover-meta">
+            {hover.rows.length} {hover.rows.length === 1 ? "record" : "records"}
+            {hover.place.kind === "region" ? " · region" : ""}
+          </span>
+          {hover.rows.slice(0, MAX_LISTED).map((r) => (
+            <span key={r.id} className="gm-hover-item">{rowTitle(r)}</span>
+          ))}
+          {hover.rows.length > MAX_LISTED && (
+            <span className="gm-hover-meta">+{hover.rows.length - MAX_LISTED} more</span>
+          )}
+        </div>
+      )}
+
+      {pinned && (
+        <div className="gm-list" aria-label={`Records at ${pinned.place.name}`}>
+          <div className="gm-list-title">{pinned.place.name}</div>
+          {pinned.rows.map((r) => (
+            <button key={r.id} type="button" className="gm-list-item" onClick={() => onSelect?.(r)}>
+              <span className="gm-swatch" style={{ background: r.color }} />
+              {rowTitle(r)}
+            </button>
+          ))}
+        </div>
+      )}
+
+      <div className="gm-legend">
+        <span><span className="gm-key gm-key--site" /> site</span>
+        <span><span className="gm-key gm-key--region" /> region</span>
+        {unplaced > 0 && <span className="gm-legend-muted">{unplaced} without a known place</span>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,223 @@
+// components/influenceGraph.jsx
+import { useEffect, useMemo, useRef, useState } from "react";
+import * as d3 from "d3";
+import "../styles/influenceGraph.css";
+import MarkerIcon from "./markerIcon";
+import { buildInfluenceGraph, EDGE_KINDS } from "../utils/influenceGraph";
+
+const isYes = (v) => ["yes", "y", "true", "1"].includes(String(v || "").trim().toLowerCase());
+const isHistoric = (tags) =>
+  String(tags || "").toLowerCase().split(",").map((s) => s.trim()).includes("historic");
+
+const endId = (e) => e?.id ?? e; // link ends are ids until forceLink resolves them
+
+// glyph size grows with the number of links, capped so hubs stay readable
+const nodeSize = (n) => 12 + Math.min(12, Math.sqrt(n.degree) * 2.5);
+
+/**
+ * InfluenceGraph — force-directed view of the filtered records.
+ * Props:
+ *  - rows: visible text + father rows (already filtered by selectedByGroup)
+ *  - width, height: pixel size of the view
+ *  - selectedId: id of the record whose card is open (highlighted)
+ *  - onSelect: (row) => void            single click: open the card
+ *  - onShowOnTimeline: (row) => void    double click: jump back to the timeline
+ */
+export default function InfluenceGraph({ rows, width, height, selectedId, onSelect, onShowOnTimeline }) {
+  const svgRef = useRef(null);
+  const rootRef = useRef(null);
+  const linksRef = useRef(null);
+  const nodesRef = useRef(null);
+  const positionsRef = useRef(new Map()); // id -> {x, y}, survives filter changes
+  const [hoverId, setHoverId] = useState(null);
+
+  const graph = useMemo(() => buildInfluenceGraph(rows), [rows]);
+
+  // Neighbour ids of the hovered (or selected) node, for highlighting
+  const focusId = hoverId || selectedId || null;
+  const neighbours = useMemo(() => {
+    if (!focusId) return null;
+    const s = new Set([focusId]);
+    for (const l of graph.links) {
+      if (l.source === focusId) s.add(l.target);
+      if (l.target === focusId) s.add(l.source);
+    }
+    return s;
+  }, [graph, focusId]);
+
+  // Loose chronological drift left -> right so the graph still reads in time;
+  // vertically nodes are pulled toward their timeline band
+  const timeX = useMemo(() => {
+    const whens = graph.nodes.map((n) => n.row.when);
+    const ext = whens.length ? d3.extent(whens) : [0, 1];
+    return d3.scaleLinear().domain(ext).range([width * 0.1, width * 0.9]);
+  }, [graph, width]);
+
+  /* ---- Pan / zoom ---- */
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    const zoom = d3.zoom()
+      .scaleExtent([0.2, 6])
+      .on("zoom", (ev) => d3.select(rootRef.current).attr("transform", ev.transform));
+    svg.call(zoom).on("dblclick.zoom", null);
+    return () => svg.on(".zoom", null);
+  }, []);
+
+  /* ---- Simulation ---- */
+  useEffect(() => {
+    const positions = positionsRef.current;
+    const nodes = graph.nodes.map((n) => {
+      const p = positions.get(n.id);
+      return {
+        ...n,
+        x: p?.x ?? timeX(n.row.when),
+        y: p?.y ?? n.row.y, // start from the band the record sits in
+      };
+    });
+    const links = graph.links.map((l) => ({ ...l }));
+    const maxW = d3.max(links, (l) => l.weight) || 1;
+
+    const linkSel = d3.select(linksRef.current)
+      .selectAll("line.ig-link")
+      .data(links, (l) => `${endId(l.source)}|${endId(l.target)}`)
+      .join("line")
+      .attr("class", (l) => `ig-link ig-link--${l.kinds[0]}`)
+      .attr("stroke-width", (l) => 0.5 + 2.5 * (l.weight / maxW));
+
+    const nodeById = new Map(nodes.map((n) => [n.id, n]));
+    const nodeSel = d3.select(nodesRef.current).selectAll("g.ig-node");
+
+    const sim = d3.forceSimulation(nodes)
+      .force("link", d3.forceLink(links).id((n) => n.id)
+        .distance((l) => 60 - 30 * (l.weight / maxW))
+        .strength((l) => 0.1 + 0.6 * (l.weight / maxW)))
+      .force("charge", d3.forceManyBody().strength(-30).distanceMax(300))
+      .force("collide", d3.forceCollide((n) => nodeSize(n) / 2 + 1))
+      .force("x", d3.forceX((n) => timeX(n.row.when)).strength(0.04))
+      .force("y", d3.forceY((n) => n.row.y).strength(0.03))
+      .alpha(positions.size ? 0.4 : 1)
+      .on("tick", () => {
+        linkSel
+          .attr("x1", (l) => l.source.x).attr("y1", (l) => l.source.y)
+          .attr("x2", (l) => l.target.x).attr("y2", (l) => l.target.y);
+        nodeSel.attr("transform", function () {
+          const n = nodeById.get(this.dataset.id);
+          return n ? `translate(${n.x},${n.y})` : null;
+        });
+      })
+      .on("end", () => {
+        for (const n of nodes) positions.set(n.id, { x: n.x, y: n.y });
+      });
+
+    // Drag pins a node while held
+    nodeSel.call(
+      d3.drag()
+        .on("start", function (ev) {
+          const n = nodeById.get(this.dataset.id);
+          if (!n) return;
+          if (!ev.active) sim.alphaTarget(0.2).restart();
+          n.fx = n.x; n.fy = n.y;
+        })
+        .on("drag", function (ev) {
+          const n = nodeById.get(this.dataset.id);
+          if (n) { n.fx = ev.x; n.fy = ev.y; }
+        })
+        .on("end", function (ev) {
+          const n = nodeById.get(this.dataset.id);
+          if (!ev.active) sim.alphaTarget(0);
+          if (n) { n.fx = null; n.fy = null; }
+        })
+    );
+
+    return () => {
+      for (const n of nodes) positions.set(n.id, { x: n.x, y: n.y });
+      sim.stop();
+      nodeSel.on(".drag", null);
+    };
+  }, [graph, timeX]);
+
+  // Links touching the focused node stay bright
+  useEffect(() => {
+    d3.select(linksRef.current)
+      .selectAll("line.ig-link")
+      .classed("is-near", (l) => !!focusId && (endId(l.source) === focusId || endId(l.target) === focusId));
+  }, [graph, focusId]);
+
+  const hoverRow = hoverId ? graph.nodes.find((n) => n.id === hoverId)?.row : null;
+
+  return (
+    <div className="ig-wrap">
+      <svg ref={svgRef} className="ig-svg" width={width} height={height}>
+        <g ref={rootRef}>
+          <g
+            ref={linksRef}
+            className={`ig-links ${neighbours ? "is-focused" : ""}`}
+          />
+          <g ref={nodesRef} className={`ig-nodes ${neighbours ? "is-focused" : ""}`}>
+            {graph.nodes.map((n) => {
+              const { row } = n;
+              const isFather = row.kind === "father";
+              const s = nodeSize(n);
+              const cls = [
+                "ig-node",
+                neighbours?.has(n.id) ? "is-near" : "",
+                n.id === selectedId ? "is-selected" : "",
+              ].join(" ");
+              return (
+                <g
+                  key={n.id}
+                  data-id={n.id}
+                  className={cls}
+                  onMouseEnter={() => setHoverId(n.id)}
+                  onMouseLeave={() => setHoverId(null)}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onSelect?.(row);
+                  }}
+                  onDoubleClick={(e) => {
+                    e.stopPropagation();
+                    onShowOnTimeline?.(row);
+                  }}
+                >
+                  <circle className="ig-hit" r={s / 2 + 2} />
+                  <g transform={`translate(${-s / 2},${-s / 2})`}>
+                    <MarkerIcon
+                      type={isFather ? "father" : "text"}
+                      founding={isFather && isYes(row.foundingFigure)}
+                      historic={isFather && isHistoric(row.historicMythicStatusTags)}
+                      color={row.color}
+                      colors={row.colors}
+                      size={s}
+                    />
+                  </g>
+                </g>
+              );
+            })}
+          </g>
+        </g>
+      </svg>
+
+      {hoverRow && (
+        <div className="ig-hoverLabel">
+          <strong>{hoverRow.kind === "father" ? hoverRow.name : hoverRow.title}</strong>
+          <span>{hoverRow.displayDate || hoverRow.dob || ""}</span>
+        </div>
+      )}
+
+      <div className="ig-legend">
+        <span className="ig-legend-count">
+          {graph.nodes.length} records · {graph.links.length} links
+        </span>
+        {Object.entries(EDGE_KINDS).map(([key, { label }]) => (
+          <span key={key} className="ig-legend-item">
+            <svg width="22" height="6" aria-hidden="true">
+              <line className={`ig-link ig-link--${key}`} x1="1" y1="3" x2="21" y2="3" strokeWidth="2" />
+            </svg>
+            {label}
+          </span>
+        ))}
+        <span className="ig-legend-hint">click: open card · double-click: show on timeline</span>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,190 @@
+// components/minimap.jsx
+import { useEffect, useMemo, useRef } from "react";
+import * as d3 from "d3";
+import "../styles/minimap.css";
+
+const WIDTH = 260;
+const BANDS_H = 56;   // duration bands at k=1
+const SPARK_H = 18;   // items per century underneath
+const BIN_YEARS = 100;
+const FLY_MS = 400;
+const CLICK_SLOP = 3; // px a press may move and still count as a click
+
+/**
+ * Minimap — the whole time domain at k=1 with the main chart's viewport on it.
+ * Drag the viewport to pan, drag across the strip to zoom to that span, click
+ * to center there. Drives the chart through its d3.zoom (zoomRef/svgSelRef).
+ * Props:
+ *  - outlines: duration bands (chart coordinates at k=1)
+ *  - years: human years of the filtered records, for the density sparkline
+ *  - x: base x scale (astronomical years -> px at k=1)
+ *  - toAstronomical: (year) => astronomical year
+ *  - innerWidth, innerHeight: chart size the zoom extent is based on
+ *  - zoomRef, svgSelRef: the chart's zoom behaviour and svg selection
+ *  - syncRef: ref the minimap fills with (transform) => void; the chart calls
+ *             it on every zoom event to move the viewport rectangle
+ *  - bottom: px from the bottom of the wrapper
+ */
+export default function Minimap({
+  outlines, years, x, toAstronomical, innerWidth, innerHeight, zoomRef, svgSelRef, syncRef, bottom = 0,
+}) {
+  const svgRef = useRef(null);
+  const viewRef = useRef(null);
+  const regionRef = useRef(null);
+
+  const sx = useMemo(() => d3.scaleLinear().domain([0, innerWidth]).range([0, WIDTH]), [innerWidth]);
+  const sy = useMemo(() => d3.scaleLinear().domain([0, innerHeight]).range([0, BANDS_H]), [innerHeight]);
+
+  const bands = useMemo(
+    () => outlines
+      .filter((o) => !o._isCustomGroup) // members carry the real shapes
+      .map((o) => {
+        const x0 = sx(x(toAstronomical(o.start)));
+        const x1 = sx(x(toAstronomical(o.end)));
+        return {
+          id: o.id,
+          color: o.color,
+          x: Math.min(x0, x1),
+          y: sy(o.y),
+          w: Math.max(1, Math.abs(x1 - x0)),
+          h: Math.max(1, sy(o.h)),
+        };
+      }),
+    [outlines, x, toAstronomical, sx, sy]
+  );
+
+  // Items per century over the whole domain
+  const sparkPath = useMemo(() => {
+    const [a0, a1] = x.domain();
+    const n = Math.ceil((a1 - a0) / BIN_YEARS);
+    const counts = new Array(n).fill(0);
+    for (const year of years) {
+      const i = Math.floor((toAstronomical(year) - a0) / BIN_YEARS);
+      if (i >= 0 && i < n) counts[i]++;
+    }
+    const max = d3.max(counts) || 1;
+    const h = d3.scaleLinear().domain([0, max]).range([SPARK_H, 1]);
+    return d3.area()
+      .curve(d3.curveStepAfter)
+      .x((_c, i) => sx(x(a0 + i * BIN_YEARS)))
+      .y0(SPARK_H)
+      .y1((c) => h(c))([...counts, counts[n - 1]]);
+  }, [years, x, toAstronomical, sx]);
+
+  // Viewport rectangle follows the chart
+  useEffect(() => {
+    const view = d3.select(viewRef.current);
+    syncRef.current = (t) => {
+      const x0 = sx(t.invertX(0));
+      const x1 = sx(t.invertX(innerWidth));
+      const y0 = sy(t.invertY(0));
+      const y1 = sy(t.invertY(innerHeight));
+      view
+        .attr("x", x0)
+        .attr("y", Math.max(0, y0))
+        .attr("width", Math.max(2, x1 - x0))
+        .attr("height", Math.max(2, Math.min(BANDS_H, y1) - Math.max(0, y0)));
+    };
+    const node = svgSelRef.current?.node();
+    if (node) syncRef.current(d3.zoomTransform(node));
+    return () => {
+      syncRef.current = () => {};
+    };
+  }, [syncRef, svgSelRef, sx, sy, innerWidth, innerHeight]);
+
+  // Drag the viewport to pan; drag or click elsewhere to zoom/center
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    const region = d3.select(regionRef.current);
+
+    const current = () => d3.zoomTransform(svgSelRef.current.node());
+
+    function navigate(t, animate) {
+      const zoom = zoomRef.current;
+      const chart = svgSelRef.current;
+      if (!zoom || !chart) return;
+      const target = zoom.constrain()(t, zoom.extent().call(chart.node()), zoom.translateExtent());
+      if (animate) chart.transition().duration(FLY_MS).call(zoom.transform, target);
+      else chart.interrupt().call(zoom.transform, target);
+    }
+
+    // chart point (base px) at the middle of the viewport, at zoom k
+    const centeredOn = (cx, cy, k) =>
+      d3.zoomIdentity.translate(innerWidth / 2 - k * cx, innerHeight / 2 - k * cy).scale(k);
+
+    let mode = null;
+    let start = null;
+    let t0 = null;
+
+    const drag = d3.drag()
+      .container(svgRef.current)
+      .on("start", (ev) => {
+        if (!zoomRef.current || !svgSelRef.current) return;
+        mode = ev.sourceEvent.target === viewRef.current ? "pan" : "region";
+        start = [ev.x, ev.y];
+        t0 = current();
+      })
+      .on("drag", (ev) => {
+        if (!mode) return;
+        if (mode === "pan") {
+          const dx = sx.invert(ev.x) - sx.invert(start[0]);
+          const dy = sy.invert(ev.y) - sy.invert(start[1]);
+          navigate(t0.translate(-dx, -dy), false);
+          return;
+        }
+        const x0 = Math.max(0, Math.min(start[0], ev.x));
+        const x1 = Math.min(WIDTH, Math.max(start[0], ev.x));
+        region
+          .attr("display", null)
+          .attr("x", x0)
+          .attr("width", x1 - x0);
+      })
+      .on("end", (ev) => {
+        if (mode !== "region") { mode = null; return; }
+        mode = null;
+        region.attr("display", "none");
+
+        const cy = sy.invert(Math.max(0, Math.min(BANDS_H, start[1])));
+        if (Math.abs(ev.x - start[0]) <= CLICK_SLOP) {
+          navigate(centeredOn(sx.invert(ev.x), cy, t0.k), true);
+          return;
+        }
+        const bx0 = sx.invert(Math.max(0, Math.min(start[0], ev.x)));
+        const bx1 = sx.invert(Math.min(WIDTH, Math.max(start[0], ev.x)));
+        const [kMin, kMax] = zoomRef.current.scaleExtent();
+        const k = Math.max(kMin, Math.min(kMax, innerWidth / Math.max(1, bx1 - bx0)));
+        navigate(centeredOn((bx0 + bx1) / 2, cy, k), true);
+      });
+
+    svg.call(drag);
+    return () => {
+      svg.on(".drag", null);
+    };
+  }, [zoomRef, svgSelRef, sx, sy, innerWidth, innerHeight]);
+
+  return (
+    <div className="minimap" style={{ bottom }}>
+      <svg
+        ref={svgRef}
+        className="minimap-svg"
+        width={WIDTH}
+        height={BANDS_H + SPARK_H}
+        aria-hidden="true"
+      >
+        <title>Overview: drag the box to pan, drag across to zoom, click to center</title>
+        <g className="minimap-bands">
+          {bands.map((b) => (
+            <rect key={b.id} x={b.x} y={b.y} width={b.w} height={b.h} fill={b.color} />
+          ))}
+        </g>
+        <path
+          className="minimap-spark"
+          d={sparkPath}
+          transform={`translate(0,${BANDS_H})`}
+        />
+        <rect ref={regionRef} className="minimap-region" y={0} height={BANDS_H} display="none" />
+        <rect ref={viewRef} className="minimap-view" />
+      </svg>
+    </div>
+  );
+}
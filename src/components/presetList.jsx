@@ -0,0 +1,170 @@
+// components/presetList.jsx
+import { useEffect, useRef, useState } from "react";
+import {
+  loadPresets,
+  savePresets,
+  makePreset,
+  presetsToFile,
+  presetsFromFile,
+  mergePresets,
+} from "../utils/presets";
+
+/**
+ * PresetList — saved filter combinations, shown inside TagPanel.
+ * Props:
+ *  - onCapture: (withView: boolean) => string   serialized current filters (+ viewport)
+ *  - onApply: (state: string) => void           restore a serialized preset
+ */
+export default function PresetList({ onCapture, onApply }) {
+  const [presets, setPresets] = useState(loadPresets);
+  const [name, setName] = useState("");
+  const [withView, setWithView] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [editName, setEditName] = useState("");
+  const [error, setError] = useState(null);
+  const fileRef = useRef(null);
+
+  useEffect(() => {
+    savePresets(presets);
+  }, [presets]);
+
+  const handleSave = (e) => {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+    const preset = makePreset(trimmed, onCapture(withView), { withView });
+    setPresets((list) => [...list, preset]);
+    setName("");
+  };
+
+  const startRename = (p) => {
+    setEditingId(p.id);
+    setEditName(p.name);
+  };
+
+  const commitRename = () => {
+    const trimmed = editName.trim();
+    if (trimmed) {
+      setPresets((list) => list.map((p) => (p.id === editingId ? { ...p, name: trimmed } : p)));
+    }
+    setEditingId(null);
+  };
+
+  const handleDelete = (p) => {
+    if (!window.confirm(`Delete preset "${p.name}"?`)) return;
+    setPresets((list) => list.filter((x) => x.id !== p.id));
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([presetsToFile(presets)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "filter-presets.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = ""; // allow re-importing the same file
+    if (!file) return;
+    try {
+      const incoming = presetsFromFile(await file.text());
+      setPresets((list) => mergePresets(list, incoming));
+      setError(null);
+    } catch (err) {
+      setError(`${file.name}: ${err.message}`);
+    }
+  };
+
+  return (
+    <div className="tagPanel__presets">
+      <div className="tagPanel__presetsTitle">Presets</div>
+
+      {presets.length === 0 && (
+        <div className="tagPanel__presetsEmpty">No saved presets yet</div>
+      )}
+
+      {presets.map((p) => (
+        <div key={p.id} className="tagPanel__preset">
+          {editingId === p.id ? (
+            <input
+              className="tagPanel__presetInput"
+              value={editName}
+              autoFocus
+              aria-label="Preset name"
+              onChange={(e) => setEditName(e.target.value)}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename();
+              }}
+            />
+          ) : (
+            <button
+              type="button"
+              className="tagPanel__presetApply"
+              title={p.withView ? "Apply filters and viewport" : "Apply filters"}
+              onClick={() => onApply(p.state)}
+            >
+              {p.name}
+              {p.withView && <span className="tagPanel__presetView"> ⌖</span>}
+            </button>
+          )}
+          <button
+            type="button"
+            className="tagPanel__presetIcon"
+            aria-label={`Rename ${p.name}`}
+            title="Rename"
+            onClick={() => startRename(p)}
+          >
+            ✎
+          </button>
+          <button
+            type="button"
+            className="tagPanel__presetIcon"
+            aria-label={`Delete ${p.name}`}
+            title="Delete"
+            onClick={() => handleDelete(p)}
+          >
+            ×
+          </button>
+        </div>
+      ))}
+
+      <form className="tagPanel__presetForm" onSubmit={handleSave}>
+        <input
+          className="tagPanel__presetInput"
+          value={name}
+          placeholder="Name current filters"
+          aria-label="New preset name"
+          onChange={(e) => setName(e.target.value)}
+        />
+        <button type="submit" className="tagPanel__miniBtn" disabled={!name.trim()}>
+          Save
+        </button>
+      </form>
+      <label className="tagPanel__row tagPanel__presetWithView">
+        <input type="checkbox" checked={withView} onChange={(e) => setWithView(e.target.checked)} />
+        <span>Include viewport</span>
+      </label>
+
+      <div className="tagPanel__toolbar">
+        <button type="button" className="tagPanel__miniBtn" onClick={handleExport} disabled={!presets.length}>
+          Export
+        </button>
+        <button type="button" className="tagPanel__miniBtn" onClick={() => fileRef.current?.click()}>
+          Import
+        </button>
+        <input
+          ref={fileRef}
+          type="file"
+          accept="application/json,.json"
+          hidden
+          onChange={handleImport}
+        />
+      </div>
+      {error && <div className="tagPanel__presetsError" role="alert">{error}</div>}
+    </div>
+  );
+}
@@ -0,0 +1,105 @@
+// components/recordTable.jsx
+import { useMemo, useState } from "react";
+import "../styles/recordTable.css";
+
+const COLUMNS = [
+  { key: "date", label: "Date" },
+  { key: "name", label: "Name" },
+  { key: "civilization", label: "Civilization" },
+  { key: "category", label: "Category" },
+  { key: "tags", label: "Tags" },
+];
+
+const collator = new Intl.Collator(undefined, { sensitivity: "base", numeric: true });
+
+// empty cells sort last in both directions
+function compareText(a, b, dir) {
+  if (!a && !b) return 0;
+  if (!a) return 1;
+  if (!b) return -1;
+  return dir * collator.compare(a, b);
+}
+
+/**
+ * RecordTable — accessible table of the records in the visible time span.
+ * Props:
+ *  - rows: visible text + father rows (filtered, inside the zoomed span)
+ *  - caption: string                    e.g. "Showing 700 BCE to 300 BCE, 42 items"
+ *  - periodName: (durationId) => string civilization column
+ *  - formatYear: (year) => string       fallback date label
+ *  - bottom: px kept free for the time axis (it still zooms the span)
+ *  - onSelect: (row) => void            open the record's card
+ */
+export default function RecordTable({ rows, caption, periodName, formatYear, bottom = 0, onSelect }) {
+  const [sort, setSort] = useState({ key: "date", dir: 1 });
+
+  const items = useMemo(() => rows.map((r) => ({
+    row: r,
+    when: r.when,
+    date: (r.kind === "father" ? r.dob : r.displayDate) || formatYear(r.when),
+    name: (r.kind === "father" ? r.name : r.title) || "Untitled",
+    civilization: periodName(r.durationId) || "",
+    category: r.category || "",
+    tags: [...new Set(Object.values(r.tags || {}).flat())].join(", "),
+  })), [rows, periodName, formatYear]);
+
+  const sorted = useMemo(() => {
+    const { key, dir } = sort;
+    return [...items].sort((a, b) =>
+      (key === "date" ? dir * (a.when - b.when) : compareText(a[key], b[key], dir)) ||
+      a.when - b.when ||
+      collator.compare(a.name, b.name)
+    );
+  }, [items, sort]);
+
+  const toggleSort = (key) =>
+    setSort((s) => (s.key === key ? { key, dir: -s.dir } : { key, dir: 1 }));
+
+  return (
+    <div className="recordTable-wrap" style={{ bottom }}>
+      <div className="recordTable-scroll">
+        <table className="recordTable">
+          <caption className="recordTable-caption">{caption}</caption>
+          <thead>
+            <tr>
+              {COLUMNS.map((c) => {
+                const active = sort.key === c.key;
+                return (
+                  <th
+                    key={c.key}
+                    scope="col"
+                    aria-sort={active ? (sort.dir > 0 ? "ascending" : "descending") : "none"}
+                  >
+                    <button type="button" className="recordTable-sort" onClick={() => toggleSort(c.key)}>
+                      {c.label}
+                      <span className="recordTable-arrow" aria-hidden="true">
+                        {active ? (sort.dir > 0 ? "▲" : "▼") : ""}
+                      </span>
+                    </button>
+                  </th>
+                );
+              })}
+            </tr>
+          </thead>
+          <tbody>
+            {sorted.map((it) => (
+              <tr key={it.row.id}>
+                <td className="recordTable-date">{it.date}</td>
+                <th scope="row" className="recordTable-name">
+                  <button type="button" className="recordTable-open" onClick={() => onSelect(it.row)}>
+                    {it.name}
+                  </button>
+                  <span className="recordTable-kind">{it.row.kind === "father" ? "Figure" : "Text"}</span>
+                </th>
+                <td>{it.civilization}</td>
+                <td>{it.category}</td>
+                <td className="recordTable-tags">{it.tags}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+        {!sorted.length && <p className="recordTable-empty">No records in this span.</p>}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,63 @@
+// components/relatedChips.jsx
+import MarkerIcon from "./markerIcon";
+
+const isYes = (v) => ["yes", "y", "true", "1"].includes(String(v || "").trim().toLowerCase());
+const isHistoric = (tags) =>
+  String(tags || "").toLowerCase().split(",").map((s) => s.trim()).includes("historic");
+
+/**
+ * RelatedChips — "Related:" row shared by TextCard and FatherCard.
+ * Props:
+ *  - items: [{ type, label, direction, row }] from buildRelationIndex
+ *  - onSelect: (row) => void
+ */
+export default function RelatedChips({ items, onSelect }) {
+  if (!items || !items.length) return null;
+
+  // group chips under their relation label ("Authored by", "Mentioned in", ...)
+  const groups = [];
+  for (const it of items) {
+    const last = groups[groups.length - 1];
+    if (last && last.label === it.label) last.items.push(it);
+    else groups.push({ label: it.label, items: [it] });
+  }
+
+  return (
+    <div className="textCard-related">
+      {groups.map((g) => (
+        <div key={g.label} className="textCard-row is-tags">
+          <span className="textCard-label">{g.label}:</span>
+          <div className="textCard-tags">
+            {g.items.map(({ row }) => {
+              const isFather = row.kind === "father";
+              const name = isFather ? row.name : row.title;
+              return (
+                <button
+                  key={row.id}
+                  type="button"
+                  className="textCard-tag textCard-relChip"
+                  style={{ borderColor: row.color || undefined }}
+                  title={`${name} (${row.displayDate || row.dob || row.when})`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    onSelect?.(row);
+                  }}
+                >
+                  <MarkerIcon
+                    type={isFather ? "father" : "text"}
+                    founding={isFather && isYes(row.foundingFigure)}
+                    historic={isFather && isHistoric(row.historicMythicStatusTags)}
+                    color={row.color}
+                    colors={row.colors}
+                    size={12}
+                  />
+                  <span>{name}</span>
+                </button>
+              );
+            })}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -3,11 +3,9 @@ import { useEffect, useMemo, useRef, useState } from "react";
 import { createPortal } from "react-dom";
 import "../styles/searchbar.css";
 import MarkerIcon from "./markerIcon";
+import { buildSearchIndex, searchIndex, parseQuery, highlightRanges } from "../utils/searchIndex";
 
 /* === Utils === */
-function escapeRegExp(s) {
-  return s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-}
 
 function durationLabelFromId(id) {
   if (!id) return null;
@@ -33,19 +31,37 @@ function formatYearHuman(y) {
 }
 
 /* === Highlight component === */
+// `query` is a parsed query (see parseQuery) so fuzzy / folded matches light up too
 function Highlight({ text, query }) {
   if (!text || !query) return <>{text}</>;
-  const words = query.trim().split(/\s+/).filter(Boolean);
-  if (words.length === 0) return <>{text}</>;
-  const rx = new RegExp(`(${words.map(escapeRegExp).join("|")})`, "ig");
-  const parts = String(text).split(rx);
-  return (
-    <>
-      {parts.map((part, i) =>
-        rx.test(part) ? <mark key={i} className="sb-mark">{part}</mark> : <span key={i}>{part}</span>
-      )}
-    </>
-  );
+  const str = String(text);
+  const ranges = highlightRanges(str, query);
+  if (ranges.length === 0) return <>{text}</>;
+  const parts = [];
+  let at = 0;
+  ranges.forEach(([s, e], i) => {
+    if (s > at) parts.push(<span key={`t${i}`}>{str.slice(at, s)}</span>);
+    parts.push(<mark key={`m${i}`} className="sb-mark">{str.slice(s, e)}</mark>);
+    at = e;
+  });
+  if (at < str.length) parts.push(<span key="rest">{str.slice(at)}</span>);
+  return <>{parts}</>;
+}
+
+// Searchable text per field; field prefixes in the query pick from these
+function searchFields(it) {
+  return {
+    title: it.title,
+    subtitle: it.subtitle,
+    author: it.author,
+    category: it.category,
+    description: it.description,
+    index: it.index ?? it.textIndex,
+    date: cleanField(it.date ?? it.dob) ?? formatYearHuman(it.when),
+    language: it.language,
+    location: it.location,
+    tags: it.tags,
+  };
 }
 
 /* === Derive symbolic-system colors from item tags via global lookup === */
@@ -150,36 +166,18 @@ export default function SearchBar({
     inputRef.current?.blur();
   };
 
-  const results = useMemo(() => {
-    const qq = q.trim().toLowerCase();
-    const base = (visibleIds instanceof Set)
-      ? items.filter(it => visibleIds.has(it.id))
-      : items;
+  const index = useMemo(() => buildSearchIndex(items, searchFields), [items]);
+  const parsedQ = useMemo(() => parseQuery(q), [q]);
 
-    if (!qq) {
+  const results = useMemo(() => {
+    if (!q.trim()) {
       return [];
     }
-    const score = (it) => {
-      let s = 0;
-      const T = (v) => String(v || "").toLowerCase();
-      const inc = (v, w) => (T(v).includes(qq) ? w : 0);
-      s += inc(it.title, 8);
-      s += inc(it.subtitle, 5);
-      s += inc(it.category, 3);
-      s += inc(it.description, 2);
-      s += inc(it.index ?? it.textIndex, 1);
-      s += inc(it.author, 4);
-      s += inc(it.date, 2);
-      s += inc(it.dob, 2);
-      return s;
-    };
-    return base
-      .map((it) => ({ it, s: score(it) }))
-      .filter((x) => x.s > 0)
-      .sort((a, b) => b.s - a.s || a.it.title.localeCompare(b.it.title))
-      .slice(0, maxResults)
-      .map((x) => x.it);
-  }, [q, items, maxResults, open, visibleIds]);
+    const visible = (visibleIds instanceof Set)
+      ? index.filter(e => visibleIds.has(e.item.id))
+      : index;
+    return searchIndex(visible, q, { limit: maxResults }).map((x) => x.item);
+  }, [q, index, maxResults, visibleIds]);
 
   // Reset hover to first when query changes
   useEffect(() => { setHoverIdx(0); }, [q]);
@@ -325,14 +323,14 @@ export default function SearchBar({
             />
           </span>
           <span className="sb-title-text">
-            <Highlight text={r.title} query={q} />
+            <Highlight text={r.title} query={parsedQ} />
           </span>
 
           {date ? (
             <>
               <span className="sb-sep" />
               <span className="sb-date">
-                <Highlight text={String(date)} query={q} />
+                <Highlight text={String(date)} query={parsedQ} />
               </span>
             </>
           ) : null}
@@ -341,7 +339,7 @@ export default function SearchBar({
 
           {idxDisplay ? (
             <span className="sb-index" aria-hidden="true">
-              <Highlight text={String(idxDisplay)} query={q} />
+              <Highlight text={String(idxDisplay)} query={parsedQ} />
             </span>
           ) : null}
         </div>
@@ -354,7 +352,7 @@ export default function SearchBar({
                   <span className="sb-light">by</span>
                   <span className="sb-sep" />
                   <span className="sb-author">
-                    <Highlight text={author} query={q} />
+                    <Highlight text={author} query={parsedQ} />
                   </span>
                 </>
               ) : null}
@@ -367,14 +365,14 @@ export default function SearchBar({
         {r.category ? (
           <div className="sb-line sb-line3">
             <span className="sb-category">
-              <Highlight text={r.category} query={q} />
+              <Highlight text={r.category} query={parsedQ} />
             </span>
           </div>
         ) : null}
 
         {r.description ? (
           <div className="sb-line sb-desc">
-            <Highlight text={r.description} query={q} />
+            <Highlight text={r.description} query={parsedQ} />
           </div>
         ) : null}
       </button>
@@ -414,13 +412,13 @@ export default function SearchBar({
             />
           </span>
           <span className="sb-title-text">
-            <Highlight text={r.title} query={q} />
+            <Highlight text={r.title} query={parsedQ} />
           </span>
           {date ? (
             <>
               <span className="sb-sep" />
               <span className="sb-date">
-                <Highlight text={String(date)} query={q} />
+                <Highlight text={String(date)} query={parsedQ} />
               </span>
             </>
           ) : null}
@@ -429,7 +427,7 @@ export default function SearchBar({
 
           {idxDisplay ? (
             <span className="sb-index" aria-hidden="true">
-              <Highlight text={String(idxDisplay)} query={q} />
+              <Highlight text={String(idxDisplay)} query={parsedQ} />
             </span>
           ) : null}
         </div>
@@ -439,7 +437,7 @@ export default function SearchBar({
             <div>
               {r.category ? (
                 <span className="sb-category">
-                  <Highlight text={r.category} query={q} />
+                  <Highlight text={r.category} query={parsedQ} />
                 </span>
               ) : null}
             </div>
@@ -448,7 +446,7 @@ export default function SearchBar({
 
             {durationLabel ? (
                 <span className="sb-category sb-right-meta">
-                  <Highlight text={durationLabel} query={q} />
+                  <Highlight text={durationLabel} query={parsedQ} />
                 </span>
             ) : null}
           </div>
@@ -456,13 +454,64 @@ export default function SearchBar({
 
         {r.description ? (
           <div className="sb-line sb-desc">
-            <Highlight text={r.description} query={q} />
+            <Highlight text={r.description} query={parsedQ} />
           </div>
         ) : null}
       </button>
     );
   };
 
+  // Duration bands, their segments and events
+  const renderPeriodItem = (r, idx, isHover) => (
+    <button
+      ref={(el) => (itemRefs.current[idx] = el)}
+      key={r.id}
+      className={`sb-item ${isHover ? "is-hover" : ""}`}
+      onMouseEnter={() => maybeHoverByMouse(idx)}
+      onMouseDown={(e) => {
+        e.preventDefault();
+        e.stopPropagation();
+        activate(idx);
+      }}
+      role="option"
+      aria-selected={isHover}
+      type="button"
+    >
+      <div className="sb-line sb-line1">
+        <span className="sb-inline-icon" aria-hidden="true">
+          <span className="sb-period-swatch" style={{ background: r.color }} />
+        </span>
+        <span className="sb-title-text">
+          <Highlight text={r.title} query={parsedQ} />
+        </span>
+        {r.date ? (
+          <>
+            <span className="sb-sep" />
+            <span className="sb-date">
+              <Highlight text={r.date} query={parsedQ} />
+            </span>
+          </>
+        ) : null}
+      </div>
+
+      <div className="sb-line sb-line2" style={{ display: "flex", alignItems: "baseline", gap: 0 }}>
+        <span className="sb-category">{r.category}</span>
+        <span style={{ marginLeft: "auto" }} />
+        {r.subtitle ? (
+          <span className="sb-category sb-right-meta">
+            <Highlight text={r.subtitle} query={parsedQ} />
+          </span>
+        ) : null}
+      </div>
+
+      {r.description ? (
+        <div className="sb-line sb-desc">
+          <Highlight text={r.description} query={parsedQ} />
+        </div>
+      ) : null}
+    </button>
+  );
+
   const listVisible = !!(open && q.trim() && results.length > 0);
 
   // keep body class in sync (used to dim the graph)
@@ -495,6 +544,7 @@ export default function SearchBar({
           onChange={(e) => { setQ(e.target.value); }}
           onKeyDown={onKeyDown}
           aria-label="Search"
+          title={'Narrow with author: lang: loc: tag: or year:-500..-300 (quote multi-word values: loc:"nag hammadi")'}
         />
       </div>
 
@@ -519,6 +569,9 @@ export default function SearchBar({
         >
           {results.map((r, idx) => {
             const isHover = idx === hoverIdx;
+            if (r.type === "duration" || r.type === "segment" || r.type === "event") {
+              return renderPeriodItem(r, idx, isHover);
+            }
             return r.type === "father"
               ? renderFatherItem(r, idx, isHover)
               : renderTextItem(r, idx, isHover);
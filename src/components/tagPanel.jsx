@@ -1,6 +1,8 @@
 import { useState, useMemo, useRef, useEffect } from "react";
 import { createPortal } from "react-dom";
 import "../styles/tagPanel.css";
+import { MATCH_MODES, modeFor, describeFilters } from "../utils/tagFilters";
+import PresetList from "./presetList";
 
 /* Simple portal so the dropdown renders at <body> level */
 function MenuPortal({ children }) {
@@ -13,8 +15,21 @@ function MenuPortal({ children }) {
  *  - groups: [{ key, label, appliesTo, allTags: string[] }]
  *  - selectedByGroup: { [key: string]: Set<string> }
  *  - onChange: (nextSelectedByGroup) => void
+ *  - modesByGroup: { [key: string]: { match: "any"|"all"|"none", includeNA: boolean } }
+ *  - onModesChange: (nextModesByGroup) => void
+ *  - facetCounts: { [key: string]: Map<tag, number> } items per tag under the other filters
+ *  - onCapturePreset: (withView) => string; onApplyPreset: (state) => void (saved presets)
  */
-export default function TagPanel({ groups, selectedByGroup, onChange }) {
+export default function TagPanel({
+  groups,
+  selectedByGroup,
+  onChange,
+  modesByGroup,
+  onModesChange,
+  facetCounts,
+  onCapturePreset,
+  onApplyPreset,
+}) {
   const [openKey, setOpenKey] = useState(null);   // which group's menu is open
   const [isOpen, setIsOpen] = useState(false);    // slide-out state (false = hidden)
 
@@ -61,6 +76,22 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
     onChange({ ...selectedByGroup, [groupKey]: new Set() });
   };
 
+  // Switching mode keeps the ticks meaningful: "all"/"none" start from an
+  // empty pick instead of every tag, and "any" never starts from nothing.
+  const handleMode = (groupKey, allTags, match) => {
+    const current = selectedByGroup[groupKey] || new Set();
+    if (match !== "any" && current.size >= allTags.length) {
+      onChange({ ...selectedByGroup, [groupKey]: new Set() });
+    } else if (match === "any" && current.size === 0) {
+      onChange({ ...selectedByGroup, [groupKey]: new Set(allTags) });
+    }
+    onModesChange?.({ ...modesByGroup, [groupKey]: { ...modeFor(modesByGroup, groupKey), match } });
+  };
+
+  const handleIncludeNA = (groupKey, includeNA) => {
+    onModesChange?.({ ...modesByGroup, [groupKey]: { ...modeFor(modesByGroup, groupKey), includeNA } });
+  };
+
   const handleTogglePanel = () => {
     if (isOpen) setOpenKey(null);
     setIsOpen((v) => !v);
@@ -132,6 +163,8 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
     "symbolicSystems",
     "jungian",
     "neumann",
+    "__events__",             // section: "Events"
+    "eventTypes",
   ];
 
   // Panel-only label overrides (does not mutate incoming group objects)
@@ -192,6 +225,10 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
         out.push({ __section: true, label: "Mythical Parents\n& Text Tags", key });
         continue;
       }
+      if (key === "__events__") {
+        out.push({ __section: true, label: "Events", key });
+        continue;
+      }
       const g = groupsByKey.get(key);
       if (g) {
         out.push(g);
@@ -236,15 +273,32 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
   }
 
   // --- badge helper (local) ---
-  function renderCountBadge(count, total) {
+  const MODE_BADGES = { all: "AND", none: "NOT" };
+  function renderCountBadge(count, total, match) {
     const text = `${count}/${total}`;
     return (
       <span className="tagPanel__badge" aria-label={`${count} of ${total} selected`}>
         {text}
+        {MODE_BADGES[match] && <span className="tagPanel__badgeMode"> {MODE_BADGES[match]}</span>}
       </span>
     );
   }
 
+  const MODE_LABELS = { any: "Any of", all: "All of", none: "None of" };
+  const MODE_TITLES = {
+    any: "Items with at least one ticked tag",
+    all: "Items with every ticked tag",
+    none: "Items with none of the ticked tags",
+  };
+
+  // Readable version of the active expression for the top of the panel
+  const summary = useMemo(
+    () => describeFilters(groups, selectedByGroup, modesByGroup, (g) => LABEL_OVERRIDES[g.key] ?? g.label),
+    // LABEL_OVERRIDES is a constant literal
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    [groups, selectedByGroup, modesByGroup]
+  );
+
   return (
     <div
       id="tagPanel"
@@ -288,6 +342,23 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
 
       {/* Panel content */}
       <div className="tagPanel__content">
+        <div className="tagPanel__summary" aria-live="polite">
+          {summary.length === 0 ? (
+            <span className="tagPanel__summaryEmpty">No filters — showing everything</span>
+          ) : (
+            summary.map((c, i) => (
+              <div key={c.key} className="tagPanel__summaryClause">
+                {i > 0 && <span className="tagPanel__summaryOp">AND </span>}
+                <span className="tagPanel__summaryLabel">{c.label}:</span> {c.text}
+              </div>
+            ))
+          )}
+        </div>
+
+        {onCapturePreset && onApplyPreset && (
+          <PresetList onCapture={onCapturePreset} onApply={onApplyPreset} />
+        )}
+
         {orderedGroups.map((g) => {
           if (g.__section) {
             return (
@@ -300,6 +371,7 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
           const set = selectedMaps.get(g.key) || new Set();
           const total = g.allTags.length;
           const count = set.size;
+          const mode = modeFor(modesByGroup, g.key);
           const isDropdownOpen = openKey === g.key;
 
           // checklist items for this group
@@ -348,7 +420,7 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
                 aria-controls={`menu-${g.key}`}
                 title={displayLabel}
               >
-                {displayLabel} {renderCountBadge(count, total)}
+                {displayLabel} {renderCountBadge(count, total, mode.match)}
               </button>
 
               {isDropdownOpen && (
@@ -404,18 +476,50 @@ export default function TagPanel({ groups, selectedByGroup, onChange }) {
                         </button>
                       </div>
 
+                      {/* Match mode + untagged toggle */}
+                      <div className="tagPanel__modes" role="radiogroup" aria-label="Match">
+                        {MATCH_MODES.map((m) => (
+                          <button
+                            key={m}
+                            type="button"
+                            role="radio"
+                            aria-checked={mode.match === m}
+                            title={MODE_TITLES[m]}
+                            onClick={() => handleMode(g.key, g.allTags, m)}
+                            className={`tagPanel__modeBtn ${mode.match === m ? "is-active" : ""}`}
+                          >
+                            {MODE_LABELS[m]}
+                          </button>
+                        ))}
+                      </div>
+                      <label className="tagPanel__row tagPanel__naToggle">
+                        <input
+                          type="checkbox"
+                          checked={mode.includeNA}
+                          onChange={(e) => handleIncludeNA(g.key, e.target.checked)}
+                        />
+                        <span>Include items missing this tag group</span>
+                      </label>
+
                       {/* List */}
                       <div className={listClass}>
                         {items.map((tag) => {
                           const checked = set.has(tag);
+                          const n = facetCounts?.[g.key]?.get(tag);
+                          const isEmpty = n === 0;
                           return (
-                            <label key={tag} className="tagPanel__row">
+                            <label
+                              key={tag}
+                              className={`tagPanel__row ${isEmpty ? "is-empty" : ""}`}
+                              title={n == null ? undefined : `${n} matching item${n === 1 ? "" : "s"}`}
+                            >
                               <input
                                 type="checkbox"
                                 checked={checked}
                                 onChange={() => handleToggleTag(g.key, tag)}
                               />
                               <span style={{ marginLeft: 8 }}>{tag}</span>
+                              {n != null && <span className="tagPanel__count">{n}</span>}
                             </label>
                           );
                         })}
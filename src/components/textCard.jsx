@@ -6,9 +6,10 @@ import React, {
   useImperativeHandle,
 } from "react";
 import "../styles/timeline.css";
+import RelatedChips from "./relatedChips";
 
 const TextCard = forwardRef(function TextCard(
-  { d, left, top, onClose, showMore, setShowMore },
+  { d, left, top, onClose, showMore, setShowMore, related, onSelectRelated, onShowOnTimeline, otherDates, reigns = [] },
   ref
 ) {
   if (!d) return null;
@@ -131,10 +132,16 @@ const TextCard = forwardRef(function TextCard(
         </div>
       )}
 
+      {reigns.length > 0 && (
+        <div className="textCard-meta">{`composed during the reign of ${reigns.join(" / ")}`}</div>
+      )}
+      <Row label="Other calendars:" value={otherDates} />
       <SymbolicTagRow label="Symbolic System(s):" value={d.symbolicSystemTags} />
       <Row label="Comtean framework:" value={d.comteanFramework} />
       <Row label="Access Level:" value={d.accessLevel} />
 
+      <RelatedChips items={related} onSelect={onSelectRelated} />
+
       <div className="textCard-moreToggle">
         <button
           className="textCard-button"
@@ -143,6 +150,11 @@ const TextCard = forwardRef(function TextCard(
         >
           {showMore ? "Hide tags" : "Show tags"}
         </button>
+        {onShowOnTimeline && (
+          <button className="textCard-button" onClick={() => onShowOnTimeline(d)}>
+            Show on timeline
+          </button>
+        )}
       </div>
 
       {showMore && (
@@ -1,56 +1,87 @@
 import { useEffect, useMemo, useRef, useState, useId } from "react";
 import * as d3 from "d3";
 import durations from "../data/durations.json";
+import searchManifest from "../data/search-manifest.json";
 import "../styles/timeline.css";
 import TextCard from "./textCard";
 import FatherCard from "./fatherCard";
+import EventCard from "./eventCard";
 import SearchBar from "./searchBar";
 import TagPanel from "./tagPanel";
+import InfluenceGraph from "./influenceGraph";
+import GeoMap from "./geoMap";
+import ExportMenu from "./exportMenu";
+import RecordTable from "./recordTable";
+import Minimap from "./minimap";
+import CalendarMenu from "./calendarMenu";
+import ComparePanes from "./comparePanes";
+import { exportSvg, exportPng } from "../utils/exportView";
+import { normalizeRecord, exportRecords } from "../utils/exportRecords";
+import {
+  overlayStrokeWidth,
+  sliceSeparatorWidth,
+  buildOverlaySegments,
+  leftSplitTriangleSlices,
+} from "../utils/markGeometry";
+import { paintMarks, indexMarks, markAt } from "../utils/canvasMarks";
+import { createLayoutClient, applyLayoutMessages, EMPTY_LAYOUT } from "../utils/layoutClient";
+import { parseRelations, buildRelationIndex } from "../utils/relations";
+import { usePersistedState } from "../utils/persistedState";
+import {
+  makeDefaultSelectedByGroup,
+  makeDefaultModesByGroup,
+  itemPassesFilters,
+  rowInYearRange,
+  facetCounts,
+  describeFilters,
+} from "../utils/tagFilters";
+import {
+  SymbolicSystemColorPairs,
+  TAG_GROUPS,
+  TEXT_TAG_FIELDS,
+  FATHER_TAG_FIELDS,
+  EVENT_TAG_FIELDS,
+} from "../utils/tagGroups";
+import {
+  hashString,
+  nullCellsToNA,
+  getLooseField,
+  getTextDate,
+  getDatavizNumber,
+  textRecordId,
+  fatherRecordId,
+  eventRecordId,
+  rulerRecordId,
+  textDateRange,
+  fatherDateRange,
+  eventDateRange,
+  recordTags,
+  unpackTags,
+} from "../utils/datasetRecords";
+import {
+  CALENDARS,
+  DEFAULT_CALENDAR,
+  getCalendar,
+  formatInCalendar,
+  toAstronomical,
+  fromAstronomical,
+  formatYear,
+} from "../utils/calendars";
+import {
+  VIEW_MODES,
+  transformToView,
+  viewToTransform,
+  serializeViewState,
+  parseViewState,
+  readHash,
+  writeHash,
+  splitRecordId,
+} from "../utils/viewState";
+
 
 
 
 
-/* ===== BCE/CE helpers (no year 0) ===== */
-const toAstronomical = (y) => (y <= 0 ? y + 1 : y);
-const fromAstronomical = (a) => (a <= 0 ? a - 1 : a);
-const formatYear = (y) => (y < 0 ? `${Math.abs(y)} BCE` : y > 0 ? `${y} CE` : "—");
-
-/* ===== Colors for Symbolic Systems ===== */
-const SymbolicSystemColorPairs = {
-  Persian: "#00BFA6",       /* base */
-  "Indo-Iranian": "#2CCB7C",  /* greener jade */
-  Zoroastrian: "#FFA319",   /* saffron/fire */
-  Elamite: "#2AA6A1",       /* verdigris */
-  Achaemenid: "#008E9B",    /* deep royal turquoise */
-  Sumerian:  "#000000ff",
-  Babylonian:"#1A49D6",
-  Assyrian:  "#C1121F",
-  Canaanite: "#6F2DBD",
-  Akkadian:  "#10B981",
-  Aramaic:   "#9E6CFF",
-  Yahwistic: "#1E88E5",
-  Egyptian: "#E53935",
-  Phrygian: "#D22F27",   // Cap Red — Phrygian cap/dyed wool, bold martial/ritual red
-  Luwian:   "#D99C4A",   // Limestone Ochre — rock-cut reliefs & hieroglyphs on pale stone
-  Hittite:  "#B14D1E",   // Burnt Sienna / Iron Oxide — Hattusa palettes, iron/ochre tones  
-  Hurrian:  "#1F9EDC",   // Mitanni Azure — horse/chariot prestige; Indo-Aryan theonyms → cool azure
-  Lydian:   "#D4AF37",   // Electrum Gold — famed early coinage (electrum), royal metals
-  Mycenaean: "#B36A1B",
-  Hellenic:  "#0057D9",
-  Hellenistic:"#1BB5AC",
-  Orphic:    "#CDA434",
-  Hermetic:  "#8EA1B2",
-  Gnostic:   "#6E3AA6",
-  Berber:     "#0066CC",
-  Phoenician: "#9A1B6A",
-  Etruscan:    "#C4742C",
-  "Oscan-Italic":"#6B8E23",
-  Umbrian:     "#1E7A3F",
-  Christian:   "#5E2D91",
-  Roman: "#C4002F",
-  Islamic: "#006A52",
-  Iranian: "#1C39BB"
-};
 
 
 /* ===== Label sizing vs zoom ===== */
@@ -69,6 +100,26 @@ const TEXT_BASE_R = 0.4;       // at k=1
 const HOVER_SCALE_DOT = 1.6;   // how much bigger a dot gets on hover
 const HOVER_SCALE_FATHER = 1.6; 
 const ZOOM_THRESHOLD = 1.7;
+const MAP_SIZE = { width: 420, height: 260 }; // map panel, px
+// Marks draw as SVG nodes or into one <canvas> (see utils/canvasMarks.js)
+const MARK_RENDERERS = ["svg", "canvas"];
+const RENDERER_STORAGE_KEY = "timeline.markRenderer";
+const RANGES_STORAGE_KEY = "timeline.dateRanges";
+const CALENDAR_STORAGE_KEY = "timeline.calendars";
+const AXIS_H = 28;             // primary axis strip under the chart
+const SECONDARY_AXIS_H = 18;   // second era track under it
+const RANGE_CAP_PX = 3;        // whisker end caps, half height
+const EVENT_HEAD_PX = 4;       // event marker head, half width
+const RULERS_MIN_K = 3;        // reign sub-lanes show from this zoom on
+const RULER_LANE_FRAC = 0.25;  // share of the band height the reign sub-lane takes
+const CANVAS_HIT_SLOP = 2;     // px added to tiny marks for hover/click
+// Keyboard navigation of the marks (focus on the chart svg)
+const KEY_ZOOM_STEP = 1.5;     // +/- and Ctrl/Cmd+Up/Down
+const KEY_PAN_FRAC = 0.2;      // Shift+arrows pan by this share of the viewport
+const KEY_NAV_MS = 250;        // zoom/pan/auto-pan transition
+const FOCUS_PAD_PX = 40;       // auto-pan keeps the focused mark this far inside
+const ANNOUNCE_DELAY_MS = 600; // live region waits for zoom/pan to settle
+const VIEW_LABELS = { timeline: "Timeline", network: "Network", table: "Table", compare: "Compare" };
 const clamp = (v, lo, hi) => Math.max(lo, Math.min(hi, v));
 
 /* --- Opacity/width levels for duration label + border --- */
@@ -115,6 +166,13 @@ const FORBIDDEN_TICKS_ASTRO = new Set([toAstronomical(-5500), toAstronomical(250
 
 
 
+/* ===== Accessible names (SVG marks, live region) ===== */
+const markLabel = (d) => d.kind === "father"
+  ? `${d.name || "Unnamed figure"}, ${d.dob || formatYear(d.when)}`
+  : `${d.title || "Untitled text"}, ${d.displayDate || formatYear(d.when)}`;
+const spanLabel = (name, s, e) => `${name}, ${formatYear(s)} to ${formatYear(e)}`;
+const eventLabel = (d) => `${d.name || "Unnamed event"}, event, ${d.displayDate}`;
+
 /* ===== Tooltip helpers ===== */
 const fmtRange = (s, e) => `${formatYear(s)} – ${formatYear(e)}`;
 // Now supports an optional third line for "note"
@@ -124,28 +182,6 @@ const tipHTML = (title, subtitle, note) => `
   ${note ? `<div class="tl-tip-note">${note}</div>` : ""}
 `;
 
-/* ===== Small utils ===== */
-const hashString = (str) => {
-  let h = 2166136261 >>> 0;
-  for (let i = 0; i < (str || "").length; i++) {
-    h ^= str.charCodeAt(i);
-    h = Math.imul(h, 16777619);
-  }
-  return (h >>> 0) / 2 ** 32;
-};
-function getTextDate(row) {
-  const v = Number(row?.["Dataviz date"]);
-  return Number.isFinite(v) ? v : NaN;
-}
-// put this near getTextDate()
-function getDatavizNumber(row) {
-  for (const k of ["Dataviz", "Dataviz column", "Dataviz date"]) {
-    const v = Number(row?.[k]);
-    if (Number.isFinite(v)) return v;
-  }
-  return NaN;
-}
-
 
 // Stable micro-jitter so fathers don't sit on exactly the same Y
 const FATHER_JITTER_PX = 7; // tweak to taste (in band-units = px at k=1)
@@ -179,163 +215,6 @@ function computeYFromYPos(raw, bandY, bandH, fallbackY) {
 
 
 
-function layoutMarksByPixels({ marks, outlines, authorLaneMap, x, y0, innerHeight }) {
-  // per-band structures
-  const bandById = new Map(outlines.map(o => [o.id, o]));
-
-  // Usable vertical bounds inside each band (in band-units)
-  const yBoundsU = new Map(outlines.map(o => {
-    const topU = y0(o.y);
-    const botU = y0(o.y + o.h);
-    const padU = Math.max(1, (botU - topU) * 0.08);
-    return [o.id, { yMin: topU + padU, yMax: botU - padU }];
-  }));
-
-  // Build a per-band map of items with their screen x-span and band-unit radii
-  const perBand = new Map();
-
-  for (const m of marks) {
-    if (!bandById.has(m.bandId)) continue;
-
-    // screen x position at k=1 (px)
-    const cx = x(toAstronomical(m.when));
-
-   // use base (k=1) draw sizes for spacing; no zoom here
-   const rPx = m.kind === "text"
-     ? TEXT_BASE_R                     // your base dot radius in px at k=1
-     : getFatherBaseR({ foundingFigure: m.foundingFigure }) * 2.2; // match your draw base
-   const rRU = rPx; // 1 band-unit == 1px at k=1
-
-    // choose a bin width that scales with the item’s footprint
-    const BIN_PAD_PX = 6;
-    const binW = Math.max(24, 2 * rPx + BIN_PAD_PX); // diameter + pad
-
-    // put the item into every bin that its diameter touches (edge-safe)
-    const b0 = Math.floor((cx - rPx) / binW);
-    const b1 = Math.floor((cx + rPx) / binW);
-
-    // stash enriched item
-    const enriched = { ...m, _cx: cx, _rPx: rPx, _rRU: rRU, _binW: binW };
-
-    const bandBins = perBand.get(m.bandId) || new Map();
-    for (let b = b0; b <= b1; b++) {
-      const arr = bandBins.get(b) || [];
-      arr.push(enriched);
-      bandBins.set(b, arr);
-    }
-    perBand.set(m.bandId, bandBins);
-  }
-
-  // outputs
-  const textYMap  = new Map(); // bandId -> Map(textId   -> yU)
-  const fatherYMap = new Map(); // bandId -> Map(fatherId -> yU)
-
-  // collision check: two items collide if their vertical distance is too small
-  // *and* their horizontal spans overlap on screen.
-  function overlapsInX(a, b) {
-    return Math.abs(a._cx - b._cx) <= (a._rPx + b._rPx);
-  }
-  function minSepRU(a, b) {
-    const BASE_SEP_RU = 2;            // small constant buffer
-    return BASE_SEP_RU + a._rRU + b._rRU;
-  }
-
-  // placement
-  for (const [bandId, buckets] of perBand.entries()) {
-    const bounds = yBoundsU.get(bandId);
-    if (!bounds) continue;
-
-    // track already placed marks across all bins (global for the band)
-    const placed = []; // [{yU, item}]
-    const setY = (m, yU) => {
-      if (m.kind === "text") {
-        const inner = textYMap.get(bandId) || new Map();
-        inner.set(m.id, yU); textYMap.set(bandId, inner);
-      } else {
-        const inner = fatherYMap.get(bandId) || new Map();
-        inner.set(m.id, yU); fatherYMap.set(bandId, inner);
-      }
-      placed.push({ yU, item: m });
-    };
-
-    // deterministic bin order (left → right)
-    const binKeys = Array.from(buckets.keys()).sort((a,b)=>a-b);
-
-    for (const key of binKeys) {
-      const items = buckets.get(key);
-
-      // split by locked-lane only for texts (authors)
-      const locked = [];
-      const free   = [];
-      for (const m of items) {
-        let yLock = null;
-        // 1) texts with real authors → lock to their author lane
-       if (m.kind === "text" && m.authorKey) {
-          const lane = authorLaneMap.get(m.bandId)?.get(m.authorKey);
-          if (Number.isFinite(lane)) yLock = lane;
-        }
-        // 2) otherwise, if baseYU is provided (texts w/o author OR fathers), lock to it
-        if (!Number.isFinite(yLock) && Number.isFinite(m.baseYU)) {
-          yLock = m.baseYU;
-        }
-        if (Number.isFinite(yLock)) locked.push({ m, yLock });
-        else free.push(m);
-      }
-
-      // place locked first — clamp to bounds
-      for (const { m, yLock } of locked) {
-        const yU = Math.max(bounds.yMin, Math.min(bounds.yMax, yLock));
-        setY(m, yU);
-      }
-
-      // sort free: priority desc, size desc, kind stable, time then id
-      free.sort((a, b) => {
-        const pr = (b.priority ?? 0) - (a.priority ?? 0);
-        if (pr) return pr;
-        if (a._rRU !== b._rRU) return b._rRU - a._rRU;
-        if (a.kind !== b.kind) return a.kind.localeCompare(b.kind);
-        if (a.when !== b.when) return a.when - b.when;
-        return String(a.id).localeCompare(String(b.id));
-      });
-
-      // anchor: avg of locked lanes if any; else band center
-      const anchorU = locked.length
-        ? locked.reduce((s, { yLock }) => s + yLock, 0) / locked.length
-        : (bounds.yMin + bounds.yMax) / 2;
-
-      // try placing each free mark, nudging until it doesn't collide
-      for (let i = 0; i < free.length; i++) {
-        const m = free[i];
-
-        // start near anchor; alternate above/below
-        const centeredIndex = (j) => (j===0?0:(j%2 ? (j+1)/2 : -j/2));
-        let yU = anchorU + centeredIndex(i) * (m._rRU + 6);
-
-        // clamp and then resolve collisions w.r.t. already placed items whose x overlaps
-        yU = Math.max(bounds.yMin, Math.min(bounds.yMax, yU));
-
-        let tries = 0;
-        const MAX_TRIES = 24;
-        while (tries < MAX_TRIES) {
-          const badNeighbor = placed.find(p =>
-            overlapsInX(m, p.item) && Math.abs(p.yU - yU) < minSepRU(m, p.item)
-          );
-          if (!badNeighbor) break;
-
-          // nudge up/down in growing steps
-          const step = (m._rRU + 6) * (1 + tries * 0.12);
-          yU += (tries % 2 ? -1 : 1) * step;
-          yU = Math.max(bounds.yMin, Math.min(bounds.yMax, yU));
-          tries++;
-        }
-
-        setY(m, yU);
-      }
-    }
-  }
-
-  return { textYMap, fatherYMap };
-}
 
 
 
@@ -367,33 +246,6 @@ function getFatherBaseR(fatherRow) {
   return isYesish(fatherRow?.foundingFigure) ? FATHER_R_FOUNDING : FATHER_R_NONFOUND;
 }
 
-function overlayStrokeWidth(r){
-  // consistent stroke scaling; clamps avoid overdraw/vanish
-  return Math.max(0.5, Math.min(r * 0.16, 2.0));
-}
-
-function buildOverlaySegments(cx, cy, r, colors, showMid) {
-  const segs = [];
-  const { LT, LB, RM } = triPoints(cx, cy, r);
-  const n = colors.length;
-
-  // Internal split lines (between color slices)
-  if (n > 1) {
-    for (let i = 1; i < n; i++) {
-      const t = i / n;
-      const P = lerpPt(LT, LB, t);
-      segs.push({ type: "split", x1: P.x, y1: P.y, x2: RM.x, y2: RM.y });
-    }
-  }
-
-  // Vertical midline (historic badge)
-  if (showMid) {
-    const cap = r * 0.5;
-    segs.push({ type: "mid", x1: cx, y1: cy - cap, x2: cx, y2: cy + cap });
-  }
-
-  return segs;
-}
 
 const __tagColorCache = new Map();
 function pickSystemColorsCached(tagsStr) {
@@ -450,14 +302,6 @@ function pickSystemColor(tagsStr) {
 }
 
 
-function getLooseField(obj, targetKey) {
-  const want = String(targetKey).trim().toLowerCase();
-  for (const k of Object.keys(obj || {})) {
-    if (k && k.trim().toLowerCase() === want) return obj[k];
-  }
-  return undefined;
-}
-
 const normalizeAuthor = (name) =>
   String(name || "anon").trim().toLowerCase();
 
@@ -481,43 +325,6 @@ function parseCustomId(id = "") {
   return { groupKey: parts[1] };
 }
 
-// Big triangle points (right-pointing)
-function triPoints(cx, cy, r) {
-  return {
-    LT: { x: cx - r, y: cy - r },  // left-top
-    LB: { x: cx - r, y: cy + r },  // left-bottom
-    RM: { x: cx + r, y: cy },      // right-mid
-  };
-}
-function lerpPt(a, b, t) {
-  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
-}
-
-/**
- * Split the *left* edge (LT→LB) into n segments and form n skinny sub-triangles
- * with the right-mid point. Returns an array of { d, fill } for path drawing.
- */
-function leftSplitTriangleSlices(cx, cy, r, colors) {
-  const n = Math.max(1, (colors || []).length);
-  const { LT, LB, RM } = triPoints(cx, cy, r);
-
-  // Single color → single full triangle
-  if (n === 1) {
-    return [{ d: `M ${LT.x} ${LT.y} L ${LB.x} ${LB.y} L ${RM.x} ${RM.y} Z`, fill: colors?.[0] || "#666" }];
-  }
-
-  const slices = [];
-  for (let i = 0; i < n; i++) {
-    const t0 = i / n, t1 = (i + 1) / n;
-    const A = lerpPt(LT, LB, t0); // upper point on left edge
-    const B = lerpPt(LT, LB, t1); // lower point on left edge
-    slices.push({
-      d: `M ${A.x} ${A.y} L ${B.x} ${B.y} L ${RM.x} ${RM.y} Z`,
-      fill: colors[i],
-    });
-  }
-  return slices;
-}
 
 
 // Build a vertical envelope along time using all member bars/segments
@@ -585,42 +392,24 @@ function buildGroupIntervals(members) {
 
 
 
-/* ===== Adaptive tick helpers ===== */
-const formatTick = (a) => (Math.abs(a - 0.5) < 1e-6 ? "0" : formatYear(fromAstronomical(a)));
-
-function chooseYearStep(visibleSpanYears) {
-  if (visibleSpanYears > 8000) return 1000;
-  if (visibleSpanYears > 3000) return 500;
-  if (visibleSpanYears > 1200) return 250;
-  if (visibleSpanYears > 600)  return 100;
-  if (visibleSpanYears > 240)  return 50;
-  if (visibleSpanYears > 120)  return 20;
-  if (visibleSpanYears > 60)   return 10;
-  if (visibleSpanYears > 24)   return 5;
-  return 2;
+/* ===== Axis ticks (per calendar, see utils/calendars.js) ===== */
+function calendarTicks(calendar, zx) {
+  const [a0, a1] = zx.domain();
+  const fmt = calendar.tickFormat || calendar.format;
+  return calendar
+    .ticks(Math.min(a0, a1), Math.max(a0, a1))
+    // Drop 5500 BCE and 2500 CE ticks (=-5499 and =2500 in astronomical years)
+    .filter((t) => !FORBIDDEN_TICKS_ASTRO.has(t) && fmt(t) != null);
 }
 
-function makeAdaptiveTicks(zx) {
-  const [aMin0, aMax0] = zx.domain();
-  let hMin = fromAstronomical(aMin0);
-  let hMax = fromAstronomical(aMax0);
-  if (hMin > hMax) [hMin, hMax] = [hMax, hMin];
-
-  const span = Math.max(1, Math.abs(hMax - hMin));
-  const step = chooseYearStep(span);
-
-  const start = Math.ceil(hMin / step) * step;
-  const ticksHuman = [];
-  for (let y = start; y <= hMax; y += step) {
-    if (y !== 0) ticksHuman.push(y); // skip 0 (no year zero)
-  }
-
-  if (hMin < 0 && hMax > 0) ticksHuman.push(0.5); // BCE/CE marker
-
-  const ticksAstro = ticksHuman.map((y) => (y === 0.5 ? 0.5 : toAstronomical(y)));
-  ticksAstro.sort((a, b) => a - b);
-  // Drop 5500 BCE and 2500 CE ticks (=-5499 and =2500 in astronomical years)
-  return ticksAstro.filter(t => !FORBIDDEN_TICKS_ASTRO.has(t));
+// Converted dates for tooltips and cards, in the non-BCE/CE calendars shown
+function otherCalendarDates(d, calendars) {
+  if (!d) return "";
+  return calendars
+    .filter((c) => c.id !== DEFAULT_CALENDAR)
+    .map((c) => formatInCalendar(c, d.earliest ?? d.when, d.latest ?? d.when))
+    .filter(Boolean)
+    .join(" · ");
 }
 
 // Convert group intervals to a rectilinear (H/V only) envelope path in screen space.
@@ -718,7 +507,7 @@ function drawSlicesAtRadius(selection, r) {
       .raise();
 
     const show = n > 1;
-    const w = Math.max(0.35, Math.min(r * 0.18, 1.5));
+    const w = sliceSeparatorWidth(r);
 
     sepG.selectAll("line.sep")
       .data(boundaryAngles, a => a)
@@ -784,221 +573,226 @@ function deriveGroupTitles(groupKey, members) {
   return { shortLabel, longTitle, anchor };
 }
 
-/* ===== Dynamic dataset discovery (TEXTS ONLY) ===== */
-function useDiscoveredDatasets() {
-  const textModules =
-    import.meta.glob("../data/**/*_texts.json", { eager: true, import: "default" }) || {};
-  const folderOf = (p) => {
-    const m = p.match(/\/data\/([^/]+)\//);
-    return m ? m[1] : null;
-  };
-  const folders = new Set(Object.keys(textModules).map(folderOf));
-
-  const registry = [];
-  folders.forEach((folder) => {
-    if (!folder) return;
-    const durationId = `${folder}-composite`;
-    const texts = Object.entries(textModules)
-      .filter(([p]) => folderOf(p) === folder)
-      .flatMap(([, data]) => (Array.isArray(data) ? data : []));
-    registry.push({ folder, durationId, texts });
-  });
-  return registry;
+/* ===== Datasets: one lazily loaded chunk per civilization folder ===== */
+// Both files of a folder (*_texts.json, *_fathers.json) load together, when
+// the folder's band scrolls into view, its records match the active filters,
+// or a search hit / link / related chip points into it. Until then search,
+// tag counts and links go through the prebuilt manifest
+// (scripts/build-search-manifest.js).
+const DATASET_MODULES = import.meta.glob(
+  ["../data/**/*_texts.json", "../data/**/*_fathers.json"],
+  { import: "default" }
+);
+const folderOfPath = (p) => {
+  const m = p.match(/\/data\/([^/]+)\//);
+  return m ? m[1] : null;
+};
+const DATASET_FILES = new Map(); // folder -> [[path, load]]
+for (const entry of Object.entries(DATASET_MODULES)) {
+  const folder = folderOfPath(entry[0]);
+  if (!folder) continue;
+  DATASET_FILES.set(folder, [...(DATASET_FILES.get(folder) || []), entry]);
 }
-
-/* ===== FATHERS: discovery for *_fathers.json ===== */
-function useDiscoveredFatherSets() {
-  const fatherModules =
-    import.meta.glob("../data/**/*_fathers.json", { eager: true, import: "default" }) || {};
-  const folderOf = (p) => {
-    const m = p.match(/\/data\/([^/]+)\//);
-    return m ? m[1] : null;
-  };
-  const folders = new Set(Object.keys(fatherModules).map(folderOf));
-
-  const registry = [];
-  folders.forEach((folder) => {
-    if (!folder) return;
-    const durationId = `${folder}-composite`;
-    const fathers = Object.entries(fatherModules)
-      .filter(([p]) => folderOf(p) === folder)
-      .flatMap(([, data]) => (Array.isArray(data) ? data : []));
-    registry.push({ folder, durationId, fathers });
-  });
-  return registry;
+const DATASET_FOLDERS = [...DATASET_FILES.keys()].sort();
+const FOLDER_BY_BAND = new Map(DATASET_FOLDERS.map((f) => [`${f}-composite`, f]));
+
+// Events (*_events.json): dated happenings drawn as markers across one or
+// more bands. They are few and small, and a marker spans bands of other
+// folders, so they are bundled up front instead of loading per folder.
+const EVENT_MODULES = import.meta.glob("../data/**/*_events.json", {
+  eager: true,
+  import: "default",
+});
+const EVENT_DATASETS = Object.entries(EVENT_MODULES)
+  .map(([path, events]) => ({ folder: folderOfPath(path), events }))
+  .filter((ds) => ds.folder && Array.isArray(ds.events));
+
+// Rulers (*_rulers.json): reigns drawn as a sub-lane inside their band once
+// zoomed past RULERS_MIN_K. Small, and needed for the text cards of any
+// loaded folder, so bundled like the events.
+const RULER_MODULES = import.meta.glob("../data/**/*_rulers.json", {
+  eager: true,
+  import: "default",
+});
+const RULER_DATASETS = Object.entries(RULER_MODULES)
+  .map(([path, rulers]) => ({ folder: folderOfPath(path), rulers }))
+  .filter((ds) => ds.folder && Array.isArray(ds.rulers));
+
+// "Bands" / "Band" cell -> band ids. Entries may be band ids, folder names
+// ("egyptian" -> egyptian-composite) or custom group keys ("persian");
+// an empty cell means the record's own folder.
+function resolveBandIds(cell, folder, bandIds) {
+  const names = String(cell || "").split(",").map((s) => s.trim()).filter((s) => s && s !== "-");
+  const ids = (names.length ? names : [folder])
+    .map((n) => [n, `${n}-composite`, `customgroup-${n}`].find((id) => bandIds.has(id)))
+    .filter(Boolean);
+  return [...new Set(ids)];
 }
 
-const SYMBOLIC_SYSTEM_KEYS = Object.keys(SymbolicSystemColorPairs);
-
-/* ===== Tag groups (config-first) ===== */
-const TAG_GROUPS = [
-  // TEXTS-ONLY
-  {
-    key: "metaphysical",
-    label: "Metaphysical",
-    appliesTo: "texts",
-    allTags: [ "Apophatic–Aporetic (Unknowable)", "Phenomenology (Experiential)", "Becoming (Process Ontology)", "Pluralism (Multiplicities)", "Grid (Systematic Structuralism)",
-      "Dialectics (Conflict)", "Clockwork (Causal Determinism)", "Monism (Single Principle)", "Subversion (Negation)"
-    ],
-  },
-  {
-    key: "artsSciences",
-    label: "Arts & Sciences",
-    appliesTo: "texts",
-    allTags: [ "Mathematics", "Logic/Formal Reasoning", "Physics", "Chemistry", "Biology", "Medicine", "Astronomy", "Warfare", "Education", "Public Relations", "Political Science/Law",
-     "Economics", "Agriculture", "Sociology", "Linguistics", "Psychology", "Theology", "Literature", "Art/Aesthetics", "History", "Philosophy", "Anthropology"],
-  },
-  {
-    key: "literaryForms",
-    label: "Literary Forms",
-    appliesTo: "texts",
-    allTags: ["Poetry", "Dialogue", "Drama (Play)", "Narrative", "Essay / Argument", "Fiction", "Personal Writings", "Myth", "Doctrine / Treatise", "Record / Chronicle",
-       "Commentary / Exegesis", "Parable / Fable", "Proclamation / Decree", "Fragment", "Manual / Instruction", "Glossary / Taxonomy", "Analysis", "Liturgy", "Epic",
-        "Rulebook / Code", "Riddle / Aphorism", "Petition / Appeal", "Oral Tradition"],
-
-  },
-  {
-    key: "literaryContent",
-    label: "Literary Themes",
-    appliesTo: "texts",
-    allTags: ["Ritual / Devotional", "Comic / Satirical", "Adventure / Heroic Journey", "Coming of Age", "Introspective", "Apocalyptic / Eschatological", 
-      "Utopian / Dystopian", "Historical Reflection", "Metaphysical", "Epistemological / Hermeneutics", "Political", "Romantic / Erotic", "Tragic / Lamentation",
-       "Didactic / Ethical", "Absurd", "Prophetic / Revelation", "Existential", "Feminine", "Cosmological"],
-  },
-
-  // SHARED (texts + fathers)
-  {
-    key: "jungian",
-    label: "Jungian Archetypes",
-    appliesTo: "both",
-    allTags: [
-      "Shadow","Anima","Animus","Persona","Self","Hero","Wise Old Man","Wise Old Woman","Trickster","Initiator",
-      "Father Archetype","Mother Archetype","Terrible Mother","Terrible Father"
-    ],
-  },
-  {
-    key: "neumann",
-    label: "Neumann Stages",
-    appliesTo: "both",
-    allTags: [
-      "Uroboric Stage","Separation from World Parents","Battle with the Dragon","Isolation","Divine Intervention",
-      "Initiation","Death","Rebirth","Magical Empowerment","Return to the Community","Descent into the Underworld",
-      "Mythic Ordering of Reality","Ego Collapse","Ego Transcendence","Coronation of the King"
-    ],
-  },
-  {
-    key: "comtean",
-    label: "Comtean Framework",
-    appliesTo: "both",
-    allTags: [
-      "Theological/Mythological","Philosophical/Metaphysical","Positive/Empirical","Synthetic Literature"
-    ],
-  },
-  {
-    key: "socioPolitical",
-    label: "Socio-political",
-    appliesTo: "both",
-    allTags: ["Priestly / Theocratic", "Bureaucratic / Legal / Scribal", "Merchant / Cosmopolitan", "Warrior / Imperial", "Royal", "Scholarly", "Bohemian / Aesthetic", 
-      "Folk / Communal", "Subversive / Revolutionary", "Mystical / Initiatory", "National", "Recluse / Ascetic"],
-  },
-
-  {
-  key: "symbolicSystems",
-  label: "Symbolic Systems",
-  appliesTo: "both",
-  allTags: SYMBOLIC_SYSTEM_KEYS,
-},
-];
-
-
-
-/* Normalizers */
-const canonSetByKey = new Map(
-  TAG_GROUPS.map(g => [g.key, new Set(g.allTags.map(s => s.trim()))])
-);
-
-
-function normalizeTagStringToArray(raw, groupKey) {
-  const s = String(raw || "").trim();
-  if (s === "-") return null; // NA → ignore this group for this item
-
-  const canon = canonSetByKey.get(groupKey) || new Set();
-  const arr = s
-    .split(",")
-    .map(x => x.trim())
-    .filter(Boolean)
-    .filter(tag => canon.has(tag)); // keep only canonical tags
-  return arr; // [] means “no canonical tags present”, not NA
+// Manifest entries in the shape the filters expect (kind, when, tags);
+// folder, kind and index are spelled out only for ids without an Index
+const MANIFEST = searchManifest.map(({ span, ...m }) => {
+  const parts = splitRecordId(m.id);
+  const folder = m.folder ?? parts.folder;
+  const tags = unpackTags(m.tags);
+  return {
+    ...m,
+    folder,
+    kind: m.kind ?? parts.kind,
+    index: parts?.index,
+    system: (tags.symbolicSystems || []).join(", "),
+    durationId: `${folder}-composite`,
+    earliest: span ? span[0] : m.when,
+    latest: span ? span[1] : m.when,
+    tags,
+  };
+});
+const MANIFEST_BY_ID = new Map(MANIFEST.map((m) => [m.id, m]));
+// target id -> folders holding records that link to it (incoming relations)
+const LINKING_FOLDERS = new Map();
+for (const m of MANIFEST) {
+  for (const id of m.rel || []) {
+    LINKING_FOLDERS.set(id, new Set([...(LINKING_FOLDERS.get(id) || []), m.folder]));
+  }
 }
 
-
-/* Build "all selected" default state: { [groupKey]: Set(allTags) } */
-function makeDefaultSelectedByGroup() {
-  const out = {};
-  for (const g of TAG_GROUPS) out[g.key] = new Set(g.allTags);
-  return out;
+// SearchBar item for a record whose dataset has not loaded (no description yet)
+function manifestSearchItem(m) {
+  const colors = pickSystemColorsCached(m.system);
+  const common = {
+    id: m.id,
+    type: m.kind,
+    title: m.title || "",
+    index: m.index ?? null,
+    category: "",
+    description: "",
+    location: m.location || "",
+    tags: Object.values(m.tags).flat(),
+    colors,
+    when: m.when,
+    durationId: m.durationId,
+  };
+  if (m.kind === "father") {
+    return {
+      ...common,
+      subtitle: m.system || "",
+      color: colors[0] || "#666",
+      founding: !!m.founding,
+      historic: !!m.historic,
+    };
+  }
+  return {
+    ...common,
+    textIndex: m.index ?? null,
+    subtitle: m.author || "",
+    author: m.author || "",
+    language: m.language || "",
+    color: pickSystemColor(m.system),
+  };
 }
 
-function itemPassesFilters(row, type, selectedByGroup) {
-  for (const g of TAG_GROUPS) {
-    const applies =
-      g.appliesTo === "both" ||
-      (g.appliesTo === "texts" && type === "text") ||
-      (g.appliesTo === "fathers" && type === "father");
-    if (!applies) continue;
-
-    const selected = selectedByGroup[g.key] || new Set();
-    const selSize = selected.size;
-    const canonSize = g.allTags.length;
+function useLazyDatasets() {
+  const [loaded, setLoaded] = useState(() => new Map()); // folder -> { texts, fathers }
+  const [loadingFolders, setLoadingFolders] = useState(() => new Set());
+  const startedRef = useRef(new Set());
 
-    const itemTags = row.tags?.[g.key];
-    const isNA = itemTags == null;
-
-    // If user hasn't really narrowed anything (selected >= canon), don't filter
-    if (selSize >= canonSize) continue;
-
-    // If user deselected everything and item actually has this group → hide it
-    if (selSize === 0) { if (!isNA) return false; continue; }
+  // stable, so the draw effect can call it from zoom events
+  const requestFolders = useMemo(() => (folders) => {
+    const fresh = [...new Set(folders)].filter(
+      (f) => DATASET_FILES.has(f) && !startedRef.current.has(f)
+    );
+    if (!fresh.length) return;
+    fresh.forEach((f) => startedRef.current.add(f));
+    setLoadingFolders((prev) => new Set([...prev, ...fresh]));
+
+    for (const folder of fresh) {
+      const files = DATASET_FILES.get(folder);
+      Promise.all(files.map(([, load]) => load()))
+        .then((datas) => {
+          const rowsOf = (suffix) => files.flatMap(([p], i) =>
+            p.endsWith(suffix) && Array.isArray(datas[i]) ? datas[i] : []
+          );
+          const texts = rowsOf("_texts.json");
+          const fathers = rowsOf("_fathers.json");
+          setLoaded((prev) => new Map(prev).set(folder, { texts, fathers }));
+        })
+        .catch((err) => {
+          console.error(`[datasets] ${folder} failed to load`, err);
+          startedRef.current.delete(folder); // try again on the next request
+        })
+        .finally(() => {
+          setLoadingFolders((prev) => {
+            const next = new Set(prev);
+            next.delete(folder);
+            return next;
+          });
+        });
+    }
+  }, []);
 
-    if (isNA) continue; // item lacks this group → no constraint
+  const registries = useMemo(() => {
+    const datasetRegistry = [];
+    const fatherRegistry = [];
+    for (const folder of DATASET_FOLDERS) {
+      const data = loaded.get(folder);
+      if (!data) continue;
+      const durationId = `${folder}-composite`;
+      datasetRegistry.push({ folder, durationId, texts: data.texts });
+      fatherRegistry.push({ folder, durationId, fathers: data.fathers });
+    }
+    return { datasetRegistry, fatherRegistry, loadedFolders: new Set(loaded.keys()) };
+  }, [loaded]);
 
-    // Require intersection with the currently selected tags
-    if (!itemTags.some(t => selected.has(t))) return false;
-  }
-  return true;
+  return { ...registries, loadingFolders, requestFolders };
 }
 
 
 
-
-
 export default function Timeline() {
   
   const wrapRef = useRef(null);
   const svgRef = useRef(null);
   
   const axisRef = useRef(null);
+  const axis2Ref = useRef(null);       // secondary era track
+  const brushRef = useRef(null);        // year-window brush on the axis
+  const syncBrushRef = useRef(() => {}); // re-projects the year window for a given zx
+  const syncMinimapRef = useRef(() => {}); // moves the overview's viewport box (Minimap)
+  const syncCompareRef = useRef(() => {}); // re-places the comparison panes (ComparePanes)
   const gridRef = useRef(null);
   const customPolysRef = useRef(null); // NEW: group polygons layer
   const outlinesRef = useRef(null);
   const segmentsRef = useRef(null);
+  const rulersRef = useRef(null);       // reign sub-lanes (zoomed in past RULERS_MIN_K)
   const textsRef = useRef(null);
   const fathersRef = useRef(null);      // FATHERS: new layer ref
+  const relationsRef = useRef(null);    // arcs between related marks
+  const linkedRef = useRef(null);       // rings on marks hovered in the map panel
+  const loadingRef = useRef(null);      // placeholders on bands whose dataset is loading
+  const focusRingRef = useRef(null);    // keyboard focus ring
+  const rangesRef = useRef(null);       // date-range whiskers / lifespan bars
+  const eventsRef = useRef(null);       // event markers across their bands
+  const focusedMarkIdRef = useRef(null); // mark focused with the arrow keys
+  const keyboardFocusRef = useRef(false); // chart focused from the keyboard, not by a click
+  const marksCanvasRef = useRef(null);  // canvas renderer layer (under the svg)
+  const canvasMarksRef = useRef({ marks: [], index: null, hoverId: null });
   const prevZoomedInRef = useRef(false);
+  const [showOverview, setShowOverview] = useState(false); // past ZOOM_THRESHOLD: show the overview strip
   const hoveredDurationIdRef = useRef(null);
   const awaitingCloseClickSegRef = useRef(false);
   
   const zoomDraggingRef = useRef(false);
   const clipId = useId();
     function logRenderedCounts() {
-    // Count *rendered* marks (current DOM), not dataset sizes
-    const textsCount = d3.select(textsRef.current)
-      .selectAll("circle.textDot")
-      .size();
+    // Count *rendered* marks (current DOM or canvas), not dataset sizes
+    const canvasMarks = marksCanvasRef.current ? canvasMarksRef.current.marks : null;
+    const textsCount = canvasMarks
+      ? canvasMarks.filter((m) => m.kind === "text").length
+      : d3.select(textsRef.current).selectAll("circle.textDot").size();
 
-    const fathersCount = d3.select(fathersRef.current)
-      .selectAll("g.fatherMark")
-      .size();
+    const fathersCount = canvasMarks
+      ? canvasMarks.length - textsCount
+      : d3.select(fathersRef.current).selectAll("g.fatherMark").size();
 
     const total = textsCount + fathersCount;
 
@@ -1034,11 +828,15 @@ export default function Timeline() {
   const zoomRef = useRef(null);
   const svgSelRef = useRef(null);
   const flyToRef = useRef(null);
+  const flyToPeriodRef = useRef(null);
   const textCardRef = useRef(null);
   const fatherCardRef = useRef(null);
+  const eventCardRef = useRef(null);
 
   const [visibleIds, setVisibleIds] = useState(() => new Set());
   const visibleIdsRef = useRef(new Set());
+  const [visibleSpan, setVisibleSpan] = useState(null); // [startYear, endYear] on screen
+  const visibleSpanRef = useRef(null);
   const visUpdateRaf = useRef(0);
 
 
@@ -1058,6 +856,8 @@ export default function Timeline() {
   const [cardPos, setCardPos] = useState({ left: 16, top: 16 });
   const [selectedFather, setSelectedFather] = useState(null);
   const [fatherCardPos, setFatherCardPos] = useState({ left: 16, top: 16 });
+  const [selectedEvent, setSelectedEvent] = useState(null);
+  const [eventCardPos, setEventCardPos] = useState({ left: 16, top: 16 });
 const closeAllAnimated = () => {
   if (selectedText && textCardRef.current?.startClose) {
     textCardRef.current.startClose();
@@ -1065,27 +865,67 @@ const closeAllAnimated = () => {
   if (selectedFather && fatherCardRef.current?.startClose) {
     fatherCardRef.current.startClose();
   }
+  if (selectedEvent && eventCardRef.current?.startClose) {
+    eventCardRef.current.startClose();
+  }
   // Don't clear state here; each card will call its onClose after animation.
 };
-  const modalOpen = !!selectedText || !!selectedFather;
+  const modalOpen = !!selectedText || !!selectedFather || !!selectedEvent;
   const lastTransformRef = useRef(null);  // remembers latest d3.zoom transform
   const didInitRef = useRef(false);       // tracks first-time init
 
+  // Shareable URL state: parsed once, seeds filters / viewport / open card
+  const initialUrlStateRef = useRef(null);
+  if (initialUrlStateRef.current === null) {
+    initialUrlStateRef.current = parseViewState(readHash(), TAG_GROUPS);
+  }
+  const pendingOpenIdRef = useRef(initialUrlStateRef.current.openId); // card to open once rows exist
+  const restoringUrlRef = useRef(false);  // true while applying a popstate
+  const urlSyncedOnceRef = useRef(false); // first write replaces, later ones push
+
   // New: Tag filtering state (controlled by TagPanel)
-const [selectedByGroup, setSelectedByGroup] = useState(() => makeDefaultSelectedByGroup());
+const [selectedByGroup, setSelectedByGroup] = useState(
+  () => initialUrlStateRef.current.selectedByGroup || makeDefaultSelectedByGroup(TAG_GROUPS)
+);
+// Per-group match mode (any / all / none) and "include untagged" toggle
+const [modesByGroup, setModesByGroup] = useState(
+  () => initialUrlStateRef.current.modesByGroup || makeDefaultModesByGroup(TAG_GROUPS)
+);
+
+// "timeline" (time axis), "network" (influence graph over the same filtered
+// rows), "table" or "compare" (two filtered panes on the same axis)
+const [viewMode, setViewMode] = useState(() => initialUrlStateRef.current.mode);
+
+// Comparison view: second pane's tag selection, and which pane TagPanel edits
+const [compareSelectedByGroup, setCompareSelectedByGroup] = useState(
+  () => initialUrlStateRef.current.compareSelectedByGroup || makeDefaultSelectedByGroup(TAG_GROUPS)
+);
+const [compareEditing, setCompareEditing] = useState("a");
+
+// Brushed [start, end] window in human years (null = no window); not tied to zoom
+const [yearRange, setYearRange] = useState(() => initialUrlStateRef.current.yearRange);
 
+const knownTagsRef = useRef(null);
 useEffect(() => {
   // When SymbolicSystemColorPairs (and thus TAG_GROUPS) changes, make sure
   // selectedByGroup includes any newly added canonical tags.
-  setSelectedByGroup(prev => {
+  // Only tags unseen on the previous run are added, so a selection restored
+  // from the URL is not widened back to "all" on mount.
+  const known = knownTagsRef.current;
+  knownTagsRef.current = new Map(TAG_GROUPS.map(g => [g.key, new Set(g.allTags)]));
+  if (!known) return;
+  const widen = prev => {
     const next = { ...prev };
     for (const g of TAG_GROUPS) {
       const prevSet = new Set(prev[g.key] || []);
-      for (const tag of g.allTags) prevSet.add(tag);
+      const seen = known.get(g.key) || new Set();
+      for (const tag of g.allTags) if (!seen.has(tag)) prevSet.add(tag);
       next[g.key] = prevSet;
     }
     return next;
-  });
+  };
+  setSelectedByGroup(widen);
+  setCompareSelectedByGroup(widen);
   // Depend on the actual keys so this runs when you add a new system
 }, [JSON.stringify(Object.keys(SymbolicSystemColorPairs))]);
 
@@ -1102,8 +942,28 @@ useEffect(() => {
   }, []);
   const { width, height } = size;
 
+  // Calendars: the axis labels and an optional second era track under it
+  const [calendarIds, setCalendarIds] = usePersistedState(CALENDAR_STORAGE_KEY, {
+    read: (raw) => {
+      const saved = raw ? JSON.parse(raw) : null;
+      return { primary: saved?.primary || DEFAULT_CALENDAR, secondary: saved?.secondary || null };
+    },
+    write: JSON.stringify,
+  });
+  const primaryCalendar = getCalendar(calendarIds.primary);
+  const secondaryCalendar = calendarIds.secondary ? getCalendar(calendarIds.secondary) : null;
+  const shownCalendars = useMemo(
+    () => (secondaryCalendar ? [primaryCalendar, secondaryCalendar] : [primaryCalendar]),
+    [primaryCalendar, secondaryCalendar]
+  );
+
   /* ---- Layout ---- */
-  const margin = { top: 8, right: 0, bottom: 28, left: 0 };
+  const margin = {
+    top: 8,
+    right: 0,
+    bottom: AXIS_H + (secondaryCalendar ? SECONDARY_AXIS_H : 0),
+    left: 0,
+  };
   const innerWidth = width - margin.left - margin.right;
   const innerHeight = height - margin.top - margin.bottom;
   const axisY = innerHeight;
@@ -1270,6 +1130,7 @@ useEffect(() => {
           id: `${d.id}__seg_${i}`,
           parentId,
           parentColor: color,
+          parentName: d["expanded name"] || d.name || "",
           start: s.start,
           end: s.end,
           y,
@@ -1282,11 +1143,18 @@ useEffect(() => {
     return rows;
   }, [durations, innerHeight, outlines]);
 
-  /* ---- Datasets (TEXTS ONLY) ---- */
-  const datasetRegistry = useDiscoveredDatasets();
-
-  /* ---- FATHERS: registry ---- */
-  const fatherRegistry = useDiscoveredFatherSets();
+  /* ---- Datasets (texts + fathers, loaded per folder) ---- */
+  const {
+    datasetRegistry,
+    fatherRegistry,
+    loadedFolders,
+    loadingFolders,
+    requestFolders,
+  } = useLazyDatasets();
+  const loadingFoldersRef = useRef(loadingFolders);
+  const redrawLoadingRef = useRef(() => {});
+  const showDateRangesRef = useRef(false);
+  const redrawRangesRef = useRef(() => {});
 
   /* ---- Texts rows ---- */
   const textRows = useMemo(() => {
@@ -1308,7 +1176,8 @@ useEffect(() => {
         return bandY + pad + r * Math.max(1, bandH - 2 * pad);
       };
 
-      for (const t of ds.texts || []) {
+      for (const rawText of ds.texts || []) {
+        const t = nullCellsToNA(rawText);
         
         const title = (t["Name"] || "").trim();
         const authorName = (t["Author"] || "").trim();
@@ -1320,6 +1189,7 @@ useEffect(() => {
         const jungianArchetypesTags = (t["Jungian Archetypes Tags"] || "").trim();
         const neumannStagesTags = (t["Neumann Stages Tags"] || "").trim();
         const originalGeo = (t["Original Geographical Location"] || "").trim();
+        const currentGeo = (t["Current Geographical Location"] || "").trim();
         const originalLanguage = (t["Original Language"] || "").trim();
         const comteanFramework = (t["Comtean framework"] || "").trim();
         const category = (t["Category"] || "").trim();
@@ -1329,19 +1199,8 @@ useEffect(() => {
         const symbolicSystemTags = (t["Symbolic System Tags"] || "").trim();
         const textIndex = ((getLooseField(t, "Index") ?? "") + "").trim();
 
-                // Normalized tag arrays for filtering (keeps canonical casing)
-const tags = {
-  metaphysical:    normalizeTagStringToArray(metaphysicalTags, "metaphysical"),
-  artsSciences:    normalizeTagStringToArray(artsAndSciencesTags, "artsSciences"),
-  literaryForms:   normalizeTagStringToArray(literaryFormsTags, "literaryForms"),
-  literaryContent: normalizeTagStringToArray(literaryContentTags, "literaryContent"),
-  jungian:         normalizeTagStringToArray(jungianArchetypesTags, "jungian"),
-  neumann:         normalizeTagStringToArray(neumannStagesTags, "neumann"),
-  comtean:         normalizeTagStringToArray(comteanFramework, "comtean"),
-  socioPolitical:  normalizeTagStringToArray(socioPoliticalTags, "socioPolitical"),
-  // ADD THIS:
-  symbolicSystems: normalizeTagStringToArray(symbolicSystemTags, "symbolicSystems"),
-};
+        // Normalized tag arrays for filtering (keeps canonical casing)
+        const tags = recordTags(t, TEXT_TAG_FIELDS);
 
 
 
@@ -1361,6 +1220,7 @@ const tags = {
         const { y, locked: yLocked } = computeYFromYPos(t["Y-pos"], bandY, bandH, autoY);
 
         const displayDate = approxDateStr || formatYear(when);
+        const range = textDateRange(t, when);
 
         // If Y-pos is set, do not lock to author lanes (authorKey=null)
         const computedAuthorKey = yLocked
@@ -1370,9 +1230,12 @@ const tags = {
        
 
         rowsT.push({
-          id: `${ds.durationId}__text__${title || hashString(JSON.stringify(t))}__${when}`,
+          id: textRecordId(ds, t, when),
           durationId: ds.durationId,
           when,
+          earliest: range.earliest,
+          latest: range.latest,
+          dateConfidence: range.confidence,
           y,
           color,
           colors,
@@ -1387,6 +1250,7 @@ const tags = {
           jungianArchetypesTags,
           neumannStagesTags,
           originalGeographicalLocation: originalGeo,
+          currentGeographicalLocation: currentGeo,
           originalLanguage,
           comteanFramework,
           category,
@@ -1396,6 +1260,8 @@ const tags = {
           symbolicSystemTags,
           textIndex,
           tags,  
+          kind: "text",
+          relations: parseRelations(t["relations"]),
         });
       }
     }
@@ -1429,7 +1295,8 @@ const tags = {
       return bandY + pad + r * Math.max(1, bandH - 2 * pad);
     };
 
-    for (const f of ds.fathers || []) {
+    for (const rawFather of ds.fathers || []) {
+      const f = nullCellsToNA(rawFather);
       const name = String(f["Name"] || "").trim();
       const when = getDatavizNumber(f);
       if (!Number.isFinite(when)) continue;
@@ -1466,17 +1333,17 @@ const tags = {
     ));
 
 
-      // Build tag arrays AFTER symbolicSystem is available
-      const tags = {
-        jungian:          normalizeTagStringToArray(jungianArchetypesTags, "jungian"),
-        neumann:          normalizeTagStringToArray(neumannStagesTags, "neumann"),
-        symbolicSystems:  normalizeTagStringToArray(symbolicSystem, "symbolicSystems"),
-      };
+      // Normalized tag arrays for filtering
+      const tags = recordTags(f, FATHER_TAG_FIELDS);
+      const lifespan = fatherDateRange(f, when);
 
       rowsF.push({
-        id: `${ds.durationId}__father__${name || hashString(JSON.stringify(f))}__${when}`,
+        id: fatherRecordId(ds, f, when),
         durationId: ds.durationId,
         when,
+        earliest: lifespan.earliest,
+        latest: lifespan.latest,
+        dateConfidence: lifespan.confidence,
         y,
         laneKey: keyForLane,
         color,
@@ -1494,6 +1361,8 @@ const tags = {
         category,
         symbolicSystem,
         tags,
+        kind: "father",
+        relations: parseRelations(f["relations"]),
       });
     }
   }
@@ -1509,16 +1378,202 @@ const tags = {
 }, [fatherRegistry, outlines]);
 
 
+  // EVENTS: rows (vertical markers across their bands; bundled, see EVENT_DATASETS)
+  const eventRows = useMemo(() => {
+    const outlinesById = new Map(outlines.map((o) => [o.id, o]));
+    const bandIds = new Set(outlinesById.keys());
+    const rowsE = [];
+
+    for (const ds of EVENT_DATASETS) {
+      for (const rawEvent of ds.events) {
+        const e = nullCellsToNA(rawEvent);
+        const when = getTextDate(e);
+        if (!Number.isFinite(when)) continue;
+
+        const bands = resolveBandIds(e["Bands"], ds.folder, bandIds).map((id) => outlinesById.get(id));
+        if (!bands.length) continue;
+        const top = d3.min(bands, (b) => b.y);
+        const bottom = d3.max(bands, (b) => b.y + b.h);
+        const range = eventDateRange(e, when);
+        const approxDateStr = String(e["Approx. Date"] || "").trim();
+
+        rowsE.push({
+          id: eventRecordId(ds, e, when),
+          durationId: `${ds.folder}-composite`,
+          bandIds: bands.map((b) => b.id),
+          when,
+          earliest: range.earliest,
+          latest: range.latest,
+          dateConfidence: range.confidence,
+          top,
+          bottom,
+          y: (top + bottom) / 2,
+          color: bands[0].color || "#666",
+          name: String(e["Name"] || "").trim(),
+          index: String(getLooseField(e, "Index") ?? "").trim(),
+          displayDate: approxDateStr || formatYear(when),
+          location: String(e["Location"] || "").trim(),
+          description: String(e["Description"] || "").trim(),
+          eventTypeTags: String(e["Event Type Tags"] || "").trim(),
+          tags: recordTags(e, EVENT_TAG_FIELDS),
+          kind: "event",
+        });
+      }
+    }
+    return rowsE;
+  }, [outlines]);
+
+  // RULERS: reigns shaped like segments (id, parentId, start, end, y, h, label,
+  // note) so they share the segment hover, click box and search. Overlapping
+  // reigns (co-regencies, rival lines) stack in rows of the sub-lane.
+  const reigns = useMemo(() => {
+    const outlinesById = new Map(outlines.map((o) => [o.id, o]));
+    const bandIds = new Set(outlinesById.keys());
+    const byBand = new Map(); // band id -> { band, list }
+
+    for (const ds of RULER_DATASETS) {
+      for (const rawRuler of ds.rulers) {
+        const r = nullCellsToNA(rawRuler);
+        const a = Number(r["Start"]);
+        const b = Number(r["End"]);
+        if (!Number.isFinite(a) || !Number.isFinite(b)) continue;
+        const band = outlinesById.get(resolveBandIds(r["Band"], ds.folder, bandIds)[0]);
+        if (!band) continue;
+
+        const reignStr = String(r["Reign"] || "").trim();
+        const entry = byBand.get(band.id) || { band, list: [] };
+        entry.list.push({
+          id: rulerRecordId(ds, r, a),
+          start: Math.min(a, b),
+          end: Math.max(a, b),
+          label: String(r["Name"] || "").trim(),
+          date: reignStr && reignStr !== "-" ? reignStr : "",
+          note: [r["Title"], r["Dynasty"], r["Note"]]
+            .map((v) => String(v || "").trim())
+            .filter((v) => v && v !== "-")
+            .join(" · "),
+        });
+        byBand.set(band.id, entry);
+      }
+    }
+
+    const out = [];
+    for (const { band, list } of byBand.values()) {
+      list.sort((p, q) => p.start - q.start || p.end - q.end);
+      const rowEnds = []; // successors may start the year their predecessor ends
+      const rows = list.map((r) => {
+        let row = rowEnds.findIndex((end) => end <= r.start);
+        if (row < 0) row = rowEnds.length;
+        rowEnds[row] = r.end;
+        return row;
+      });
+      const laneH = band.h * RULER_LANE_FRAC;
+      const rowH = laneH / rowEnds.length;
+      list.forEach((r, i) => out.push({
+        ...r,
+        kind: "reign",
+        parentId: band.id,
+        parentColor: band.color,
+        parentName: band.expandedName || band.name || "",
+        bandY: band.y,
+        bandH: band.h,
+        y: band.y + band.h - laneH + rows[i] * rowH,
+        h: rowH,
+      }));
+    }
+    return out;
+  }, [outlines]);
+
+  // Reigns covering a text's year on its band's row ("composed during the reign of …")
+  const reignsAt = (d) => d
+    ? reigns
+      .filter((r) => r.start <= d.when && d.when <= r.end && d.y >= r.bandY && d.y <= r.bandY + r.bandH)
+      .map((r) => r.label)
+    : [];
+
   // New: filtered (visible) rows based on selected tags
 const visTextRows = useMemo(
-  () => (textRows || []).filter(r => itemPassesFilters(r, "text", selectedByGroup)),
-  [textRows, selectedByGroup]
+  () => (textRows || []).filter(r =>
+    rowInYearRange(r, yearRange) &&
+    itemPassesFilters(r, "text", selectedByGroup, modesByGroup, TAG_GROUPS)
+  ),
+  [textRows, selectedByGroup, modesByGroup, yearRange]
 );
 const visFatherRows = useMemo(
-  () => (fatherRows || []).filter(r => itemPassesFilters(r, "father", selectedByGroup)),
-  [fatherRows, selectedByGroup]
+  () => (fatherRows || []).filter(r =>
+    rowInYearRange(r, yearRange) &&
+    itemPassesFilters(r, "father", selectedByGroup, modesByGroup, TAG_GROUPS)
+  ),
+  [fatherRows, selectedByGroup, modesByGroup, yearRange]
+);
+
+const visEventRows = useMemo(
+  () => eventRows.filter(r =>
+    rowInYearRange(r, yearRange) &&
+    itemPassesFilters(r, "event", selectedByGroup, modesByGroup, TAG_GROUPS)
+  ),
+  [eventRows, selectedByGroup, modesByGroup, yearRange]
 );
 
+// Records of datasets not loaded yet, from the search manifest
+const unloadedEntries = useMemo(
+  () => MANIFEST.filter((m) => !loadedFolders.has(m.folder)),
+  [loadedFolders]
+);
+const unloadedMatches = useMemo(
+  () => unloadedEntries.filter((m) =>
+    rowInYearRange(m, yearRange) &&
+    itemPassesFilters(m, m.kind, selectedByGroup, modesByGroup, TAG_GROUPS)
+  ),
+  [unloadedEntries, selectedByGroup, modesByGroup, yearRange]
+);
+
+// Comparison view: pane A shows the main filters, pane B its own tag
+// selection (match modes and the year window are shared)
+const paneSelections = { a: selectedByGroup, b: compareSelectedByGroup };
+const panelPane = viewMode === "compare" ? compareEditing : "a";
+const panelSelectedByGroup = paneSelections[panelPane];
+const setPanelSelectedByGroup = panelPane === "b" ? setCompareSelectedByGroup : setSelectedByGroup;
+
+const comparePanes = useMemo(() => {
+  if (viewMode !== "compare") return null;
+  const pane = (key, title, sel) => {
+    const passes = (r) =>
+      rowInYearRange(r, yearRange) && itemPassesFilters(r, r.kind, sel, modesByGroup, TAG_GROUPS);
+    const rows = [...textRows, ...fatherRows].filter(passes);
+    const pending = unloadedEntries.filter(passes);
+    const clauses = describeFilters(TAG_GROUPS, sel, modesByGroup);
+    return {
+      key,
+      title,
+      rows,
+      pending,
+      years: [...rows, ...pending].map((r) => r.when),
+      summary: clauses.length ? clauses.map((c) => `${c.label}: ${c.text}`).join("; ") : "No filters",
+    };
+  };
+  return [pane("a", "A", selectedByGroup), pane("b", "B", compareSelectedByGroup)];
+}, [viewMode, textRows, fatherRows, unloadedEntries, selectedByGroup, compareSelectedByGroup, modesByGroup, yearRange]);
+
+// Both panes draw their records: load every civilization either one matches
+useEffect(() => {
+  if (comparePanes) requestFolders(comparePanes.flatMap((p) => p.pending.map((m) => m.folder)));
+}, [comparePanes, requestFolders]);
+
+// Per-tag counts for TagPanel, each group counted under the other filters
+const tagFacetCounts = useMemo(
+  () => facetCounts([...textRows, ...fatherRows, ...eventRows, ...unloadedEntries], {
+    selectedByGroup: panelSelectedByGroup, modesByGroup, yearRange, groups: TAG_GROUPS,
+  }),
+  [textRows, fatherRows, eventRows, unloadedEntries, panelSelectedByGroup, modesByGroup, yearRange]
+);
+
+// Filters reach into every civilization: load the ones with matching records
+useEffect(() => {
+  const active = yearRange || describeFilters(TAG_GROUPS, selectedByGroup, modesByGroup).length;
+  if (active) requestFolders(unloadedMatches.map((m) => m.folder));
+}, [unloadedMatches, selectedByGroup, modesByGroup, yearRange, requestFolders]);
+
   const textMarks = useMemo(() => (visTextRows || []).map(t => ({
   id: t.id,
   kind: "text",
@@ -1544,77 +1599,69 @@ const fatherMarks = useMemo(() => (visFatherRows || []).map(f => ({
 
 const allMarks = useMemo(() => [...textMarks, ...fatherMarks], [textMarks, fatherMarks]);
 
-// Map: bandId -> Map(authorKey -> laneY_in_band_units_at_k1)
-  const authorLaneMap = useMemo(() => {
-    const map = new Map();
-
-    // Group texts by band
-    const byBand = new Map();
-    for (const t of textRows) {
-      const arr = byBand.get(t.durationId) || [];
-      arr.push(t);
-      byBand.set(t.durationId, arr);
-    }
-
-    
-
-    // Fast band lookup
-    const bandById = new Map(outlines.map(o => [o.id, o]));
-
-    for (const [bandId, items] of byBand.entries()) {
-      const band = bandById.get(bandId);
-      if (!band) continue;
-
-      // Band height in "band units" (y0 domain where 1 unit = 1px at k=1)
-      const bandTopU = y0(band.y);
-      const bandBotU = y0(band.y + band.h);
-      const bandHeightU = bandBotU - bandTopU;
-
-      // Unique, non-placeholder authors present in this band (deterministic order)
-      const authors = Array.from(
-        new Set(items.filter(t => t.authorKey).map(t => t.authorKey))
-      ).sort();
-
-      if (authors.length === 0) {            // no real authors in this band
-        map.set(bandId, new Map());          // still set an empty map
-        continue;
-      }
-
-      // Even spacing with padding
-      const padU = Math.max(1, bandHeightU * 0.08);
-      const usableU = Math.max(1, bandHeightU - 2 * padU);
-      const n = Math.max(1, authors.length);
-      const stepU = n > 1 ? usableU / (n - 1) : 0;
-
-      const lanes = new Map();
-      authors.forEach((ak, i) => {
-        const yLaneU = n === 1
-          ? bandTopU + bandHeightU / 2
-          : bandTopU + padU + i * stepU;
-        lanes.set(ak, yLaneU);
-      });
+// Explicit relations (authoredBy, mentions, ...) in both directions, by record id
+const relationIndex = useMemo(
+  () => buildRelationIndex([...textRows, ...fatherRows]),
+  [textRows, fatherRows]
+);
 
-      map.set(bandId, lanes);
-    }
+// Influence network view works on the same filtered rows as the marks
+const graphRows = useMemo(
+  () => [...visTextRows, ...visFatherRows],
+  [visTextRows, visFatherRows]
+);
 
-    return map;
-  }, [textRows, outlines, y0]);
+// Mark layout (author lanes + collision placement) runs in a worker, see
+// utils/markLayout.js. Scales are resolved here so the job is plain data;
+// until a job reports back, marks keep their previous (or base) Y.
+const layoutInput = useMemo(() => ({
+  bands: outlines.map((o) => ({ id: o.id, topU: y0(o.y), botU: y0(o.y + o.h) })),
+  texts: textRows.map((t) => ({ bandId: t.durationId, authorKey: t.authorKey || null })),
+  marks: allMarks.map((m) => ({
+    id: m.id,
+    kind: m.kind,
+    bandId: m.bandId,
+    when: m.when,
+    cx: x(toAstronomical(m.when)),   // screen x at k=1 (px), used for binning
+    // use base (k=1) draw sizes for spacing; no zoom here
+    rPx: m.kind === "text"
+      ? TEXT_BASE_R
+      : getFatherBaseR({ foundingFigure: m.foundingFigure }) * 2.2,
+    authorKey: m.authorKey,
+    baseYU: m.baseYU,
+    priority: m.priority,
+  })),
+}), [allMarks, outlines, textRows, x, y0]);
+
+const [markLayout, setMarkLayout] = useState(EMPTY_LAYOUT);
+const { textYMap, fatherYMap, authorLaneMap } = markLayout;
+const layoutClientRef = useRef(null);
 
-const { textYMap, fatherYMap } = useMemo(() => {
-  // use the *current* transform if present so positions are stable
-  const t = lastTransformRef.current ?? d3.zoomIdentity;
-  const zx = t.rescaleX(x);
-  const k  = t.k ?? 1;
+useEffect(() => {
+  const client = createLayoutClient();
+  layoutClientRef.current = client;
+  return () => client.dispose();
+}, []);
 
-  return layoutMarksByPixels({
-    marks: allMarks,
-    outlines,
-    authorLaneMap,
-    x,               // used for binning by current pixel X
-    y0,               // your base Y scale (band units @ k=1)
-    innerHeight,      // for bounds/padding
+useEffect(() => {
+  // progressive results land at most once per frame
+  let pending = [];
+  let raf = 0;
+  const flush = () => {
+    raf = 0;
+    const batch = pending;
+    pending = [];
+    setMarkLayout((prev) => applyLayoutMessages(prev, batch));
+  };
+  const cancel = layoutClientRef.current.run(layoutInput, (msg) => {
+    pending.push(msg);
+    if (!raf) raf = requestAnimationFrame(flush);
   });
-}, [allMarks, outlines, authorLaneMap, x, y0, innerHeight]);
+  return () => {
+    cancel();
+    cancelAnimationFrame(raf);
+  };
+}, [layoutInput]);
 
 function redrawFatherAtRadius(gFather, d, r) {
   const zx = zxRef.current, zy = zyRef.current;
@@ -1678,8 +1725,12 @@ const searchItems = useMemo(() => {
     textIndex: t.textIndex ?? null,
     index: t.textIndex ?? null,
     subtitle: t.authorName || "",
+    author: t.authorName || "",
     category: t.category || t.comteanFramework || "",
     description: t.shortDescription || "",
+    language: t.originalLanguage || "",
+    location: t.originalGeographicalLocation || "",
+    tags: Object.values(t.tags || {}).flat(),
     color: t.color || (t.colors?.[0]) || "#666",
     colors: t.colors || null,
     when: t.when,
@@ -1694,6 +1745,8 @@ const searchItems = useMemo(() => {
     subtitle: f.symbolicSystem || "",
     category: f.category || f.historicMythicStatusTags || "",
     description: f.description || "",
+    location: f.location || "",
+    tags: Object.values(f.tags || {}).flat(),
     color: f.color || "#666",
     colors: f.colors || null,
     founding: isYesish(f.foundingFigure),
@@ -1702,21 +1755,122 @@ const searchItems = useMemo(() => {
     durationId: f.durationId,
   }));
 
-  return [...texts, ...fathers];
-}, [visTextRows, visFatherRows]);
+  const bandName = (id) => outlines.find((o) => o.id === id)?.name || "";
+  const events = visEventRows.map(e => ({
+    id: e.id,
+    type: "event",
+    title: e.name,
+    index: e.index || null,
+    subtitle: [...new Set(e.bandIds.map(bandName).filter(Boolean))].join(", "),
+    category: e.eventTypeTags || "Event",
+    description: e.description,
+    location: e.location,
+    date: e.displayDate,
+    tags: Object.values(e.tags || {}).flat(),
+    color: e.color,
+    when: e.when,
+  }));
+
+  // Duration bands (custom groups stand in for their hidden members) and segments
+  const durationItems = outlines
+    .filter(o => !o._hiddenCustom)
+    .map(o => ({
+      id: o.id,
+      type: "duration",
+      title: o.expandedName || o.name || "",
+      category: "Period",
+      description: o.broadNote || "",
+      date: o.broadLifespan || fmtRange(o.start, o.end),
+      color: o.color,
+      start: o.start,
+      end: o.end,
+      when: o.start,
+    }));
+
+  const segmentItems = segments
+    .filter(sg => sg.label)
+    .map(sg => ({
+      id: sg.id,
+      type: "segment",
+      title: sg.label,
+      subtitle: sg.parentName,
+      category: "Segment",
+      description: sg.note || "",
+      date: fmtRange(sg.start, sg.end),
+      color: sg.parentColor,
+      start: sg.start,
+      end: sg.end,
+      when: sg.start,
+    }));
+
+  // reigns open like segments
+  const reignItems = reigns.map(r => ({
+    id: r.id,
+    type: "segment",
+    title: r.label,
+    subtitle: r.parentName,
+    category: "Reign",
+    description: r.note,
+    date: r.date || fmtRange(r.start, r.end),
+    color: r.parentColor,
+    start: r.start,
+    end: r.end,
+    when: r.start,
+  }));
 
+  // records still loading come from the manifest
+  const pending = unloadedMatches.map(manifestSearchItem);
+
+  return [...texts, ...fathers, ...pending, ...events, ...durationItems, ...segmentItems, ...reignItems];
+}, [visTextRows, visFatherRows, visEventRows, unloadedMatches, outlines, segments, reigns]);
 
-// ---- Selection handler for the SearchBar ----
-const handleSearchSelect = (item) => {
 
+// Card position used when a card is opened without a mark click (search, URL)
+const centeredCardPos = () => {
   const wrapRect = wrapRef.current?.getBoundingClientRect();
-  const CARD_W = 360, CARD_H = 320;
+  const CARD_W = 360;
   const left = wrapRect ? Math.round((wrapRect.width - CARD_W) / 2) : 24;
   const top  = wrapRect ? Math.max(8, Math.round(72)) : 24;
+  return { left, top };
+};
+
+// ---- Selection handler for the SearchBar ----
+const pendingSearchRef = useRef(null); // hit waiting for its dataset
+const handleSearchSelect = (item) => {
+
+  const { left, top } = centeredCardPos();
 
   d3.select(wrapRef.current).selectAll(".tl-tooltip")
     .style("opacity", 0).style("display", "none");
 
+  if (item.type === "duration" || item.type === "segment") {
+    setViewMode("timeline");
+    flyToPeriodRef.current?.(item.id);
+    return;
+  }
+
+  if (item.type === "event") {
+    const payload = eventRows.find((e) => e.id === item.id);
+    if (payload) {
+      setViewMode("timeline");
+      setEventCardPos({ left, top });
+      setSelectedEvent(payload);
+      setSelectedText(null);
+      setSelectedFather(null);
+      flyToRef.current?.(payload, "event");
+    }
+    return;
+  }
+
+  // hit from the manifest: select it once its dataset has loaded
+  const folder = MANIFEST_BY_ID.get(item.id)?.folder;
+  if (folder && !loadedFolders.has(folder)) {
+    pendingSearchRef.current = item;
+    requestFolders([folder]);
+    return;
+  }
+  pendingSearchRef.current = null;
+
   if (item.type === "text") {
     const payload = textRows.find((t) => t.id === item.id);
    
@@ -1724,6 +1878,7 @@ const handleSearchSelect = (item) => {
       setCardPos({ left, top });
       setSelectedText(payload);
       setSelectedFather(null);
+      setSelectedEvent(null);
       setShowMore(false);
       flyToRef.current?.(payload, "text");
     }
@@ -1734,6 +1889,7 @@ const handleSearchSelect = (item) => {
       setFatherCardPos({ left, top });
       setSelectedFather(payload);
       setSelectedText(null);
+      setSelectedEvent(null);
       setShowMore(false);
        flyToRef.current?.(payload, "father");
        const ok = !!flyToRef.current;
@@ -1743,6 +1899,172 @@ const handleSearchSelect = (item) => {
   }
 };
 
+useEffect(() => {
+  const item = pendingSearchRef.current;
+  const folder = item && MANIFEST_BY_ID.get(item.id)?.folder;
+  if (folder && loadedFolders.has(folder)) handleSearchSelect(item);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, [textRows, fatherRows]);
+
+// Related-record chip on a card: open that record's card and fly to it
+const handleRelatedSelect = (row) => {
+  handleSearchSelect({ id: row.id, type: row.kind });
+};
+
+// An open card lists its relations: load the datasets on both ends
+useEffect(() => {
+  const source = selectedText || selectedFather;
+  if (!source) return;
+  const folders = [...(LINKING_FOLDERS.get(source.id) || [])];
+  for (const { targetId } of source.relations || []) {
+    const folder = MANIFEST_BY_ID.get(targetId)?.folder;
+    if (folder) folders.push(folder);
+  }
+  requestFolders(folders);
+}, [selectedText, selectedFather, requestFolders]);
+
+// Keep the arc layer in step with the open card
+const relationFocusRef = useRef(null);
+const redrawRelationsRef = useRef(() => {});
+const textYMapRef = useRef(textYMap);
+const fatherYMapRef = useRef(fatherYMap);
+textYMapRef.current = textYMap;
+fatherYMapRef.current = fatherYMap;
+
+useEffect(() => {
+  const source = selectedText || selectedFather;
+  const links = source ? relationIndex.get(source.id) || [] : [];
+  relationFocusRef.current = links.length ? { source, links } : null;
+  redrawRelationsRef.current();
+}, [selectedText, selectedFather, relationIndex, textYMap, fatherYMap]);
+
+// Mark renderer, switchable at runtime to compare the two
+const [markRenderer, setMarkRenderer] = usePersistedState(RENDERER_STORAGE_KEY, {
+  read: (saved) => (MARK_RENDERERS.includes(saved) ? saved : "svg"),
+});
+
+// Date ranges behind the marks (whiskers on texts, lifespan bars on fathers)
+const [showDateRanges, setShowDateRanges] = usePersistedState(RANGES_STORAGE_KEY, {
+  read: (saved) => saved === "on",
+  write: (on) => (on ? "on" : "off"),
+});
+useEffect(() => {
+  showDateRangesRef.current = showDateRanges;
+  redrawRangesRef.current();
+}, [showDateRanges]);
+
+// Map panel <-> timeline hover linking
+const [mapOpen, setMapOpen] = useState(false);
+const mapHighlightRef = useRef(null);   // set by GeoMap: (recordId|null) => void
+const linkedIdsRef = useRef(null);      // records at the map place under the pointer
+const redrawLinkedRef = useRef(() => {});
+
+// The network view and the map panel plot every record (the table only
+// lists the visible span, which the timeline loads as it pans)
+useEffect(() => {
+  if (viewMode === "network" || mapOpen) requestFolders(DATASET_FOLDERS);
+}, [viewMode, mapOpen, requestFolders]);
+
+const handleMapHover = (ids) => {
+  linkedIdsRef.current = ids ? new Set(ids) : null;
+  redrawLinkedRef.current();
+};
+
+// Overview strip density: every filtered record, loaded or not
+const overviewYears = useMemo(
+  () => [...graphRows, ...unloadedMatches].map((r) => r.when),
+  [graphRows, unloadedMatches]
+);
+
+// Table view + live region: the filtered records inside the zoomed span
+const tableRows = useMemo(
+  () => graphRows.filter((r) => visibleIds.has(r.id)),
+  [graphRows, visibleIds]
+);
+const periodNameOf = useMemo(() => {
+  const names = new Map(outlines.map((o) => [o.id, o.expandedName || o.name]));
+  return (id) => names.get(id);
+}, [outlines]);
+const spanSummary = visibleSpan
+  ? `Showing ${formatYear(visibleSpan[0])} to ${formatYear(visibleSpan[1])}, ` +
+    `${visibleIds.size} ${visibleIds.size === 1 ? "item" : "items"}`
+  : "";
+
+// Announced once zooming/panning pauses, not on every frame
+const [announcement, setAnnouncement] = useState("");
+useEffect(() => {
+  if (!spanSummary) return;
+  const t = setTimeout(() => setAnnouncement(spanSummary), ANNOUNCE_DELAY_MS);
+  return () => clearTimeout(t);
+}, [spanSummary]);
+
+// Export: caption lines recording what the picture shows
+const exportCaption = () => {
+  const lines = [];
+  const zx = zxRef.current;
+  if (zx) {
+    const [a, b] = zx.domain();
+    lines.push(`Visible: ${formatYear(Math.round(fromAstronomical(a)))} – ${formatYear(Math.round(fromAstronomical(b)))}`);
+  }
+  if (yearRange) lines.push(`Year window: ${formatYear(yearRange[0])} – ${formatYear(yearRange[1])}`);
+  const clauses = describeFilters(TAG_GROUPS, selectedByGroup, modesByGroup);
+  lines.push(clauses.length
+    ? `Filters: ${clauses.map((c) => `${c.label}: ${c.text}`).join("; ")}`
+    : "Filters: none");
+  return lines;
+};
+
+const handleExport = async (format, { withCard, withCaption }) => {
+  const svg = svgRef.current;
+  if (!svg) return;
+  const card = withCard ? wrapRef.current?.querySelector(".textCard, .fatherCard") : null;
+  const opts = {
+    svg,
+    card,
+    marksCanvas: marksCanvasRef.current,
+    caption: withCaption ? exportCaption() : [],
+  };
+  const stamp = new Date().toISOString().slice(0, 10);
+  if (format === "svg") exportSvg(opts, `timeline-${stamp}.svg`);
+  else {
+    const scale = format === "png4" ? 4 : 2;
+    await exportPng(opts, `timeline-${stamp}@${scale}x.png`, scale);
+  }
+};
+
+// Export: the filtered records behind the view
+const exportRecordsNow = (format) => {
+  const periodName = new Map(outlines.map((o) => [o.id, o.expandedName || o.name]));
+  const records = [...visTextRows, ...visFatherRows]
+    .sort((a, b) => a.when - b.when)
+    .map((r) => normalizeRecord(r, (id) => periodName.get(id)));
+  exportRecords(format, records, {
+    exported: new Date().toISOString(),
+    yearWindow: yearRange || null,
+    filters: describeFilters(TAG_GROUPS, selectedByGroup, modesByGroup),
+  });
+};
+
+// Exports cover every filtered record, so wait for the datasets not loaded yet
+const pendingExportRef = useRef(null); // format waiting for them
+const handleExportRecords = (format) => {
+  if (loadedFolders.size === DATASET_FOLDERS.length) {
+    exportRecordsNow(format);
+    return;
+  }
+  pendingExportRef.current = format;
+  requestFolders(DATASET_FOLDERS);
+};
+
+// Runs once nothing is loading any more (a folder that failed is left out)
+useEffect(() => {
+  const format = pendingExportRef.current;
+  if (!format || loadingFolders.size) return;
+  pendingExportRef.current = null;
+  exportRecordsNow(format);
+  // eslint-disable-next-line react-hooks/exhaustive-deps
+}, [textRows, fatherRows, loadingFolders]);
+
 const handleSearchInteract = () => {
   // Do NOT close cards when interacting with the search bar.
   // Just clear transient overlays and hide tiny hover tips.
@@ -1788,7 +2110,7 @@ useEffect(() => {
     }
 
     // 2) If no overlay is open, then close the card
-    if (selectedText || selectedFather) {
+    if (selectedText || selectedFather || selectedEvent) {
       e.preventDefault();
       e.stopPropagation();
       closeAllAnimated();
@@ -1798,7 +2120,7 @@ useEffect(() => {
   // capture:true helps if something inside stops propagation
   window.addEventListener("keydown", onKeyDown, { capture: true });
   return () => window.removeEventListener("keydown", onKeyDown, { capture: true });
-}, [selectedText, selectedFather]);
+}, [selectedText, selectedFather, selectedEvent]);
 
   // Hide any tooltips the moment a modal opens
   useEffect(() => {
@@ -1817,15 +2139,23 @@ useEffect(() => {
     const gCustom = d3.select(customPolysRef.current); // NEW
     const gOut = d3.select(outlinesRef.current);
     const gSeg = d3.select(segmentsRef.current);
+    const gRulers = d3.select(rulersRef.current);
     const gTexts = d3.select(textsRef.current);
     const gFathers = d3.select(fathersRef.current);   // FATHERS: layer
+    // Canvas renderer: the SVG mark layers stay empty and apply() paints instead
+    const useCanvas = markRenderer === "canvas";
+    const svgTextRows = useCanvas ? [] : visTextRows;
+    const svgFatherRows = useCanvas ? [] : visFatherRows;
+    const svgEl = svgRef.current;
+    const canvasMarks = canvasMarksRef.current;
 
     
 
     gRoot.attr("transform", `translate(${margin.left},${margin.top})`);
 
-    const axisFor = (scale, ticks) =>
-      d3.axisBottom(scale).tickValues(ticks).tickFormat(formatTick);
+    const gAxis2 = d3.select(axis2Ref.current);
+    const axisFor = (scale, ticks, calendar) =>
+      d3.axisBottom(scale).tickValues(ticks).tickFormat(calendar.tickFormat || calendar.format);
     const gridFor = (scale, ticks) =>
       d3.axisBottom(scale).tickValues(ticks).tickSize(-innerHeight).tickFormat(() => "");
 
@@ -1871,6 +2201,9 @@ useEffect(() => {
 
     const hideTipSel = (sel) => sel.style("opacity", 0).style("display", "none");
 
+    // Segments and reigns share the hover preview and the anchored box
+    const findSegment = (id) => segments.find((s) => s.id === id) || reigns.find((r) => r.id === id);
+
     // put these right after showSegAnchored/showDurationAnchored/hideTipSel
 function clearActiveSegment() {
   if (!activeSegIdRef.current) return;
@@ -1950,7 +2283,7 @@ clearActiveDurationRef.current = clearActiveDuration;
       const wrapRect = wrapEl.getBoundingClientRect();
 
       tipSeg
-        .html(tipHTML(seg.label || "", fmtRange(seg.start, seg.end), seg.note || ""))
+        .html(tipHTML(seg.label || "", seg.date || fmtRange(seg.start, seg.end), seg.note || ""))
         .style("display", "block")
         .style("opacity", 1)
         .style("--accent", seg.parentColor || "");
@@ -2057,7 +2390,7 @@ clearActiveDurationRef.current = clearActiveDuration;
       const hoveredDurationId = hoveredDurationIdRef.current;
 
       const activeSegId = activeSegIdRef.current;
-      const seg = activeSegId ? segments.find((s) => s.id === activeSegId) : null;
+      const seg = activeSegId ? findSegment(activeSegId) : null;
       const activeParentFromSeg = seg ? seg.parentId : null;
 
       const hoveredSegParentId = hoveredSegParentIdRef.current;
@@ -2129,6 +2462,11 @@ function updateSegmentPreview() {
         ? (d.id === activeId ? 2 : 1.5)
         : (d.id === hoveredId ? 2 : 1.5)
     );
+
+  d3.select(rulersRef.current)
+    .selectAll("g.reign")
+    .classed("is-active", (d) => d.id === activeId)
+    .classed("is-hover", (d) => !activeId && d.id === hoveredId);
 }
 
 
@@ -2141,7 +2479,8 @@ function onAnyClickClose(ev) {
     if (t.closest('circle.textDot')) return true;
     // any child of a father mark group
     if (t.closest('g.fatherMark')) return true;
-    return false;
+    // canvas renderer: ask the hit index
+    return svgRef.current.contains(t) && !!canvasMarkAtClient(ev.clientX, ev.clientY);
   })();
 
   // --- Segment box one-shot close ---
@@ -2231,7 +2570,7 @@ function setActiveDuration(outline, { showCard = false } = {}) {
       const el = document.elementFromPoint(se.clientX, se.clientY);
       let newId = null, newParentId = null;
 
-      if (el && el.classList && el.classList.contains("segmentHit")) {
+      if (el && el.classList && (el.classList.contains("segmentHit") || el.classList.contains("reign-bar"))) {
         const d = d3.select(el).datum();
         newId = d?.id ?? null;
         newParentId = d?.parentId ?? null;
@@ -2285,6 +2624,7 @@ function setActiveDuration(outline, { showCard = false } = {}) {
           .attr("opacity", DUR_LABEL_OPACITY.base)
           .style("font-weight", 600)
           .style("pointer-events", "none")
+          .attr("aria-hidden", "true") // the band itself is labelled
           .text((d) => (d._isCustomGroup && d._labelText) ? d._labelText : d.name);
 
         return g;
@@ -2294,7 +2634,13 @@ function setActiveDuration(outline, { showCard = false } = {}) {
     outlineSel.select("rect.outlineRect")
       .attr("fill-opacity", (d) => (d._isCustomGroup || d._hiddenCustom) ? 0 : 0.1)
       .attr("stroke-opacity", (d) => (d._isCustomGroup || d._hiddenCustom) ? 0 : DUR_STROKE.baseOpacity)
-      .style("pointer-events", d => (d._isCustomGroup || d._hiddenCustom) ? "none" : "all");
+      .style("pointer-events", d => (d._isCustomGroup || d._hiddenCustom) ? "none" : "all")
+      // groups are announced by their polygon
+      .attr("role", (d) => (d._isCustomGroup || d._hiddenCustom) ? null : "img")
+      .attr("aria-hidden", (d) => (d._isCustomGroup || d._hiddenCustom) ? "true" : null)
+      .attr("aria-label", (d) =>
+        (d._isCustomGroup || d._hiddenCustom) ? null : spanLabel(d.expandedName || d.name, d.start, d.end)
+      );
 
     // Whole-duration hover/click (zoomed-out only)
     outlineSel.select("rect.outlineRect")
@@ -2349,6 +2695,8 @@ function setActiveDuration(outline, { showCard = false } = {}) {
     // Hover/click on the polygon itself (zoomed-out only)
     gCustom.selectAll("path.customGroup")
       .style("pointer-events", "visibleFill")
+      .attr("role", "img")
+      .attr("aria-label", (d) => spanLabel(d._labelText || d.expandedName || d.name, d.start, d.end))
       .on("mouseenter", function (_ev, d) {
         if (kRef.current >= ZOOM_THRESHOLD) return;
         if (activeDurationIdRef.current) return;
@@ -2381,7 +2729,7 @@ function setActiveDuration(outline, { showCard = false } = {}) {
     // TEXTS (dots)
     const textSel = gTexts
   .selectAll("circle.textDot")
-  .data(visTextRows, (d) => d.id)
+  .data(svgTextRows, (d) => d.id)
   .join(
     (enter) =>
       enter
@@ -2405,7 +2753,9 @@ function setActiveDuration(outline, { showCard = false } = {}) {
         .style("pointer-events", "all")
         .style("cursor", "pointer"),
     (exit) => exit.remove()
-  );
+  )
+  .attr("role", "img")
+  .attr("aria-label", markLabel);
 
 
     // Keep draw order stable to reduce flicker
@@ -2420,11 +2770,12 @@ function setActiveDuration(outline, { showCard = false } = {}) {
 const piesSel = gTexts.selectAll("g.dotSlices");
 
 piesSel
-  .data(visTextRows.filter(d => (d.colors || []).length > 1), d => d.id)
+  .data(svgTextRows.filter(d => (d.colors || []).length > 1), d => d.id)
   .join(
     enter => {
       const g = enter.append("g")
         .attr("class", "dotSlices")
+        .attr("aria-hidden", "true") // drawn over the labelled dot
         .style("pointer-events", "none")
         .style("opacity", BASE_OPACITY);
 
@@ -2482,36 +2833,90 @@ piesSel
       );
     };
 
+    // Shared by the SVG mark handlers and the canvas hit testing (anchor `a`
+    // is in client coordinates)
+    function showTextTip(d, a) {
+      if (!a) return;
+      const html = tipHTML(d.title || "", d.displayDate || formatYear(d.when), otherCalendarDates(d, shownCalendars));
+      showTip(tipText, html, a.x, a.y, d.color);
+    }
+
+    function showFatherTip(d, a) {
+      if (!a) return;
+      showTip(tipText, tipHTML(d.name || "", d.dob || "", otherCalendarDates(d, shownCalendars)), a.x, a.y, d.color);
+    }
+
+    // derive segment preview from state (no ad-hoc styling)
+    function previewSegForText(d) {
+      const seg = findSegForText(d);
+      if (!seg) return;
+      hoveredSegIdRef.current = seg.id;
+      hoveredSegParentIdRef.current = seg.parentId;
+      updateSegmentPreview();
+      updateHoverVisuals();
+    }
+
+    // clear preview if it came from this text
+    function clearSegPreviewForText(d) {
+      const seg = findSegForText(d);
+      if (seg && hoveredSegIdRef.current === seg.id) {
+        hoveredSegIdRef.current = null;
+        hoveredSegParentIdRef.current = null;
+        updateSegmentPreview();
+        updateHoverVisuals();
+      }
+    }
+
+    function cardPosNear(a) {
+      const wrapRect = wrapRef.current.getBoundingClientRect();
+      const CARD_W = 360, CARD_H = 320, PAD = 12;
+
+      let left = a ? a.x - wrapRect.left + PAD : PAD;
+      let top  = a ? a.y - wrapRect.top + PAD : PAD;
+      left = Math.max(4, Math.min(left, wrapRect.width - CARD_W - 4));
+      top  = Math.max(4, Math.min(top, wrapRect.height - CARD_H - 4));
+      return { left, top };
+    }
+
+    // Keep any open segment box visible: only the tiny hover tip is hidden
+    function openTextCard(d, a) {
+      hideTipSel(tipText);
+      setCardPos(cardPosNear(a));
+      setSelectedText(d);
+      setSelectedFather(null);
+      setSelectedEvent(null);
+      setShowMore(false);
+    }
+
+    function openFatherCard(d, a) {
+      hideTipSel(tipText);
+      setFatherCardPos(cardPosNear(a));
+      setSelectedFather(d);   // open FatherCard
+      setSelectedText(null);  // ensure TextCard is closed
+      setSelectedEvent(null);
+      setShowMore(false);
+    }
+
+    function openEventCard(d, a) {
+      hideTipSel(tipText);
+      setEventCardPos(cardPosNear(a));
+      setSelectedEvent(d);
+      setSelectedText(null);
+      setSelectedFather(null);
+    }
+
     // Text dots hover/click (zoomed-in only via pointer-events toggle)
     textSel
       .on("mouseenter", function (_ev, d) {
         const k = kRef.current;
         const gPie = piesSel.filter((p) => p.id === d.id).style("opacity", 1);
-      drawTextDot(d3.select(this), gPie, k * HOVER_SCALE_DOT);
-
-        // NEW: derive segment preview from state (no ad-hoc styling)
-        const seg = findSegForText(d);
-        if (seg) {
-          hoveredSegIdRef.current = seg.id;
-          hoveredSegParentIdRef.current = seg.parentId;
-          updateSegmentPreview();
-          updateHoverVisuals();
-        }
-
-
-const titleLine = d.title || "";
-const html = tipHTML(titleLine, d.displayDate || formatYear(d.when));
-const a = textAnchorClient(this, d);
-if (a) showTip(tipText, html, a.x, a.y, d.color);
-
+        mapHighlightRef.current?.(d.id);
+        drawTextDot(d3.select(this), gPie, k * HOVER_SCALE_DOT);
+        previewSegForText(d);
+        showTextTip(d, textAnchorClient(this, d));
       })
       .on("mousemove", function (_ev, d) {
-
-const titleLine = d.title || "";
-const html = tipHTML(titleLine, d.displayDate || formatYear(d.when));
-const a = textAnchorClient(this, d);
-if (a) showTip(tipText, html, a.x, a.y, d.color);
-
+        showTextTip(d, textAnchorClient(this, d));
       })
       .on("mouseleave", function (_ev, d) {
         const k = kRef.current;
@@ -2519,6 +2924,7 @@ if (a) showTip(tipText, html, a.x, a.y, d.color);
 
         d3.select(this).attr("r", rDraw).attr("opacity", BASE_OPACITY);
         hideTipSel(tipText);
+        mapHighlightRef.current?.(null);
 
         // Shrink/restore pie radius + opacity to match circle
         const gPie = piesSel.filter((p) => p.id === d.id);
@@ -2527,39 +2933,12 @@ if (a) showTip(tipText, html, a.x, a.y, d.color);
           drawSlicesAtRadius(gPie, rDraw);
         }
 
-        // clear preview if it came from this text
-        const seg = findSegForText(d);
-        if (seg && hoveredSegIdRef.current === seg.id) {
-          hoveredSegIdRef.current = null;
-          hoveredSegParentIdRef.current = null;
-          updateSegmentPreview();
-          updateHoverVisuals();
-        }
+        clearSegPreviewForText(d);
       })
       .on("click", function (ev, d) {
-  // Keep any open segment box visible
-
-  const a = textAnchorClient(this, d);
-  const wrapRect = wrapRef.current.getBoundingClientRect();
-  const CARD_W = 360, CARD_H = 320, PAD = 12;
-
-  let left = a ? a.x - wrapRect.left + PAD : PAD;
-  let top  = a ? a.y - wrapRect.top + PAD : PAD;
-  left = Math.max(4, Math.min(left, wrapRect.width - CARD_W - 4));
-  top  = Math.max(4, Math.min(top, wrapRect.height - CARD_H - 4));
-
-  hideTipSel(tipText);    // OK to hide the tiny hover tip
-  // leave tipSeg visible so the segment box stays up
-  // hideTipSel(tipDur);   // optional, keep duration card if desired
-
-  setCardPos({ left, top });
-  setSelectedText(d);
-  setSelectedFather(null);
-  setShowMore(false);
-
-  ev.stopPropagation();
-})
-
+        openTextCard(d, textAnchorClient(this, d));
+        ev.stopPropagation();
+      })
       .attr("opacity", BASE_OPACITY);
 
     function textAnchorClient(el, d) {
@@ -2603,7 +2982,7 @@ if (a) showTip(tipText, html, a.x, a.y, d.color);
 // In fathersSel join (enter)
 const fathersSel = gFathers
   .selectAll("g.fatherMark")
-  .data(visFatherRows, d => d.id)
+  .data(svgFatherRows, d => d.id)
   .join(
     enter => {
       const g = enter.append("g")
@@ -2616,7 +2995,9 @@ const fathersSel = gFathers
     },
     update => update,
     exit => exit.remove()
-  );
+  )
+  .attr("role", "img")
+  .attr("aria-label", markLabel);
 
 
     // Lightweight hover tooltip for fathers (zoomed-in like texts)
@@ -2626,56 +3007,376 @@ fathersSel
 
     const baseR = getFatherBaseR(d) * kRef.current * 2.2;
     redrawFatherAtRadius(d3.select(this), d, baseR * HOVER_SCALE_FATHER);
-
-    // keep your tooltip code (unchanged)...
-    const a = fatherAnchorClient(this, d);
-    if (!a) return;
-    const title = d.name || "";
-    const subtitle = d.dob || "";
-    showTip(tipText, tipHTML(title, subtitle, null), a.x, a.y, d.color);
+    mapHighlightRef.current?.(d.id);
+    showFatherTip(d, fatherAnchorClient(this, d));
   })
   .on("mousemove", function (_ev, d) {
     if (kRef.current < ZOOM_THRESHOLD) return;
-    const a = fatherAnchorClient(this, d);
-    if (!a) return;
-    const title = d.name || "";
-    const subtitle = d.dob || "";
-    showTip(tipText, tipHTML(title, subtitle, null), a.x, a.y, d.color);
+    showFatherTip(d, fatherAnchorClient(this, d));
   })
   .on("mouseout", function (_ev, d) {
     hideTipSel(tipText);
+    mapHighlightRef.current?.(null);
     // restore to base radius
     const baseR = getFatherBaseR(d) * kRef.current * 2.2;
     redrawFatherAtRadius(d3.select(this), d, baseR);
   })
   .on("click", function (ev, d) {
-  // Keep any open segment box visible
-  // Do NOT clear active segment or duration; do NOT close all
-
-  // anchor near the triangle
-  const a = fatherAnchorClient(this, d);
-  const wrapRect = wrapRef.current.getBoundingClientRect();
-  const CARD_W = 360, CARD_H = 320, PAD = 12;
-
-  let left = a ? a.x - wrapRect.left + PAD : PAD;
-  let top  = a ? a.y - wrapRect.top + PAD : PAD;
-  left = Math.max(4, Math.min(left, wrapRect.width - CARD_W - 4));
-  top  = Math.max(4, Math.min(top, wrapRect.height - CARD_H - 4));
-
-  // Only hide the tiny hover tip; leave the segment box (tipSeg) up
-  hideTipSel(tipText);
-  // hideTipSel(tipSeg);   // <-- do NOT call this
-  // hideTipSel(tipDur);   // optional: keep duration card if it’s open
-
-  setFatherCardPos({ left, top });
-  setSelectedFather(d);   // open FatherCard
-  setSelectedText(null);  // ensure TextCard is closed
-  setShowMore(false);
-
-  ev.stopPropagation();
-})
+    // anchor near the triangle; segment and duration boxes stay open
+    openFatherCard(d, fatherAnchorClient(this, d));
+    ev.stopPropagation();
+  });
+
+
+    // Arcs from the open card's mark to its related marks (only those currently laid out)
+    function drawRelationArcs(zx, zy) {
+      const focus = relationFocusRef.current;
+      const posPx = (row) => {
+        const yMap = (row.kind === "father" ? fatherYMapRef.current : textYMapRef.current)
+          .get(row.durationId);
+        const yU = yMap?.get(row.id);
+        if (!Number.isFinite(yU)) return null; // filtered out
+        return { x: zx(toAstronomical(row.when)), y: zy(yU) };
+      };
+
+      const src = focus ? posPx(focus.source) : null;
+      const arcs = !src ? [] : focus.links
+        .map((l) => ({ ...l, p: posPx(l.row) }))
+        .filter((l) => l.p);
+
+      d3.select(relationsRef.current)
+        .selectAll("path.relArc")
+        .data(arcs, (l) => `${l.type}:${l.direction}:${l.row.id}`)
+        .join(
+          (e) => e.append("path")
+            .attr("class", (l) => `relArc relArc--${l.type}`)
+            .attr("fill", "none")
+            .attr("vector-effect", "non-scaling-stroke")
+            .style("pointer-events", "none"),
+          (u) => u,
+          (x) => x.remove()
+        )
+        .attr("stroke", (l) => (l.direction === "out" ? l.row.color : focus.source.color) || "#666")
+        .attr("d", (l) => {
+          // arc bows upward; outgoing and incoming links bow to opposite sides
+          const a = l.direction === "out" ? src : l.p;
+          const b = l.direction === "out" ? l.p : src;
+          const mx = (a.x + b.x) / 2, my = (a.y + b.y) / 2;
+          const dist = Math.hypot(b.x - a.x, b.y - a.y);
+          const bow = Math.min(160, dist * 0.35);
+          return `M ${a.x} ${a.y} Q ${mx} ${my - bow} ${b.x} ${b.y}`;
+        });
+    }
+    redrawRelationsRef.current = () => {
+      if (zxRef.current && zyRef.current) drawRelationArcs(zxRef.current, zyRef.current);
+    };
+
+    // Uncertain dates: earliest–latest whisker through a text's dot, a bar
+    // from birth to death behind a father's triangle. Opacity (and a dash for
+    // "low") follows the parsed confidence.
+    const rangeRows = [...visTextRows, ...visFatherRows].filter((d) => d.latest > d.earliest);
+    function drawDateRanges(zx, zy, k) {
+      const [xLo, xHi] = zx.domain();
+      const shown = !showDateRangesRef.current ? [] : rangeRows
+        .filter((d) => toAstronomical(d.latest) >= xLo && toAstronomical(d.earliest) <= xHi)
+        .map((d) => {
+          const p = markPx(d, zx, zy, k);
+          return {
+            d,
+            x0: zx(toAstronomical(d.earliest)),
+            x1: zx(toAstronomical(d.latest)),
+            y: p.y,
+            h: d.kind === "father" ? clamp(p.r * 0.6, 2, 8) : 0,
+          };
+        });
+
+      d3.select(rangesRef.current)
+        .selectAll("path.dateRange")
+        .data(shown, (s) => s.d.id)
+        .join(
+          (e) => e.append("path")
+            .attr("vector-effect", "non-scaling-stroke")
+            .attr("aria-hidden", "true")
+            .style("pointer-events", "none"),
+          (u) => u,
+          (x) => x.remove()
+        )
+        .attr("class", (s) =>
+          `dateRange dateRange--${s.d.kind === "father" ? "lifespan" : "whisker"} is-${s.d.dateConfidence || "high"}`)
+        .attr("stroke", (s) => s.d.color || "#666")
+        .attr("fill", (s) => (s.d.kind === "father" ? s.d.color || "#666" : "none"))
+        .attr("d", (s) => s.d.kind === "father"
+          ? `M ${s.x0} ${s.y - s.h / 2} H ${s.x1} V ${s.y + s.h / 2} H ${s.x0} Z`
+          : `M ${s.x0} ${s.y} H ${s.x1}` +
+            ` M ${s.x0} ${s.y - RANGE_CAP_PX} V ${s.y + RANGE_CAP_PX}` +
+            ` M ${s.x1} ${s.y - RANGE_CAP_PX} V ${s.y + RANGE_CAP_PX}`);
+    }
+    redrawRangesRef.current = () => {
+      if (zxRef.current && zyRef.current) drawDateRanges(zxRef.current, zyRef.current, kRef.current);
+    };
+
+    // Events: a vertical line at the event's year from the top of its
+    // highest band to the bottom of its lowest, with a head to hover/click.
+    // A wide transparent line on top makes the thin marker easy to hit.
+    function drawEvents(zx, zy) {
+      const [xLo, xHi] = zx.domain();
+      const shown = visEventRows
+        .filter((d) => toAstronomical(d.when) >= xLo && toAstronomical(d.when) <= xHi)
+        .map((d) => ({ d, x: zx(toAstronomical(d.when)), y1: zy(d.top), y2: zy(d.bottom) }));
+
+      d3.select(eventsRef.current)
+        .selectAll("g.eventMark")
+        .data(shown, (m) => m.d.id)
+        .join(
+          (e) => {
+            const g = e.append("g")
+              .attr("class", "eventMark")
+              .attr("role", "img")
+              .attr("aria-label", (m) => eventLabel(m.d));
+            g.append("line").attr("class", "eventMark-line");
+            g.append("path").attr("class", "eventMark-head");
+            g.append("line").attr("class", "eventMark-hit");
+            return g
+              .on("mouseenter mousemove", (ev, m) => {
+                showTip(tipText, tipHTML(m.d.name, m.d.displayDate, otherCalendarDates(m.d, shownCalendars)),
+                  ev.clientX, ev.clientY, m.d.color);
+              })
+              .on("mouseleave", () => hideTipSel(tipText))
+              .on("click", (ev, m) => {
+                openEventCard(m.d, { x: ev.clientX, y: ev.clientY });
+                ev.stopPropagation();
+              });
+          },
+          (u) => u,
+          (x) => x.remove()
+        )
+        .each(function (m) {
+          const g = d3.select(this);
+          g.select(".eventMark-head")
+            .attr("fill", m.d.color)
+            .attr("d", `M ${m.x - EVENT_HEAD_PX} ${m.y1 - EVENT_HEAD_PX} H ${m.x + EVENT_HEAD_PX} L ${m.x} ${m.y1} Z`);
+          g.selectAll("line")
+            .attr("x1", m.x)
+            .attr("x2", m.x)
+            .attr("y1", m.y1 - EVENT_HEAD_PX)
+            .attr("y2", m.y2);
+        });
+    }
+
+    // Rings on the marks of the place hovered in the map panel
+    function drawLinkedMarks(zx, zy) {
+      const ids = linkedIdsRef.current;
+      const rows = !ids ? [] : [...visTextRows, ...visFatherRows].filter((r) => ids.has(r.id));
+      const ringsPx = rows
+        .map((row) => {
+          const yMap = (row.kind === "father" ? fatherYMapRef.current : textYMapRef.current)
+            .get(row.durationId);
+          const yU = yMap?.get(row.id);
+          return Number.isFinite(yU)
+            ? { id: row.id, color: row.color, x: zx(toAstronomical(row.when)), y: zy(yU) }
+            : null;
+        })
+        .filter(Boolean);
+
+      d3.select(linkedRef.current)
+        .selectAll("circle.linkedRing")
+        .data(ringsPx, (d) => d.id)
+        .join((e) => e.append("circle").attr("class", "linkedRing").style("pointer-events", "none"))
+        .attr("cx", (d) => d.x)
+        .attr("cy", (d) => d.y)
+        .attr("r", 9)
+        .attr("stroke", (d) => d.color || "#111");
+    }
+    // Canvas renderer: same positions, sizes and draw order as the SVG marks
+    function drawCanvasMarks(zx, zy, k) {
+      if (!marksCanvasRef.current) return;
+      const onScreen = (px, py, r) =>
+        px >= -r && px <= innerWidth + r && py >= -r && py <= innerHeight + r;
+      const marks = [];
+
+      for (const d of visFatherRows) {
+        let yU = fatherYMap.get(d.durationId)?.get(d.id);
+        if (!Number.isFinite(yU)) yU = y0(d.y);
+        const px = zx(toAstronomical(d.when)), py = zy(yU);
+        const r = getFatherBaseR(d) * k * 2.2;
+        if (!onScreen(px, py, r)) continue;
+        marks.push({
+          id: d.id, kind: "father", row: d, x: px, y: py, r,
+          colors: d.colors, showMid: hasHistoricTag(d.historicMythicStatusTags),
+        });
+      }
+
+      const texts = [...visTextRows]
+        .sort((a, b) => (a.when - b.when) || a.durationId.localeCompare(b.durationId));
+      for (const d of texts) {
+        let yU = textYMap.get(d.durationId)?.get(d.id);
+        if (!Number.isFinite(yU)) yU = y0(d.y);
+        const px = zx(toAstronomical(d.when)), py = zy(yU);
+        const r = TEXT_BASE_R * k;
+        if (!onScreen(px, py, r)) continue;
+        marks.push({ id: d.id, kind: "text", row: d, x: px, y: py, r, colors: d.colors });
+      }
+
+      const state = canvasMarksRef.current;
+      state.marks = marks;
+      state.index = indexMarks(marks);
+      repaintCanvasMarks();
+    }
+
+    function repaintCanvasMarks() {
+      const canvas = marksCanvasRef.current;
+      if (!canvas) return;
+      const { marks, hoverMark } = canvasMarksRef.current;
+      paintMarks(canvas, marks, {
+        width: innerWidth,
+        height: innerHeight,
+        hoverId: hoverMark?.id ?? null,
+        hoverScale: hoverMark?.kind === "father" ? HOVER_SCALE_FATHER : HOVER_SCALE_DOT,
+      });
+    }
+
+    // Marks are only interactive zoomed in, as with the SVG pointer-events toggle
+    function canvasMarkAtClient(clientX, clientY) {
+      if (!useCanvas || kRef.current < ZOOM_THRESHOLD) return null;
+      const rect = svgRef.current.getBoundingClientRect();
+      return markAt(
+        canvasMarksRef.current.index,
+        clientX - rect.left - margin.left,
+        clientY - rect.top - margin.top,
+        CANVAS_HIT_SLOP
+      );
+    }
+
+    function canvasAnchorClient(m) {
+      const rect = svgRef.current.getBoundingClientRect();
+      return { x: rect.left + margin.left + m.x, y: rect.top + margin.top + m.y };
+    }
+
+    // Canvas counterpart of the mouseenter / mouseleave handlers above
+    function setCanvasHover(m) {
+      const state = canvasMarksRef.current;
+      const prev = state.hoverMark;
+      if ((prev?.id ?? null) === (m?.id ?? null)) return;
+
+      if (prev) {
+        hideTipSel(tipText);
+        mapHighlightRef.current?.(null);
+        if (prev.kind === "text") clearSegPreviewForText(prev.row);
+      }
+      state.hoverMark = m;
+      if (m) {
+        mapHighlightRef.current?.(m.id);
+        if (m.kind === "text") previewSegForText(m.row);
+      }
+      svgRef.current.style.cursor = m ? "pointer" : "";
+      repaintCanvasMarks();
+    }
+
+    if (useCanvas) {
+      svg
+        .on("pointermove.canvasMarks", (ev) => {
+          if (zoomDraggingRef.current) return;
+          const m = canvasMarkAtClient(ev.clientX, ev.clientY);
+          setCanvasHover(m);
+          if (m) (m.kind === "father" ? showFatherTip : showTextTip)(m.row, canvasAnchorClient(m));
+        })
+        .on("pointerleave.canvasMarks", () => setCanvasHover(null))
+        // capture: the segment hit rects under the pointer must not see mark clicks
+        .on("click.canvasMarks", (ev) => {
+          const m = canvasMarkAtClient(ev.clientX, ev.clientY);
+          if (!m) return;
+          if (m.kind === "father") openFatherCard(m.row, canvasAnchorClient(m));
+          else openTextCard(m.row, canvasAnchorClient(m));
+          ev.stopPropagation();
+        }, true);
+    }
+
+    redrawLinkedRef.current = () => {
+      if (zxRef.current && zyRef.current) drawLinkedMarks(zxRef.current, zyRef.current);
+    };
+
+    // Pulsing band over a civilization whose dataset is still loading
+    function drawLoadingBands(zx, zy) {
+      const loading = loadingFoldersRef.current;
+      const bands = outlines
+        .filter((o) => loading.has(FOLDER_BY_BAND.get(o.id)))
+        .map((o) => ({ id: o.id, color: o.color, ...bandRectPx(o, zx, zy) }));
+
+      const gBand = d3.select(loadingRef.current)
+        .selectAll("g.bandLoading")
+        .data(bands, (d) => d.id)
+        .join((e) => {
+          const g = e.append("g").attr("class", "bandLoading");
+          g.append("rect").attr("class", "bandLoadingRect");
+          g.append("text").attr("class", "bandLoadingLabel").attr("dy", "0.32em").text("Loading…");
+          return g;
+        });
+      gBand.select("rect.bandLoadingRect")
+        .attr("x", (d) => d.x)
+        .attr("y", (d) => d.y)
+        .attr("width", (d) => d.w)
+        .attr("height", (d) => d.h)
+        .attr("fill", (d) => d.color);
+      // label centered on the part of the band that is on screen
+      gBand.select("text.bandLoadingLabel")
+        .attr("x", (d) => (Math.max(d.x, 0) + Math.min(d.x + d.w, innerWidth)) / 2)
+        .attr("y", (d) => (Math.max(d.y, 0) + Math.min(d.y + d.h, innerHeight)) / 2)
+        .style("display", (d) => (d.h >= 12 && d.w >= 60 ? null : "none"));
+    }
+
+    redrawLoadingRef.current = () => {
+      if (zxRef.current && zyRef.current) drawLoadingBands(zxRef.current, zyRef.current);
+    };
+
+    // ===== Keyboard navigation =====
+    // Bands top to bottom, marks in time order within each band
+    const bandTop = new Map(outlines.map((o) => [o.id, o.y]));
+    const navBands = d3.groups([...visTextRows, ...visFatherRows], (d) => d.durationId)
+      .map(([bandId, rows]) => ({
+        bandId,
+        rows: rows.sort((a, b) => (a.when - b.when) || String(a.id).localeCompare(String(b.id))),
+      }))
+      .sort((a, b) =>
+        ((bandTop.get(a.bandId) ?? 0) - (bandTop.get(b.bandId) ?? 0)) || a.bandId.localeCompare(b.bandId)
+      );
+    const navIndex = new Map(); // id -> [band index, mark index]
+    navBands.forEach((band, b) => band.rows.forEach((d, i) => navIndex.set(d.id, [b, i])));
+    if (!navIndex.has(focusedMarkIdRef.current)) focusedMarkIdRef.current = null; // filtered away
+
+    // Chart-space position and drawn radius of a mark (same as the renderers)
+    function markPx(d, zx, zy, k) {
+      const yMap = (d.kind === "father" ? fatherYMap : textYMap).get(d.durationId);
+      let yU = yMap?.get(d.id);
+      if (!Number.isFinite(yU)) yU = y0(d.y);
+      return {
+        x: zx(toAstronomical(d.when)),
+        y: zy(yU),
+        r: d.kind === "father" ? getFatherBaseR(d) * k * 2.2 : TEXT_BASE_R * k,
+      };
+    }
 
+    const focusedRow = () => {
+      const pos = navIndex.get(focusedMarkIdRef.current);
+      return pos ? navBands[pos[0]].rows[pos[1]] : null;
+    };
 
+    // Ring (and the hover tip) on the focused mark while the chart has
+    // keyboard focus; a mouse click also focuses the svg but shows no ring
+    function drawFocusRing(zx, zy, k) {
+      const d = document.activeElement === svgEl && keyboardFocusRef.current ? focusedRow() : null;
+      const p = d ? markPx(d, zx, zy, k) : null;
+      d3.select(focusRingRef.current)
+        .selectAll("circle.markFocusRing")
+        .data(p ? [p] : [])
+        .join((e) => e.append("circle").attr("class", "markFocusRing"))
+        .attr("cx", (q) => q.x)
+        .attr("cy", (q) => q.y)
+        .attr("r", (q) => Math.max(q.r, 2) + 4);
+      if (!d) return;
+      const rect = svgEl.getBoundingClientRect();
+      const a = { x: rect.left + margin.left + p.x, y: rect.top + margin.top + p.y };
+      (d.kind === "father" ? showFatherTip : showTextTip)(d, a);
+    }
 
     function apply(zx, zy, k = 1) {
   // cache latest rescaled axes for anchored tooltips
@@ -2683,10 +3384,18 @@ fathersSel
   zyRef.current = zy;
 
   // axis & grid with adaptive ticks
-  const ticks = makeAdaptiveTicks(zx);
+  const ticks = calendarTicks(primaryCalendar, zx);
   gAxis
     .attr("transform", `translate(${margin.left},${margin.top + axisY})`)
-    .call(axisFor(zx, ticks));
+    .call(axisFor(zx, ticks, primaryCalendar));
+  if (secondaryCalendar) {
+    gAxis2
+      .attr("transform", `translate(${margin.left},${margin.top + axisY + AXIS_H - 8})`)
+      .call(axisFor(zx, calendarTicks(secondaryCalendar, zx), secondaryCalendar).tickSize(3).tickSizeOuter(0));
+  } else {
+    gAxis2.selectAll("*").remove();
+  }
+  syncBrushRef.current(zx);
   gGrid
     .attr("transform", `translate(0,${axisY})`)
     .call(gridFor(zx, ticks));
@@ -2702,6 +3411,18 @@ fathersSel
       .attr("height", r.h);
   });
 
+  // datasets load as their band comes into view
+  requestFolders(
+    outlines
+      .filter((o) => {
+        if (!FOLDER_BY_BAND.has(o.id)) return false;
+        const r = bandRectPx(o, zx, zy);
+        return r.x < innerWidth && r.x + r.w > 0 && r.y < innerHeight && r.y + r.h > 0;
+      })
+      .map((o) => FOLDER_BY_BAND.get(o.id))
+  );
+  drawLoadingBands(zx, zy);
+
   // labels (font scales with the band's rendered height)
   gOut.selectAll("g.durationOutline").each(function (d) {
     const g = d3.select(this);
@@ -2761,6 +3482,26 @@ fathersSel
       .attr("height", r.h);
   });
 
+  // reign sub-lanes: only past RULERS_MIN_K, labels where they fit
+  gRulers.style("display", k >= RULERS_MIN_K ? null : "none");
+  if (k >= RULERS_MIN_K) {
+    gRulers.selectAll("g.reign").each(function (d) {
+      const r = bandRectPx(d, zx, zy);
+      const g = d3.select(this);
+      g.select("rect.reign-bar")
+        .attr("x", r.x)
+        .attr("y", r.y)
+        .attr("width", Math.max(1, r.w))
+        .attr("height", Math.max(1, r.h - 1));
+      const fontPx = clamp(r.h * 0.7, 6, 11);
+      g.select("text.reign-label")
+        .attr("x", r.x + 3)
+        .attr("y", r.y + r.h / 2)
+        .style("font-size", `${fontPx}px`)
+        .style("display", r.w > d.label.length * fontPx * 0.6 + 6 && r.h >= 7 ? null : "none");
+    });
+  }
+
   // Draw/update custom group polygons (rectilinear envelope, no diagonals)
   gCustom.selectAll("path.customGroup").each(function (o) {
     const intervals = o._groupIntervals || [];
@@ -2882,6 +3623,13 @@ fathersSel
       .attr("opacity", showOverlays ? 0.9 : 0);
   });
 
+  if (useCanvas) drawCanvasMarks(zx, zy, k);
+  drawDateRanges(zx, zy, k);
+  drawEvents(zx, zy);
+  drawRelationArcs(zx, zy);
+  drawLinkedMarks(zx, zy);
+  drawFocusRing(zx, zy, k);
+
   // ----- Lightweight viewport culling (texts, pies, fathers) -----
   const xMinAstro = zx.invert(0);
   const xMaxAstro = zx.invert(innerWidth);
@@ -2912,15 +3660,16 @@ fathersSel
   // ===== NEW: compute & publish visible ids for SearchBar =====
   const newVisible = new Set();
 
-  // Use the same X-range check we just applied
-  gTexts.selectAll("circle.textDot").each(function (d) {
+  // Use the same X-range check we just applied (on the rows, so the canvas
+  // renderer publishes the same set)
+  for (const d of visTextRows) {
     const a = toAstronomical(d.when);
     if (a >= xLo && a <= xHi) newVisible.add(d.id);
-  });
-  gFathers.selectAll("g.fatherMark").each(function (d) {
+  }
+  for (const d of visFatherRows) {
     const a = toAstronomical(d.when);
     if (a >= xLo && a <= xHi) newVisible.add(d.id);
-  });
+  }
 
   // Only update state if the set contents actually changed (throttled to rAF)
   const prev = visibleIdsRef.current;
@@ -2930,17 +3679,27 @@ fathersSel
       if (!prev.has(id)) { changed = true; break; }
     }
   }
+  // visible span in whole human years (table caption, live region); it moves
+  // on every pan frame, so it is only published with new ids or at zoom end
+  visibleSpanRef.current = [fromAstronomical(Math.round(xLo)), fromAstronomical(Math.round(xHi))];
+
   if (changed) {
     visibleIdsRef.current = newVisible;
     if (!visUpdateRaf.current) {
       visUpdateRaf.current = requestAnimationFrame(() => {
         visUpdateRaf.current = 0;
         setVisibleIds(new Set(visibleIdsRef.current));
+        publishVisibleSpan();
       });
     }
   }
 }
 
+function publishVisibleSpan() {
+  const span = visibleSpanRef.current;
+  setVisibleSpan((prev) => (prev && span && prev[0] === span[0] && prev[1] === span[1] ? prev : span));
+}
+
 
     function updateInteractivity(k) {
       const zoomedIn = k >= ZOOM_THRESHOLD;
@@ -2953,12 +3712,15 @@ fathersSel
       gTexts.selectAll("circle.textDot").style("pointer-events", zoomedIn ? "all" : "none");
       gCustom.selectAll("path.customGroup").style("pointer-events", zoomedIn ? "none" : "visibleFill");
       gFathers.selectAll("g.fatherMark").style("pointer-events", zoomedIn ? "all" : "none");
+      if (!zoomedIn && useCanvas) setCanvasHover(null);
 
       if (!zoomedIn) {
         clearActiveSegment();
       } else {
         clearActiveDuration();
       }
+      // reign box closes with its sub-lane
+      if (k < RULERS_MIN_K && reigns.some((r) => r.id === activeSegIdRef.current)) clearActiveSegment();
       updateHoverVisuals();
     }
 
@@ -2970,6 +3732,9 @@ fathersSel
         enter
           .append("rect")
           .attr("class", "segmentHit")
+          .attr("role", "img")
+          .attr("aria-label", (d) =>
+            spanLabel(d.label ? `${d.parentName}: ${d.label}` : d.parentName, d.start, d.end))
           .attr("fill", "transparent")
           .attr("pointer-events", "all")
           .attr("stroke", (d) => d.parentColor)
@@ -3011,6 +3776,49 @@ fathersSel
 })
       );
 
+    // Reign sub-lanes: hover previews, click opens the box, like segments
+    gRulers
+      .selectAll("g.reign")
+      .data(reigns, (d) => d.id)
+      .join((enter) => {
+        const g = enter
+          .append("g")
+          .attr("class", "reign")
+          .attr("role", "img")
+          .attr("aria-label", (d) => spanLabel(`${d.parentName}: ${d.label}`, d.start, d.end));
+        g.append("rect")
+          .attr("class", "reign-bar")
+          .attr("fill", (d) => d.parentColor)
+          .attr("vector-effect", "non-scaling-stroke");
+        g.append("text")
+          .attr("class", "reign-label")
+          .attr("dominant-baseline", "central")
+          .attr("aria-hidden", "true")
+          .text((d) => d.label);
+        return g;
+      })
+      .on("mouseenter", (_ev, seg) => {
+        if (activeSegIdRef.current) return; // an open box wins, as with segments
+        hoveredSegIdRef.current = seg.id;
+        hoveredSegParentIdRef.current = seg.parentId;
+        updateSegmentPreview();
+        updateHoverVisuals();
+      })
+      .on("mouseleave", () => {
+        if (activeSegIdRef.current) return;
+        hoveredSegIdRef.current = null;
+        hoveredSegParentIdRef.current = null;
+        updateSegmentPreview();
+        updateHoverVisuals();
+      })
+      .on("click", (_ev, seg) => {
+        const isSame = activeSegIdRef.current === seg.id;
+        clearActiveSegment();
+        if (isSame) return;
+        clearActiveDuration();
+        setActiveSegment(seg, { showCard: true });
+      });
+
       // Helper: compute author-lane Y (in "band units" = px at k=1) for a text
 function laneYUForText(d) {
   // default to original hashed Y if no author lane
@@ -3092,13 +3900,15 @@ const zoom = (zoomRef.current ?? d3.zoom())
     const zy = t.rescaleY(y0);
     apply(zx, zy, t.k);
     updateInteractivity(t.k);
+    syncMinimapRef.current(t);
+    syncCompareRef.current(t);
 
     // throttle hover sync to RAF (duration vs segment based on zoom)
     syncHoverRaf(event.sourceEvent);
 
     // Keep active cards anchored while panning/zooming
     if (activeSegIdRef.current) {
-      const seg = segments.find((s) => s.id === activeSegIdRef.current);
+      const seg = findSegment(activeSegIdRef.current);
       if (seg) showSegAnchored(seg);
     }
     if (activeDurationIdRef.current) {
@@ -3122,6 +3932,7 @@ const zoom = (zoomRef.current ?? d3.zoom())
       updateHoverVisuals();
     }
 
+    if (zoomedIn !== wasZoomedIn) setShowOverview(zoomedIn);
     prevZoomedInRef.current = zoomedIn;
   })
 
@@ -3133,6 +3944,8 @@ const zoom = (zoomRef.current ?? d3.zoom())
 
     updateHoverVisuals();
     logRenderedCounts();
+    publishVisibleSpan();
+    syncUrlRef.current();
   });
 
   // Bind zoom to the <svg> and expose refs/utilities
@@ -3140,6 +3953,142 @@ const svgSel = svgSelRef.current ?? d3.select(svgRef.current);
 zoomRef.current = zoom;
 svgSelRef.current = svgSel;
 
+// Keyboard: arrows move the focus between marks, Enter opens the card,
+// +/- (or Ctrl/Cmd+Up/Down) zoom and Shift+arrows pan
+function currentView() {
+  const t = lastTransformRef.current ?? d3.zoomIdentity;
+  return { t, zx: t.rescaleX(x), zy: t.rescaleY(y0) };
+}
+
+function redrawFocus() {
+  const { t, zx, zy } = currentView();
+  drawFocusRing(zx, zy, t.k);
+}
+
+function setFocusedMark(d) {
+  const prev = focusedRow();
+  if (prev) {
+    hideTipSel(tipText);
+    mapHighlightRef.current?.(null);
+  }
+  focusedMarkIdRef.current = d ? d.id : null;
+  if (d) mapHighlightRef.current?.(d.id);
+  if (d) {
+    const [b, i] = navIndex.get(d.id);
+    const band = outlines.find((o) => o.id === d.durationId);
+    setAnnouncement(
+      `${markLabel(d)}${band ? `, ${band.expandedName || band.name}` : ""}, ` +
+      `${i + 1} of ${navBands[b].rows.length}`
+    );
+  }
+
+  // auto-pan so the mark stays inside the viewport
+  const { t, zx, zy } = currentView();
+  const p = d ? markPx(d, zx, zy, t.k) : null;
+  const over = (v, size) => (v < FOCUS_PAD_PX ? v - FOCUS_PAD_PX : v > size - FOCUS_PAD_PX ? v - (size - FOCUS_PAD_PX) : 0);
+  const dx = p ? over(p.x, innerWidth) : 0;
+  const dy = p ? over(p.y, innerHeight) : 0;
+  if (dx || dy) {
+    svgSel.transition().duration(KEY_NAV_MS).call(zoom.translateBy, -dx / t.k, -dy / t.k);
+  } else {
+    redrawFocus();
+  }
+}
+
+// first arrow press: the mark closest to the middle of the view
+function markNearestCenter() {
+  const { t, zx, zy } = currentView();
+  let best = null, bestDist = Infinity;
+  for (const band of navBands) {
+    for (const d of band.rows) {
+      const p = markPx(d, zx, zy, t.k);
+      const dist = (p.x - innerWidth / 2) ** 2 + (p.y - innerHeight / 2) ** 2;
+      if (dist < bestDist) { best = d; bestDist = dist; }
+    }
+  }
+  return best;
+}
+
+function moveFocus(key) {
+  const pos = navIndex.get(focusedMarkIdRef.current);
+  if (!pos) return setFocusedMark(markNearestCenter());
+  const [b, i] = pos;
+  const rows = navBands[b].rows;
+
+  if (key === "ArrowLeft") return setFocusedMark(rows[Math.max(0, i - 1)]);
+  if (key === "ArrowRight") return setFocusedMark(rows[Math.min(rows.length - 1, i + 1)]);
+  if (key === "Home") return setFocusedMark(rows[0]);
+  if (key === "End") return setFocusedMark(rows[rows.length - 1]);
+
+  // Up/Down: the neighbouring band's mark closest in time
+  const nb = navBands[b + (key === "ArrowUp" ? -1 : 1)];
+  if (!nb) return;
+  const when = rows[i].when;
+  const j = d3.minIndex(nb.rows, (d) => Math.abs(d.when - when));
+  setFocusedMark(nb.rows[j]);
+}
+
+function zoomByKey(factor) {
+  const { t, zx, zy } = currentView();
+  const d = focusedRow();
+  const p = d ? markPx(d, zx, zy, t.k) : null;
+  const center = p && p.x >= 0 && p.x <= innerWidth && p.y >= 0 && p.y <= innerHeight
+    ? [p.x, p.y]
+    : [innerWidth / 2, innerHeight / 2];
+  svgSel.transition().duration(KEY_NAV_MS).call(zoom.scaleBy, factor, center);
+}
+
+function panByKey(key) {
+  const { t } = currentView();
+  const dx = key === "ArrowLeft" ? 1 : key === "ArrowRight" ? -1 : 0;
+  const dy = key === "ArrowUp" ? 1 : key === "ArrowDown" ? -1 : 0;
+  svgSel.transition().duration(KEY_NAV_MS).call(
+    zoom.translateBy,
+    (dx * innerWidth * KEY_PAN_FRAC) / t.k,
+    (dy * innerHeight * KEY_PAN_FRAC) / t.k
+  );
+}
+
+svgSel
+  .on("keydown.keyNav", (ev) => {
+    keyboardFocusRef.current = true;
+    if (ev.altKey) return;
+    const mod = ev.ctrlKey || ev.metaKey;
+    const arrow = ev.key.startsWith("Arrow");
+    const d = focusedRow();
+
+    if (ev.key === "+" || ev.key === "=" || (mod && ev.key === "ArrowUp")) zoomByKey(KEY_ZOOM_STEP);
+    else if (ev.key === "-" || ev.key === "_" || (mod && ev.key === "ArrowDown")) zoomByKey(1 / KEY_ZOOM_STEP);
+    else if (mod) return; // leave other shortcuts to the browser
+    else if (arrow && ev.shiftKey) panByKey(ev.key);
+    else if (arrow || ev.key === "Home" || ev.key === "End") moveFocus(ev.key);
+    else if ((ev.key === "Enter" || ev.key === " ") && d) {
+      const { t, zx, zy } = currentView();
+      const p = markPx(d, zx, zy, t.k);
+      const rect = svgEl.getBoundingClientRect();
+      const a = { x: rect.left + margin.left + p.x, y: rect.top + margin.top + p.y };
+      if (d.kind === "father") openFatherCard(d, a);
+      else openTextCard(d, a);
+    } else if (ev.key === "Escape" && d) setFocusedMark(null);
+    else return;
+    ev.preventDefault();
+  })
+  .on("focus.keyNav", () => {
+    keyboardFocusRef.current = svgEl.matches(":focus-visible"); // tabbed in, not clicked
+    redrawFocus();
+  })
+  .on("pointerdown.keyNav", () => {
+    if (!keyboardFocusRef.current) return;
+    keyboardFocusRef.current = false;
+    hideTipSel(tipText);
+    redrawFocus();
+  })
+  .on("blur.keyNav", () => {
+    hideTipSel(tipText);
+    if (focusedRow()) mapHighlightRef.current?.(null);
+    redrawFocus();
+  });
+
 function onPointerMove(e){
   if (!e || !('clientX' in e)) return;
   // If a drag gesture is active, zoom's handlers already drive hover sync.
@@ -3149,14 +4098,15 @@ function onPointerMove(e){
 svgSel.on("pointermove.tl-hover", onPointerMove);
 
 // Public fly-to callback used by SearchBar & dev helper
-flyToRef.current = function flyToDatum(d, type /* "text" | "father" */) {
+flyToRef.current = function flyToDatum(d, type /* "text" | "father" | "event" */) {
   if (!zoomRef.current || !svgSelRef.current || !d) return;
 
   const kTarget = SEARCH_FLY.k;
   const xAstro  = toAstronomical(d.when);
 
   // Use the same lane logic you already defined
-  const yU = (type === "father") ? laneYUForFather(d) : laneYUForText(d);
+  // (events: the middle of the bands they span)
+  const yU = type === "event" ? y0(d.y) : (type === "father") ? laneYUForFather(d) : laneYUForText(d);
 
   const t = computeTransformForPoint(xAstro, yU, kTarget);
 
@@ -3172,6 +4122,46 @@ flyToRef.current = function flyToDatum(d, type /* "text" | "father" */) {
 };
 
 
+// Fit a duration band or segment (search results) and open its anchored box.
+// Segments only exist zoomed in and duration boxes only zoomed out, so the
+// fit is clamped to the matching side of ZOOM_THRESHOLD.
+flyToPeriodRef.current = function flyToPeriod(id) {
+  if (!zoomRef.current || !svgSelRef.current) return;
+  const seg = findSegment(id);
+  const outline = seg ? null : outlines.find((o) => o.id === id);
+  const p = seg || outline;
+  if (!p) return;
+
+  const x0 = x(toAstronomical(p.start));
+  const x1 = x(toAstronomical(p.end));
+  const fitK = (innerWidth * 0.8) / Math.max(1, Math.abs(x1 - x0));
+  const k = seg
+    ? clamp(fitK, seg.kind === "reign" ? RULERS_MIN_K : ZOOM_THRESHOLD, MAX_ZOOM)
+    : clamp(fitK, MIN_ZOOM, ZOOM_THRESHOLD * 0.95);
+
+  const cx = (x0 + x1) / 2;
+  const cy = y0(p.y + p.h / 2);
+  const t = zoom.constrain()(
+    d3.zoomIdentity.translate(innerWidth / 2 - k * cx, innerHeight / 2 - k * cy).scale(k),
+    [[0, 0], [innerWidth, innerHeight]],
+    [[rangeX0, rangeY0], [rangeX1, rangeY1]]
+  );
+
+  clearActiveSegment();
+  clearActiveDuration();
+  svgSelRef.current
+    .transition()
+    .duration(SEARCH_FLY.duration)
+    .ease(SEARCH_FLY.ease)
+    .call(zoomRef.current.transform, t)
+    .on("end", () => {
+      lastTransformRef.current = t;
+      kRef.current = t.k;
+      if (seg) setActiveSegment(seg, { showCard: true });
+      else setActiveDuration(outline, { showCard: true });
+    });
+};
+
  // Dev helper: try window.flyToTest(id) from DevTools
 window.flyToTest = (id) => {
   const t = textRows.find(x => x.id === id);
@@ -3182,8 +4172,17 @@ window.flyToTest = (id) => {
 };
 
    if (!didInitRef.current) {
-   // First time only: bind zoom and set init transform
-  const initT = d3.zoomIdentity; // translate(0,0).scale(1)
+   // First time only: bind zoom and set init transform (from the URL if present)
+  const urlT = viewToTransform(initialUrlStateRef.current.view, {
+    x, innerWidth, innerHeight, toAstronomical, zoomIdentity: d3.zoomIdentity,
+  });
+  const initT = urlT
+    ? zoom.constrain()(
+        d3.zoomIdentity.translate(urlT.x, urlT.y).scale(clamp(urlT.k, MIN_ZOOM, MAX_ZOOM)),
+        [[0, 0], [innerWidth, innerHeight]],
+        [[rangeX0, rangeY0], [rangeX1, rangeY1]]
+      )
+    : d3.zoomIdentity; // translate(0,0).scale(1)
 
 
    apply(initT.rescaleX(x), initT.rescaleY(y0), initT.k);
@@ -3211,14 +4210,25 @@ window.flyToTest = (id) => {
         svgSel.on("mouseleave.tl-tip", null);
         svgSel.on("click.clearActive", null);
         svgSel.on("pointermove.tl-hover", null);
+        svgSel.on(".canvasMarks", null);
+        svgSel.on(".keyNav", null);
+        canvasMarks.hoverMark = null;
+        svgEl.style.cursor = "";
 
         window.removeEventListener("click", onAnyClickClose, true);
     };
   }, [
     outlines,
     segments,
+    reigns,
     textRows,
     fatherRows,        // FATHERS: ensure updates
+    visTextRows,       // filters: marks are drawn from the visible rows
+    visFatherRows,
+    visEventRows,
+    textYMap,
+    fatherYMap,
+    markRenderer,      // svg nodes vs canvas
     width,
     height,
     innerWidth,
@@ -3228,12 +4238,212 @@ window.flyToTest = (id) => {
     margin.top,
     x,
     y0,
+    requestFolders,
+    primaryCalendar,   // axis tracks and converted dates in the tooltips
+    secondaryCalendar,
+    shownCalendars,
   ]);
 
+  // Loading placeholders come and go without a full redraw
+  useEffect(() => {
+    loadingFoldersRef.current = loadingFolders;
+    redrawLoadingRef.current();
+  }, [loadingFolders]);
+
+  /* ========= Year window brush (bottom axis) ========= */
+  // The brush lives in screen pixels but the window is stored in years, so
+  // every zoom re-projects it through the current zx (see apply()).
+  const yearRangeRef = useRef(yearRange);
+  yearRangeRef.current = yearRange;
+
+  useEffect(() => {
+    const gBrush = d3.select(brushRef.current);
+    const brush = d3.brushX()
+      .extent([[0, 0], [innerWidth, margin.bottom]])
+      .on("end", (event) => {
+        if (!event.sourceEvent) return; // programmatic move (zoom / restore)
+        const zx = zxRef.current;
+        if (!event.selection || !zx) {
+          setYearRange(null);
+          return;
+        }
+        // round in astronomical years so neither edge can land on year 0
+        const [a0, a1] = event.selection.map((px) => Math.round(zx.invert(px)));
+        setYearRange([fromAstronomical(a0), fromAstronomical(a1)]);
+      });
+
+    gBrush.call(brush);
+    gBrush.select("rect.overlay")
+      .attr("cursor", "crosshair")
+      .selectAll("title")
+      .data([0])
+      .join("title")
+      .text("Drag along the axis to filter by years");
+
+    syncBrushRef.current = (zx) => {
+      const range = yearRangeRef.current;
+      const px = range && zx ? range.map((y) => zx(toAstronomical(y))) : null;
+      gBrush.call(brush.move, px);
+    };
+    syncBrushRef.current(zxRef.current);
+
+    return () => {
+      gBrush.on(".brush", null);
+      syncBrushRef.current = () => {};
+    };
+  }, [innerWidth, margin.bottom]);
+
+  // Clear button / back-forward: re-project the stored window
+  useEffect(() => {
+    syncBrushRef.current(zxRef.current);
+  }, [yearRange]);
+
+  /* ========= Shareable URL state ========= */
+  // Opens a text/father/event card by record id (null closes them), without flying.
+  const openRecordById = (id) => {
+    const text = id ? textRows.find((t) => t.id === id) : null;
+    const father = !text && id ? fatherRows.find((f) => f.id === id) : null;
+    const event = !text && !father && id ? eventRows.find((e) => e.id === id) : null;
+    const pos = centeredCardPos();
+    if (text) setCardPos(pos);
+    if (father) setFatherCardPos(pos);
+    if (event) setEventCardPos(pos);
+    setSelectedText(text || null);
+    setSelectedFather(father || null);
+    setSelectedEvent(event || null);
+    setShowMore(false);
+    return !!(text || father || event);
+  };
+
+  // Same, but a record whose dataset has not loaded yet is opened once it
+  // arrives (via pendingOpenIdRef). False if the id is unknown.
+  const openRecordWhenLoaded = (id) => {
+    if (openRecordById(id) || !id) return true;
+    const folder = MANIFEST_BY_ID.get(id)?.folder;
+    if (!folder || loadedFolders.has(folder)) return false;
+    pendingOpenIdRef.current = id;
+    requestFolders([folder]);
+    return true;
+  };
+
+  // Influence graph: a click opens the card in place, "show on timeline"
+  // switches back and flies there like a search hit
+  const handleGraphSelect = (row) => openRecordById(row.id);
+  const handleShowOnTimeline = (row) => {
+    setViewMode("timeline");
+    handleSearchSelect({ id: row.id, type: row.kind });
+  };
+
+  // Segment/duration boxes belong to the timeline; drop them when it is covered
+  useEffect(() => {
+    if (viewMode === "timeline") return;
+    clearActiveSegmentRef.current();
+    clearActiveDurationRef.current();
+    awaitingCloseClickSegRef.current = false;
+    awaitingCloseClickRef.current = false;
+  }, [viewMode]);
+
+  // Pane B of the comparison is saved only while that view is open
+  const urlCompareSelection = viewMode === "compare" ? compareSelectedByGroup : null;
+
+  // Filter presets use the hash format, so a preset is just a saved link
+  // without the open card / view mode.
+  const capturePreset = (withView) =>
+    serializeViewState({
+      view: withView
+        ? transformToView(lastTransformRef.current, { x, innerWidth, innerHeight, fromAstronomical })
+        : null,
+      yearRange,
+      selectedByGroup,
+      modesByGroup,
+      compareSelectedByGroup: urlCompareSelection,
+      groups: TAG_GROUPS,
+    });
+
+  const applyPreset = (serialized) => {
+    const state = parseViewState(serialized, TAG_GROUPS);
+    setSelectedByGroup(state.selectedByGroup);
+    setModesByGroup(state.modesByGroup);
+    if (state.compareSelectedByGroup) setCompareSelectedByGroup(state.compareSelectedByGroup);
+    setYearRange(state.yearRange);
+    if (!state.view || !zoomRef.current || !svgSelRef.current) return;
+    const t = viewToTransform(state.view, {
+      x, innerWidth, innerHeight, toAstronomical, zoomIdentity: d3.zoomIdentity,
+    });
+    svgSelRef.current
+      .transition()
+      .duration(SEARCH_FLY.duration)
+      .ease(SEARCH_FLY.ease)
+      .call(zoomRef.current.transform, t);
+  };
+
+  // Write the current view into the hash; reassigned every render so it
+  // always sees fresh state (zoom "end" calls it through the ref).
+  const syncUrlRef = useRef(() => {});
+  syncUrlRef.current = () => {
+    if (restoringUrlRef.current) return;
+    const openId = selectedText?.id ?? selectedFather?.id ?? selectedEvent?.id ?? null;
+    if (pendingOpenIdRef.current) {
+      if (openId !== pendingOpenIdRef.current) return; // card from URL not open yet
+      pendingOpenIdRef.current = null;
+    }
+    const view = transformToView(lastTransformRef.current, {
+      x, innerWidth, innerHeight, fromAstronomical,
+    });
+    const serialized = serializeViewState({
+      view, openId, mode: viewMode, yearRange, selectedByGroup, modesByGroup,
+      compareSelectedByGroup: urlCompareSelection, groups: TAG_GROUPS,
+    });
+    writeHash(serialized, { replace: !urlSyncedOnceRef.current });
+    urlSyncedOnceRef.current = true;
+  };
+
+  // Open the card named in the initial URL once rows are available
+  useEffect(() => {
+    const id = pendingOpenIdRef.current;
+    if (!id) return;
+    if (!openRecordWhenLoaded(id)) pendingOpenIdRef.current = null; // stale link: drop it
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [textRows, fatherRows]);
+
+  // Filters and cards push a history entry whenever they change
+  useEffect(() => {
+    syncUrlRef.current();
+  }, [selectedByGroup, modesByGroup, compareSelectedByGroup, yearRange, selectedText, selectedFather, selectedEvent, viewMode]);
+
+  // Back/forward: restore filters, card and viewport from the hash
+  useEffect(() => {
+    const onPopState = () => {
+      const state = parseViewState(readHash(), TAG_GROUPS);
+      restoringUrlRef.current = true;
+      pendingOpenIdRef.current = null;
+
+      setSelectedByGroup(state.selectedByGroup);
+      setModesByGroup(state.modesByGroup);
+      setCompareSelectedByGroup(state.compareSelectedByGroup || makeDefaultSelectedByGroup(TAG_GROUPS));
+      setYearRange(state.yearRange);
+      setViewMode(state.mode);
+      openRecordWhenLoaded(state.openId);
+
+      const t = viewToTransform(state.view, {
+        x, innerWidth, innerHeight, toAstronomical, zoomIdentity: d3.zoomIdentity,
+      }) ?? d3.zoomIdentity;
+      if (zoomRef.current && svgSelRef.current) {
+        svgSelRef.current.interrupt().call(zoomRef.current.transform, t);
+      }
+
+      // let React commit the restored state before syncing again
+      requestAnimationFrame(() => { restoringUrlRef.current = false; });
+    };
+    window.addEventListener("popstate", onPopState);
+    return () => window.removeEventListener("popstate", onPopState);
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [textRows, fatherRows, x, innerWidth, innerHeight]);
+
 return (
   <div
     ref={wrapRef}
-    className="timelineWrap"
+    className={`timelineWrap ${markRenderer === "canvas" ? "is-canvas" : ""}`}
     style={{ width: "100%", height: "100%", position: "relative" }}
   >
     {/* Search stays as-is */}
@@ -3244,16 +4454,98 @@ return (
       onInteract={handleSearchInteract}
     />
 
+    {/* Timeline / influence network switch */}
+    <div className="viewToggle" role="group" aria-label="View">
+      {VIEW_MODES.map((mode) => (
+        <button
+          key={mode}
+          type="button"
+          className={`viewToggle-btn ${viewMode === mode ? "is-active" : ""}`}
+          aria-pressed={viewMode === mode}
+          onClick={() => setViewMode(mode)}
+        >
+          {VIEW_LABELS[mode]}
+        </button>
+      ))}
+      <button
+        type="button"
+        className={`viewToggle-btn ${mapOpen ? "is-active" : ""}`}
+        aria-pressed={mapOpen}
+        disabled={viewMode !== "timeline"}
+        title="Show where the visible records come from"
+        onClick={() => setMapOpen((v) => !v)}
+      >
+        Map
+      </button>
+      <button
+        type="button"
+        className={`viewToggle-btn ${markRenderer === "canvas" ? "is-active" : ""}`}
+        aria-pressed={markRenderer === "canvas"}
+        disabled={viewMode !== "timeline"}
+        title="Draw the marks on a canvas instead of as SVG nodes"
+        onClick={() => setMarkRenderer((r) => (r === "canvas" ? "svg" : "canvas"))}
+      >
+        Canvas
+      </button>
+      <button
+        type="button"
+        className={`viewToggle-btn ${showDateRanges ? "is-active" : ""}`}
+        aria-pressed={showDateRanges}
+        disabled={viewMode !== "timeline"}
+        title="Show each record's possible date range (texts) or lifespan (figures)"
+        onClick={() => setShowDateRanges((v) => !v)}
+      >
+        Ranges
+      </button>
+    </div>
+
+    <CalendarMenu
+      calendars={CALENDARS}
+      primary={primaryCalendar.id}
+      secondary={secondaryCalendar?.id ?? null}
+      onChange={setCalendarIds}
+    />
+
+    <ExportMenu
+      hasCard={viewMode === "timeline" && !!(selectedText || selectedFather || selectedEvent)}
+      imageDisabled={viewMode !== "timeline"}
+      onExport={handleExport}
+      recordCounts={{
+        texts: visTextRows.length + unloadedMatches.filter((m) => m.kind === "text").length,
+        fathers: visFatherRows.length + unloadedMatches.filter((m) => m.kind === "father").length,
+      }}
+      onExportRecords={handleExportRecords}
+    />
+
     {/* NEW: Tag filter panel (absolute, top-right; lives inside the wrapper so it overlays the SVG) */}
     <TagPanel
       groups={TAG_GROUPS}
-      selectedByGroup={selectedByGroup}
-      onChange={setSelectedByGroup}
+      selectedByGroup={panelSelectedByGroup}
+      onChange={setPanelSelectedByGroup}
+      modesByGroup={modesByGroup}
+      onModesChange={setModesByGroup}
+      facetCounts={tagFacetCounts}
+      onCapturePreset={capturePreset}
+      onApplyPreset={applyPreset}
     />
 
+    {/* Canvas renderer: marks painted under the svg chrome (see apply()) */}
+    {markRenderer === "canvas" && (
+      <canvas
+        ref={marksCanvasRef}
+        className="marksCanvas"
+        style={{ left: margin.left, top: margin.top }}
+        aria-hidden="true"
+      />
+    )}
+
     <svg
       ref={svgRef}
       className={`timelineSvg ${modalOpen ? "isModalOpen" : ""}`}
+      tabIndex={viewMode === "timeline" ? 0 : -1}
+      role="group"
+      aria-roledescription="timeline"
+      aria-label="Timeline. Arrow keys move between marks, Enter opens one, plus and minus zoom, Shift with arrows pans."
       width={width}
       height={height}
     >
@@ -3274,9 +4566,16 @@ return (
         <g ref={gridRef} className="grid" />
         <g ref={customPolysRef} className="customPolys" />
         <g ref={outlinesRef} className="durations" />
+        <g ref={loadingRef} className="bandLoadingLayer" />
         <g ref={segmentsRef} className="segments" />
+        <g ref={rulersRef} className="rulers" />
+        <g ref={rangesRef} className="dateRanges" />
+        <g ref={eventsRef} className="events" />
+        <g ref={relationsRef} className="relations" />
         <g ref={fathersRef} className="fathers" />
         <g ref={textsRef} className="texts" />
+        <g ref={linkedRef} className="linkedMarks" />
+        <g ref={focusRingRef} className="markFocus" />
       </g>
 
       {/* 3) Underfill band beneath the bottom timeline axis (outside clip so it stays visible) */}
@@ -3291,8 +4590,111 @@ return (
 
       {/* Axis is outside the clipped region so it always sits on top */}
       <g ref={axisRef} className="axis" />
+      <g ref={axis2Ref} className="axis axis--secondary" />
+
+      {/* Year-window brush over the axis strip */}
+      <g
+        ref={brushRef}
+        className="yearBrush"
+        transform={`translate(${margin.left},${margin.top + axisY})`}
+      />
     </svg>
 
+    {yearRange && (
+      <div className="yearRangeChip" style={{ bottom: margin.bottom + 8 }}>
+        <span>
+          {formatYear(yearRange[0])} – {formatYear(yearRange[1])}
+        </span>
+        <button
+          type="button"
+          className="yearRangeChip-clear"
+          aria-label="Clear year window"
+          title="Clear year window"
+          onClick={() => setYearRange(null)}
+        >
+          ×
+        </button>
+      </div>
+    )}
+
+    {mapOpen && viewMode === "timeline" && (
+      <div className="mapPanel" style={{ bottom: margin.bottom + 8 }}>
+        <GeoMap
+          rows={graphRows}
+          width={MAP_SIZE.width}
+          height={MAP_SIZE.height}
+          highlightRef={mapHighlightRef}
+          onHoverRecords={handleMapHover}
+          onSelect={handleRelatedSelect}
+          onClose={() => setMapOpen(false)}
+        />
+      </div>
+    )}
+
+    {showOverview && viewMode === "timeline" && (
+      <Minimap
+        outlines={outlines}
+        years={overviewYears}
+        x={x}
+        toAstronomical={toAstronomical}
+        innerWidth={innerWidth}
+        innerHeight={innerHeight}
+        zoomRef={zoomRef}
+        svgSelRef={svgSelRef}
+        syncRef={syncMinimapRef}
+        bottom={margin.bottom + 8}
+      />
+    )}
+
+    {/* Influence network overlays the (still mounted) timeline so zoom state survives */}
+    {viewMode === "network" && (
+      <InfluenceGraph
+        rows={graphRows}
+        width={width}
+        height={height}
+        selectedId={selectedText?.id ?? selectedFather?.id ?? null}
+        onSelect={handleGraphSelect}
+        onShowOnTimeline={handleShowOnTimeline}
+      />
+    )}
+
+    {/* Table view: the same records, over the timeline (its axis still zooms the span) */}
+    {viewMode === "table" && (
+      <RecordTable
+        rows={tableRows}
+        caption={spanSummary}
+        periodName={periodNameOf}
+        formatYear={formatYear}
+        bottom={margin.bottom}
+        onSelect={(row) => openRecordById(row.id)}
+      />
+    )}
+
+    {/* Comparison: two filtered copies of the bands over the timeline, same axis and zoom */}
+    {comparePanes && (
+      <ComparePanes
+        panes={comparePanes}
+        outlines={outlines}
+        x={x}
+        toAstronomical={toAstronomical}
+        formatYear={formatYear}
+        top={margin.top}
+        innerWidth={innerWidth}
+        innerHeight={innerHeight}
+        zoomRef={zoomRef}
+        svgSelRef={svgSelRef}
+        syncRef={syncCompareRef}
+        editing={compareEditing}
+        onEdit={setCompareEditing}
+        onSelect={(row) => openRecordById(row.id)}
+      />
+    )}
+
+    {/* Screen readers hear the visible range after zooming and the focused mark */}
+    <div className="srOnly" role="status" aria-live="polite">
+      {announcement}
+    </div>
+
     {/* Backdrop for modal; closes on click */}
     {modalOpen && <div className="modalBackdrop" onClick={closeAllAnimated} />}
 
@@ -3300,6 +4702,11 @@ return (
     {selectedText && (
       <TextCard
         d={selectedText}
+        related={relationIndex.get(selectedText.id)}
+        onSelectRelated={handleRelatedSelect}
+        onShowOnTimeline={viewMode !== "timeline" ? handleShowOnTimeline : undefined}
+        otherDates={otherCalendarDates(selectedText, shownCalendars)}
+        reigns={reignsAt(selectedText)}
         left={cardPos.left}
         top={cardPos.top}
         showMore={showMore}
@@ -3315,6 +4722,10 @@ return (
     {selectedFather && (
       <FatherCard
         d={selectedFather}
+        related={relationIndex.get(selectedFather.id)}
+        onSelectRelated={handleRelatedSelect}
+        onShowOnTimeline={viewMode !== "timeline" ? handleShowOnTimeline : undefined}
+        otherDates={otherCalendarDates(selectedFather, shownCalendars)}
         left={fatherCardPos.left}
         top={fatherCardPos.top}
         showMore={showMore}
@@ -3325,6 +4736,19 @@ return (
         }}
       />
     )}
+
+    {/* Event modal */}
+    {selectedEvent && (
+      <EventCard
+        ref={eventCardRef}
+        d={selectedEvent}
+        bandNames={selectedEvent.bandIds.map(periodNameOf)}
+        otherDates={otherCalendarDates(selectedEvent, shownCalendars)}
+        left={eventCardPos.left}
+        top={eventCardPos.top}
+        onClose={() => setSelectedEvent(null)} // unmount after its slide-out finishes
+      />
+    )}
   </div>
 );
 
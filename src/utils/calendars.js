@@ -0,0 +1,210 @@
+// utils/calendars.js
+// Calendar layer for the time axis, tooltips and cards.
+//
+// Positions on the chart are astronomical years (1 BCE = 0, 2 BCE = -1);
+// every calendar only maps them to its own labels. A calendar is
+//   {
+//     id, label,              menu entry
+//     abbr,                   short name in tooltips / cards ("AUC")
+//     ticks(aLo, aHi),        astronomical years to put axis ticks at
+//     format(a),              year label, or null where the era is not in use
+//     tickFormat?(a),         shorter label for ticks (defaults to format)
+//   }
+// Add one with registerCalendar(); the menu lists CALENDARS in order.
+
+/* ===== Era counting ===== */
+/**
+ * Year numbers of an era whose year 1 starts at astronomical year `epoch`.
+ * Without a year zero (the Christian era, AUC, ...) the year before 1 is -1;
+ * with one it is 0. Works on fractional years (axis positions): anything
+ * after the start of year 1 counts forward.
+ */
+export function eraCounter({ epoch, yearZero = false }) {
+  return {
+    yearZero,
+    fromAstronomical: (a) => {
+      const d = a - epoch;
+      return yearZero || d > -1 ? d + 1 : d;
+    },
+    toAstronomical: (n) => (yearZero || n > 0 ? epoch + n - 1 : epoch + n),
+  };
+}
+
+// BCE/CE: 1 CE is astronomical year 1, no year zero
+const COMMON_ERA = eraCounter({ epoch: 1 });
+export const toAstronomical = COMMON_ERA.toAstronomical;
+export const fromAstronomical = COMMON_ERA.fromAstronomical;
+export const formatYear = (y) => (y < 0 ? `${Math.abs(y)} BCE` : y > 0 ? `${y} CE` : "—");
+
+/* ===== Ticks ===== */
+export function chooseYearStep(visibleSpanYears) {
+  if (visibleSpanYears > 8000) return 1000;
+  if (visibleSpanYears > 3000) return 500;
+  if (visibleSpanYears > 1200) return 250;
+  if (visibleSpanYears > 600)  return 100;
+  if (visibleSpanYears > 240)  return 50;
+  if (visibleSpanYears > 120)  return 20;
+  if (visibleSpanYears > 60)   return 10;
+  if (visibleSpanYears > 24)   return 5;
+  return 2;
+}
+
+// round year numbers of an era counter, skipping the missing year zero
+function counterTicks(counter, aLo, aHi, step) {
+  const n0 = counter.fromAstronomical(aLo);
+  const n1 = counter.fromAstronomical(aHi);
+  const out = [];
+  for (let n = Math.ceil(n0 / step) * step; n <= n1; n += step) {
+    if (n !== 0 || counter.yearZero) out.push(counter.toAstronomical(n));
+  }
+  return out;
+}
+
+/* ===== Calendars ===== */
+const gregorian = {
+  id: "gregorian",
+  label: "BCE / CE",
+  abbr: "BCE/CE",
+  ticks(aLo, aHi) {
+    const hMin = fromAstronomical(aLo);
+    const hMax = fromAstronomical(aHi);
+    const ticks = counterTicks(COMMON_ERA, aLo, aHi, chooseYearStep(Math.max(1, hMax - hMin)));
+    if (hMin < 0 && hMax > 0) ticks.push(0.5); // BCE/CE marker
+    return ticks.sort((a, b) => a - b);
+  },
+  format: (a) => (Math.abs(a - 0.5) < 1e-6 ? "0" : formatYear(fromAstronomical(a))),
+};
+
+// An era counted forward from its epoch (nothing before year 1)
+function forwardEra({ id, label, abbr, epoch, until = Infinity, pattern }) {
+  const counter = eraCounter({ epoch });
+  const inUse = (a) => a >= epoch && a <= until;
+  return {
+    id,
+    label,
+    abbr,
+    ticks: (aLo, aHi) =>
+      counterTicks(counter, Math.max(aLo, epoch), Math.min(aHi, until), chooseYearStep(aHi - aLo)),
+    format: (a) => (inUse(a) ? pattern(Math.floor(counter.fromAstronomical(a))) : null),
+  };
+}
+
+// Seleucid Era, Macedonian reckoning: year 1 from autumn 312 BCE
+const seleucid = forwardEra({
+  id: "seleucid", label: "Seleucid Era (SE)", abbr: "SE",
+  epoch: toAstronomical(-312), pattern: (n) => `SE ${n}`,
+});
+
+// Ab Urbe Condita, Varronian founding date 753 BCE
+const auc = forwardEra({
+  id: "auc", label: "Ab Urbe Condita (AUC)", abbr: "AUC",
+  epoch: toAstronomical(-753), pattern: (n) => `${n} AUC`,
+});
+
+// Anno Mundi, rabbinic reckoning: year 1 = 3761 BCE
+const annoMundi = forwardEra({
+  id: "annoMundi", label: "Anno Mundi (AM)", abbr: "AM",
+  epoch: toAstronomical(-3761), pattern: (n) => `AM ${n}`,
+});
+
+// Olympiads: Ol. 1.1 = 776 BCE, counted until the games ended (Ol. 293, 393 CE)
+const OLYMPIAD_EPOCH = toAstronomical(-776);
+const OLYMPIAD_LAST = 293;
+const olympiadOf = (a) => {
+  const i = Math.floor(a - OLYMPIAD_EPOCH);
+  const n = Math.floor(i / 4) + 1;
+  return i < 0 || n > OLYMPIAD_LAST ? null : { n, year: (i % 4) + 1 };
+};
+const olympiads = {
+  id: "olympiads",
+  label: "Olympiads",
+  abbr: "Ol.",
+  ticks(aLo, aHi) {
+    const step = chooseYearStep((aHi - aLo) / 4); // in olympiads
+    const nHi = Math.min(OLYMPIAD_LAST, (aHi - OLYMPIAD_EPOCH) / 4 + 1);
+    const out = [];
+    for (let n = Math.max(step, Math.ceil(((aLo - OLYMPIAD_EPOCH) / 4 + 1) / step) * step); n <= nHi; n += step) {
+      out.push(OLYMPIAD_EPOCH + (n - 1) * 4);
+    }
+    return out;
+  },
+  format(a) {
+    const o = olympiadOf(a);
+    return o ? `Ol. ${o.n}.${o.year}` : null;
+  },
+  tickFormat(a) {
+    const o = olympiadOf(a);
+    return o ? `Ol. ${o.n}` : null;
+  },
+};
+
+// Hijri (lunar) years, 33 of them to 32 solar years; year 1 from 622 CE.
+// Approximate to within a year, which is all a year axis can show.
+const HIJRI_EPOCH = 622;
+const HIJRI_RATIO = 33 / 32;
+const hijri = {
+  id: "hijri",
+  label: "Hijri (AH)",
+  abbr: "AH",
+  ticks(aLo, aHi) {
+    const step = chooseYearStep((aHi - aLo) * HIJRI_RATIO);
+    const nHi = (aHi - HIJRI_EPOCH) * HIJRI_RATIO + 1;
+    const out = [];
+    for (let n = Math.max(step, Math.ceil(((aLo - HIJRI_EPOCH) * HIJRI_RATIO + 1) / step) * step); n <= nHi; n += step) {
+      out.push(HIJRI_EPOCH + (n - 1) / HIJRI_RATIO);
+    }
+    return out;
+  },
+  format: (a) =>
+    a < HIJRI_EPOCH ? null : `AH ${Math.floor((a - HIJRI_EPOCH) * HIJRI_RATIO) + 1}`,
+};
+
+// Egyptian dynasties (conventional dates after Shaw, Oxford History of
+// Ancient Egypt), numbered as "year n of the dynasty". Where dynasties
+// overlap the line recognised across Egypt is used; Roman rule ends it.
+const DYNASTIES = [
+  [-3000, "Dyn. 1"], [-2890, "Dyn. 2"], [-2686, "Dyn. 3"], [-2613, "Dyn. 4"],
+  [-2494, "Dyn. 5"], [-2345, "Dyn. 6"], [-2181, "Dyn. 7–8"], [-2160, "Dyn. 9–10"],
+  [-2055, "Dyn. 11"], [-1985, "Dyn. 12"], [-1773, "Dyn. 13"], [-1650, "Dyn. 15"],
+  [-1550, "Dyn. 18"], [-1295, "Dyn. 19"], [-1186, "Dyn. 20"], [-1069, "Dyn. 21"],
+  [-945, "Dyn. 22"], [-715, "Dyn. 25"], [-664, "Dyn. 26"], [-525, "Dyn. 27"],
+  [-404, "Dyn. 28"], [-399, "Dyn. 29"], [-380, "Dyn. 30"], [-343, "Dyn. 31"],
+  [-332, "Macedonian"], [-305, "Ptolemaic"], [-30, null],
+].map(([start, name]) => ({ start: toAstronomical(start), name }));
+
+const dynastyOf = (a) => {
+  const i = DYNASTIES.findLastIndex((d) => d.start <= a);
+  return i >= 0 && DYNASTIES[i].name ? DYNASTIES[i] : null;
+};
+const egyptian = {
+  id: "egyptian",
+  label: "Egyptian dynasties",
+  abbr: "Egypt",
+  ticks: (aLo, aHi) => DYNASTIES.filter((d) => d.name && d.start >= aLo && d.start <= aHi).map((d) => d.start),
+  format(a) {
+    const d = dynastyOf(a);
+    return d ? `${d.name}, yr ${Math.floor(a - d.start) + 1}` : null;
+  },
+  tickFormat: (a) => dynastyOf(a)?.name ?? null,
+};
+
+/* ===== Registry ===== */
+export const CALENDARS = [gregorian, seleucid, auc, olympiads, annoMundi, hijri, egyptian];
+export const DEFAULT_CALENDAR = gregorian.id;
+
+export function registerCalendar(calendar) {
+  const i = CALENDARS.findIndex((c) => c.id === calendar.id);
+  if (i >= 0) CALENDARS[i] = calendar;
+  else CALENDARS.push(calendar);
+}
+
+export const getCalendar = (id) => CALENDARS.find((c) => c.id === id) || gregorian;
+
+/** A human year (or earliest–latest range) in another calendar, or null outside its use. */
+export function formatInCalendar(calendar, earliest, latest = earliest) {
+  const a = calendar.format(toAstronomical(earliest));
+  const b = latest !== earliest ? calendar.format(toAstronomical(latest)) : a;
+  if (!a && !b) return null;
+  if (a === b) return a;
+  return `${a ?? "…"} – ${b ?? "…"}`;
+}
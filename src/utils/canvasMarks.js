@@ -0,0 +1,156 @@
+// utils/canvasMarks.js
+// Canvas backend for the timeline marks (text dots and father triangles).
+//
+// The SVG renderer keeps one node (or group) per record and apply() walks
+// them on every zoom event. Here the timeline hands over a flat list of
+// marks in chart pixels instead; they are painted in one pass and indexed
+// in a quadtree so hover and click can find the mark under the pointer.
+//
+//   mark = { id, kind: "text"|"father", row, x, y, r, colors, showMid }
+//
+// Draw order matches the SVG layers: fathers first, then texts.
+
+import * as d3 from "d3";
+import {
+  overlayStrokeWidth,
+  sliceSeparatorWidth,
+  buildOverlaySegments,
+  leftSplitTriangleSlices,
+  inTriangle,
+} from "./markGeometry.js";
+
+const OVERLAY_OPACITY = 0.9;
+// d3.arc angles start at 12 o'clock; the SVG pies are offset to 9 o'clock
+const ANGLE_OFFSET = -Math.PI / 2;
+const toCanvasAngle = (a) => a - Math.PI / 2;
+
+/** Match the backing store to the CSS size and device pixel ratio. */
+export function sizeCanvas(canvas, width, height) {
+  const dpr = window.devicePixelRatio || 1;
+  const w = Math.round(width * dpr);
+  const h = Math.round(height * dpr);
+  if (canvas.width !== w) canvas.width = w;
+  if (canvas.height !== h) canvas.height = h;
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  const ctx = canvas.getContext("2d");
+  ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+  return ctx;
+}
+
+function paintDot(ctx, m) {
+  const cols = m.colors || [];
+  if (cols.length <= 1) {
+    ctx.fillStyle = m.row.color || "#444";
+    ctx.beginPath();
+    ctx.arc(m.x, m.y, m.r, 0, 2 * Math.PI);
+    ctx.fill();
+    return;
+  }
+
+  const n = cols.length;
+  for (let i = 0; i < n; i++) {
+    const a0 = toCanvasAngle(ANGLE_OFFSET + (i / n) * 2 * Math.PI);
+    const a1 = toCanvasAngle(ANGLE_OFFSET + ((i + 1) / n) * 2 * Math.PI);
+    ctx.fillStyle = cols[i];
+    ctx.beginPath();
+    ctx.moveTo(m.x, m.y);
+    ctx.arc(m.x, m.y, m.r, a0, a1);
+    ctx.closePath();
+    ctx.fill();
+  }
+
+  ctx.save();
+  ctx.globalAlpha = OVERLAY_OPACITY;
+  ctx.strokeStyle = "#fff";
+  ctx.lineCap = "round";
+  ctx.lineWidth = sliceSeparatorWidth(m.r);
+  ctx.beginPath();
+  for (let i = 0; i < n; i++) {
+    const a = toCanvasAngle(ANGLE_OFFSET + (i / n) * 2 * Math.PI);
+    ctx.moveTo(m.x, m.y);
+    ctx.lineTo(m.x + m.r * Math.cos(a), m.y + m.r * Math.sin(a));
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+function paintFather(ctx, m) {
+  const cols = m.colors?.length ? m.colors : [m.row.color || "#666"];
+  for (const s of leftSplitTriangleSlices(m.x, m.y, m.r, cols)) {
+    ctx.fillStyle = s.fill;
+    ctx.fill(new Path2D(s.d));
+  }
+
+  // same thresholds as the SVG overlays: no white lines on tiny triangles
+  if (m.r < 3) return;
+  ctx.save();
+  ctx.globalAlpha = OVERLAY_OPACITY;
+  ctx.strokeStyle = "#fff";
+  ctx.lineCap = "round";
+  ctx.lineWidth = overlayStrokeWidth(m.r);
+  ctx.beginPath();
+  for (const seg of buildOverlaySegments(m.x, m.y, m.r, cols, m.showMid)) {
+    ctx.moveTo(seg.x1, seg.y1);
+    ctx.lineTo(seg.x2, seg.y2);
+  }
+  ctx.stroke();
+  ctx.restore();
+}
+
+/**
+ * Paint all marks; the hovered one grows by `hoverScale` like its SVG twin.
+ * @param {HTMLCanvasElement} canvas
+ * @param {Array} marks
+ * @param {{ width: number, height: number, hoverId?: string|null, hoverScale?: number }} o
+ */
+export function paintMarks(canvas, marks, { width, height, hoverId = null, hoverScale = 1 }) {
+  const ctx = sizeCanvas(canvas, width, height);
+  ctx.clearRect(0, 0, width, height);
+  for (const m of marks) {
+    const mm = m.id === hoverId ? { ...m, r: m.r * hoverScale } : m;
+    if (m.kind === "father") paintFather(ctx, mm);
+    else paintDot(ctx, mm);
+  }
+}
+
+/* ===== Hit testing ===== */
+/** Quadtree over mark centers; `maxR` bounds the search box. */
+export function indexMarks(marks) {
+  let maxR = 0;
+  marks.forEach((m, i) => {
+    m.order = i;
+    if (m.r > maxR) maxR = m.r;
+  });
+  const tree = d3.quadtree()
+    .x((m) => m.x)
+    .y((m) => m.y)
+    .addAll(marks);
+  return { tree, maxR };
+}
+
+const contains = (m, x, y) =>
+  m.kind === "father"
+    ? inTriangle(x, y, m.x, m.y, m.r)
+    : (x - m.x) ** 2 + (y - m.y) ** 2 <= m.r * m.r;
+
+/**
+ * The topmost mark under (x, y) in chart pixels, or null.
+ * `slop` widens tiny marks so they stay clickable when zoomed out.
+ */
+export function markAt(index, x, y, slop = 0) {
+  if (!index) return null;
+  const R = index.maxR + slop;
+  let best = null;
+  index.tree.visit((node, x0, y0, x1, y1) => {
+    if (!node.length) {
+      for (let n = node; n; n = n.next) {
+        const m = n.data;
+        const hit = contains(slop ? { ...m, r: m.r + slop } : m, x, y);
+        if (hit && (!best || m.order > best.order)) best = m;
+      }
+    }
+    return x0 > x + R || x1 < x - R || y0 > y + R || y1 < y - R;
+  });
+  return best;
+}
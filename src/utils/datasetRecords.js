@@ -0,0 +1,145 @@
+// utils/datasetRecords.js
+// How a raw spreadsheet row becomes a timeline record: its date, stable id
+// and tag arrays. Shared by the timeline row builders and
+// scripts/build-search-manifest.js, so search hits for datasets that are not
+// loaded yet carry the same ids the rows get once they arrive.
+
+import { makeRecordId } from "./viewState.js";
+import { TAG_GROUPS, normalizeTagStringToArray } from "./tagGroups.js";
+import { parseUncertainDate, parseLifespan } from "./dateRanges.js";
+
+/* ===== Small utils ===== */
+export const hashString = (str) => {
+  let h = 2166136261 >>> 0;
+  for (let i = 0; i < (str || "").length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return (h >>> 0) / 2 ** 32;
+};
+
+// The sheet importer writes NA cells as explicit nulls; the row readers
+// expect the spreadsheet's "-" placeholder, so map them back.
+export function nullCellsToNA(row) {
+  if (!row || !Object.values(row).includes(null)) return row;
+  const out = {};
+  for (const [k, v] of Object.entries(row)) out[k] = v === null ? "-" : v;
+  return out;
+}
+
+export function getLooseField(obj, targetKey) {
+  const want = String(targetKey).trim().toLowerCase();
+  for (const k of Object.keys(obj || {})) {
+    if (k && k.trim().toLowerCase() === want) return obj[k];
+  }
+  return undefined;
+}
+
+/* ===== Dates ===== */
+export function getTextDate(row) {
+  const v = Number(row?.["Dataviz date"]);
+  return Number.isFinite(v) ? v : NaN;
+}
+
+export function getDatavizNumber(row) {
+  for (const k of ["Dataviz", "Dataviz column", "Dataviz date"]) {
+    const v = Number(row?.[k]);
+    if (Number.isFinite(v)) return v;
+  }
+  return NaN;
+}
+
+// Date ranges (utils/dateRanges.js) widened to include the plotted year, so
+// a mark is never filtered out of a window it is drawn in. Without a
+// parseable date string the range is just `when` (confidence null).
+function withWhen(range, when) {
+  if (!range) return { earliest: when, latest: when, confidence: null };
+  return {
+    earliest: Math.min(range.earliest, when),
+    latest: Math.max(range.latest, when),
+    confidence: range.confidence,
+  };
+}
+
+export const textDateRange = (t, when) => withWhen(parseUncertainDate(t["Approx. Date"]), when);
+
+export const fatherDateRange = (f, when) => withWhen(parseLifespan(f["D.O.B"], f["D.O.D"]), when);
+
+export const eventDateRange = (e, when) => withWhen(parseUncertainDate(e["Approx. Date"]), when);
+
+/* ===== Ids ===== */
+// Rows without an Index fall back to a title/date key (not stable across edits)
+export function textRecordId({ folder, durationId }, t, when) {
+  const title = String(t["Name"] || "").trim();
+  const textIndex = String(getLooseField(t, "Index") ?? "").trim();
+  return textIndex
+    ? makeRecordId(folder, "text", textIndex)
+    : `${durationId}__text__${title || hashString(JSON.stringify(t))}__${when}`;
+}
+
+export function fatherRecordId({ folder, durationId }, f, when) {
+  const name = String(f["Name"] || "").trim();
+  const index = f["Index"] != null ? f["Index"] : null;
+  return index != null && String(index).trim() !== ""
+    ? makeRecordId(folder, "father", String(index).trim())
+    : `${durationId}__father__${name || hashString(JSON.stringify(f))}__${when}`;
+}
+
+export function eventRecordId({ folder }, e, when) {
+  const name = String(e["Name"] || "").trim();
+  const index = String(getLooseField(e, "Index") ?? "").trim();
+  return index
+    ? makeRecordId(folder, "event", index)
+    : `${folder}__event__${name || hashString(JSON.stringify(e))}__${when}`;
+}
+
+export function rulerRecordId({ folder }, r, start) {
+  const name = String(r["Name"] || "").trim();
+  const index = String(getLooseField(r, "Index") ?? "").trim();
+  return index
+    ? makeRecordId(folder, "ruler", index)
+    : `${folder}__ruler__${name || hashString(JSON.stringify(r))}__${start}`;
+}
+
+/* ===== Tags ===== */
+/**
+ * Normalized tag arrays for filtering, one per group in `fields`
+ * (TEXT_TAG_FIELDS / FATHER_TAG_FIELDS / EVENT_TAG_FIELDS); the first
+ * non-empty column wins.
+ * null = NA for that group, [] = no canonical tags.
+ */
+export function recordTags(row, fields) {
+  const tags = {};
+  for (const [key, columns] of Object.entries(fields)) {
+    const raw = columns.map((c) => row[c]).find(Boolean) || "";
+    tags[key] = normalizeTagStringToArray(String(raw).trim(), key);
+  }
+  return tags;
+}
+
+// The search manifest stores tags as one bit mask per group over its
+// allTags, in TAG_GROUPS order (most of its size otherwise); null marks an
+// NA group, left out as in the rows. Masks use 2 ** i, not 1 << i, since
+// symbolicSystems has more than 31 tags.
+const tagListByKey = new Map(TAG_GROUPS.map((g) => [g.key, g.allTags]));
+const PACKED_GROUPS = TAG_GROUPS.map((g) => g.key);
+
+export function packTags(tags) {
+  const out = PACKED_GROUPS.map((key) => {
+    const arr = tags?.[key];
+    if (arr == null) return null;
+    return tagListByKey.get(key).reduce((mask, t, i) => (arr.includes(t) ? mask + 2 ** i : mask), 0);
+  });
+  while (out.length && out[out.length - 1] == null) out.pop();
+  return out;
+}
+
+export function unpackTags(packed) {
+  const out = {};
+  (packed || []).forEach((mask, g) => {
+    if (mask == null) return;
+    const key = PACKED_GROUPS[g];
+    out[key] = tagListByKey.get(key).filter((_t, i) => Math.floor(mask / 2 ** i) % 2 === 1);
+  });
+  return out;
+}
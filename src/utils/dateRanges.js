@@ -0,0 +1,176 @@
+// utils/dateRanges.js
+// Uncertain dates: turns the sheet's free-text dates ("c. 2550–2300 BCE",
+// "fl. 450 BCE", "late 3rd millennium BCE", "before 1200 BCE") into ranges.
+//
+// Years are human years (BCE < 0, no year 0), like `when` on the rows; a
+// year without an era is CE, and an era on the end of a range covers both
+// ends ("700–500 BCE").
+// A range is { earliest, latest, confidence } with earliest <= latest and
+// confidence one of:
+//   "high"    a plain year or range ("1380 BCE", "700–500 BCE")
+//   "medium"  hedged: c./ca./circa/~, fl.
+//   "low"     open-ended or coarse: before/after/by, centuries, millennia
+
+import { toAstronomical, fromAstronomical } from "./calendars.js";
+
+const CONFIDENCE_LEVELS = ["low", "medium", "high"];
+
+const CIRCA_PAD = 25;        // "c. 1380 BCE" -> 1405–1355 BCE
+const FLORUIT_BEFORE = 40;   // "fl. 450 BCE": born up to ~40 years earlier
+const FLORUIT_AFTER = 20;    // ... and active up to ~20 years later
+const OPEN_SPAN = 100;       // "before 1200 BCE" -> 1300–1200 BCE
+
+/* ===== Year arithmetic (no year 0) ===== */
+const shiftYear = (y, n) => fromAstronomical(toAstronomical(y) + n);
+
+/* ===== Parsing ===== */
+const ERA_RE = /^(b\.?\s*c\.?\s*e?\.?|b\.?\s*c\.?|c\.?\s*e\.?|a\.?\s*d\.?)$/i;
+const isBce = (era) => /^b/i.test(era.replace(/[.\s]/g, ""));
+
+function signed(n, era) {
+  return era && isBce(era) ? -n : n;
+}
+
+// "early"/"mid"/"late" thirds of a span
+function portion(earliest, latest, which) {
+  if (!which) return [earliest, latest];
+  const a = toAstronomical(earliest);
+  const len = toAstronomical(latest) - a + 1;
+  const third = Math.round(len / 3);
+  const i = { early: 0, mid: 1, middle: 1, late: 2 }[which];
+  const lo = a + i * third;
+  const hi = i === 2 ? a + len - 1 : lo + third - 1;
+  return [fromAstronomical(lo), fromAstronomical(hi)];
+}
+
+// Nth century/millennium, e.g. 3rd century BCE = 300–201 BCE, 2nd century CE = 101–200 CE
+function ordinalSpan(n, unit, era) {
+  const size = /^mill/.test(unit) ? 1000 : 100;
+  if (era && isBce(era)) return [-(n * size), -((n - 1) * size + 1)];
+  return [(n - 1) * size + 1, n * size];
+}
+
+const ordinalRe =
+  /^(?:(early|mid|middle|late)[\s-]+)?(\d+)(?:st|nd|rd|th)\s+(century|centuries|millennium|millennia)\s*([a-z.\s]*)$/i;
+const yearRe = /^(\d{1,5})\s*([a-z.\s]*)$/i;
+
+function parseYear(s) {
+  const ad = /^a\.?\s*d\.?\s+(\d{1,5})$/i.exec(s.trim()); // "AD 70"
+  if (ad) return { n: Number(ad[1]), era: "CE" };
+  const m = yearRe.exec(s.trim());
+  if (!m) return null;
+  const era = m[2].trim();
+  if (era && !ERA_RE.test(era)) return null;
+  return { n: Number(m[1]), era };
+}
+
+function parseCore(s) {
+  // centuries / millennia
+  const ord = ordinalRe.exec(s);
+  if (ord) {
+    const era = ord[4].trim();
+    if (era && !ERA_RE.test(era)) return null;
+    const [lo, hi] = ordinalSpan(Number(ord[2]), ord[3].toLowerCase(), era);
+    const [earliest, latest] = portion(lo, hi, ord[1]?.toLowerCase());
+    return { earliest, latest, confidence: "low" };
+  }
+
+  // "A–B era", "A era–B era", "A to B era"
+  const parts = s.split(/\s*(?:[–—-]|\bto\b)\s*/i).filter(Boolean);
+  if (parts.length === 2) {
+    const a = parseYear(parts[0]);
+    const b = parseYear(parts[1]);
+    if (!a || !b) return null;
+    const y1 = signed(a.n, a.era || b.era);
+    const y2 = signed(b.n, b.era);
+    return { earliest: Math.min(y1, y2), latest: Math.max(y1, y2), confidence: "high" };
+  }
+
+  const one = parseYear(s);
+  if (!one) return null;
+  const y = signed(one.n, one.era);
+  return { earliest: y, latest: y, confidence: "high" };
+}
+
+/**
+ * Parse a free-text date into a range.
+ * Notes after the date ("c. 1000–600 BCE (oral), compiled by 500 BCE") are ignored.
+ * @param {string} text
+ * @returns {{ earliest: number, latest: number, confidence: string } | null}
+ */
+export function parseUncertainDate(text) {
+  let s = String(text ?? "")
+    .trim()
+    .split(/[(,;]/)[0]
+    .replace(/\.$/, "")
+    .trim();
+  if (!s || s === "-") return null;
+
+  let qualifier = null;
+  const q = /^(c\.|ca\.|circa|~|fl\.|floruit|before|by|after|not before|not after)\s*/i.exec(s);
+  if (q) {
+    qualifier = q[1].toLowerCase();
+    s = s.slice(q[0].length);
+  }
+  // the sheet sometimes repeats the hedge ("c. c. 300 BCE")
+  s = s.replace(/^(c\.|ca\.)\s*/i, "");
+
+  const core = parseCore(s);
+  if (!core) return null;
+  let { earliest, latest, confidence } = core;
+
+  switch (qualifier) {
+    case null:
+      break;
+    case "c.":
+    case "ca.":
+    case "circa":
+    case "~":
+      if (earliest === latest) {
+        earliest = shiftYear(earliest, -CIRCA_PAD);
+        latest = shiftYear(latest, CIRCA_PAD);
+      }
+      if (confidence === "high") confidence = "medium";
+      break;
+    case "fl.":
+    case "floruit":
+      earliest = shiftYear(earliest, -FLORUIT_BEFORE);
+      latest = shiftYear(latest, FLORUIT_AFTER);
+      if (confidence === "high") confidence = "medium";
+      break;
+    case "before":
+    case "by":
+    case "not after":
+      earliest = shiftYear(earliest, -OPEN_SPAN);
+      confidence = "low";
+      break;
+    case "after":
+    case "not before":
+      latest = shiftYear(latest, OPEN_SPAN);
+      confidence = "low";
+      break;
+  }
+  return { earliest, latest, confidence };
+}
+
+// the less certain of two confidence levels
+function minConfidence(a, b) {
+  return CONFIDENCE_LEVELS.indexOf(a) <= CONFIDENCE_LEVELS.indexOf(b) ? a : b;
+}
+
+/**
+ * Lifespan from birth and death strings; either side may be missing, in
+ * which case the range only covers the side that is known.
+ */
+export function parseLifespan(dob, dod) {
+  const born = parseUncertainDate(dob);
+  const died = parseUncertainDate(dod);
+  if (!born && !died) return null;
+  if (!born) return died;
+  if (!died) return born;
+  return {
+    earliest: Math.min(born.earliest, died.earliest),
+    latest: Math.max(born.latest, died.latest),
+    confidence: minConfidence(born.confidence, died.confidence),
+  };
+}
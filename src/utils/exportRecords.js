@@ -0,0 +1,194 @@
+// utils/exportRecords.js
+// Download the visible (filtered) records for analysis and reading lists.
+//
+//   CSV / JSON   every record with its normalized fields and tags
+//   BibTeX       texts only, biblatex-style dates (astronomical, "~" = circa)
+//   CSL-JSON     texts only, for Zotero / pandoc / citeproc
+//
+// Layout-only fields (y, color, author lanes) are left out.
+
+import { TAG_GROUPS } from "./tagGroups.js";
+import { fold } from "./searchIndex.js";
+import { downloadBlob } from "./exportView.js";
+
+const clean = (v) => {
+  if (v == null) return null;
+  const t = String(v).trim();
+  return t && t !== "-" && t !== "—" ? t : null;
+};
+
+const humanYear = (y) => (y < 0 ? `${Math.abs(y)} BCE` : `${y} CE`);
+
+/* ===== Normalized records ===== */
+/**
+ * One flat object per row; `periodName(durationId)` names the band.
+ */
+export function normalizeRecord(row, periodName = (id) => id) {
+  const common = {
+    id: row.id,
+    kind: row.kind,
+    period: periodName(row.durationId) || row.durationId,
+    year: row.when,
+    category: clean(row.category),
+  };
+  const tags = {};
+  for (const g of TAG_GROUPS) {
+    if (row.tags?.[g.key]?.length) tags[g.key] = [...row.tags[g.key]];
+  }
+  const relations = (row.relations || []).map((r) => ({ type: r.type, targetId: r.targetId }));
+
+  if (row.kind === "father") {
+    return {
+      ...common,
+      title: clean(row.name),
+      date: clean(row.dob) || humanYear(row.when),
+      dob: clean(row.dob),
+      dod: clean(row.dod),
+      location: clean(row.location),
+      historicMythicStatus: clean(row.historicMythicStatusTags),
+      foundingFigure: clean(row.foundingFigure),
+      description: clean(row.description),
+      index: clean(row.index),
+      tags,
+      relations,
+    };
+  }
+  return {
+    ...common,
+    title: clean(row.title),
+    author: clean(row.authorName),
+    date: clean(row.displayDate) || humanYear(row.when),
+    language: clean(row.originalLanguage),
+    originalLocation: clean(row.originalGeographicalLocation),
+    currentLocation: clean(row.currentGeographicalLocation),
+    accessLevel: clean(row.accessLevel),
+    description: clean(row.shortDescription),
+    index: clean(row.textIndex),
+    tags,
+    relations,
+  };
+}
+
+/* ===== CSV ===== */
+const CSV_COLUMNS = [
+  "id", "kind", "title", "author", "date", "year", "period", "category",
+  "language", "originalLocation", "currentLocation", "location", "dob", "dod",
+  "accessLevel", "historicMythicStatus", "foundingFigure", "description", "index",
+];
+
+function csvCell(v) {
+  if (v == null) return "";
+  const s = String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** RFC 4180, one column per tag group ("; "-joined), relations as "type:id; ..." */
+export function recordsToCsv(records) {
+  const header = [...CSV_COLUMNS, ...TAG_GROUPS.map((g) => `tags.${g.key}`), "relations"];
+  const lines = [header.map(csvCell).join(",")];
+  for (const r of records) {
+    const cells = [
+      ...CSV_COLUMNS.map((c) => r[c]),
+      ...TAG_GROUPS.map((g) => (r.tags[g.key] || []).join("; ")),
+      r.relations.map((x) => `${x.type}:${x.targetId}`).join("; "),
+    ];
+    lines.push(cells.map(csvCell).join(","));
+  }
+  // BOM so spreadsheet apps read the diacritics as UTF-8
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+/* ===== Citations (texts) ===== */
+const isAnonymous = (author) => !author || /^(anon(ymous)?|unknown|various)\b/i.test(author);
+
+// biblatex dates are astronomical (1 BCE = 0000, 500 BCE = -0499)
+function biblatexYear(y) {
+  const astro = y < 0 ? y + 1 : y;
+  const s = String(Math.abs(astro)).padStart(4, "0");
+  return astro < 0 ? `-${s}` : s;
+}
+
+// \, ~ and ^ are commands (line break, accents) when escaped, so they get names
+const BIB_NAMED = { "\\": "\\textbackslash{}", "~": "\\textasciitilde{}", "^": "\\textasciicircum{}" };
+const bibEscape = (s) => String(s).replace(/[{}\\%&$#_~^]/g, (c) => BIB_NAMED[c] || `\\${c}`);
+
+function citeKeys(records) {
+  const seen = new Map();
+  return records.map((r) => {
+    // first name word: ancient names run "Clement of Alexandria", "Ptahhotep (attrib.)"
+    const who = isAnonymous(r.author) ? "anon" : fold(r.author.replace(/\([^)]*\)/g, " ")).split(" ")[0];
+    const what = fold(r.title || "").split(" ").find((w) => w.length > 3) || "text";
+    const base = `${who}${r.year < 0 ? `${-r.year}bce` : r.year}${what}`.replace(/[^a-z0-9]/g, "");
+    const n = seen.get(base) || 0;
+    seen.set(base, n + 1);
+    return n ? `${base}${String.fromCharCode(96 + n)}` : base;
+  });
+}
+
+export function recordsToBibtex(records) {
+  const texts = records.filter((r) => r.kind === "text");
+  const keys = citeKeys(texts);
+  return texts.map((r, i) => {
+    const fields = [
+      ["title", `{${bibEscape(r.title || "Untitled")}}`],
+      // braced as a whole so "Ptahhotep (attrib.)" is not split into names
+      !isAnonymous(r.author) && ["author", `{${bibEscape(r.author)}}`],
+      ["date", `${biblatexYear(r.year)}~`],
+      ["year", bibEscape(humanYear(r.year))],
+      r.language && ["language", bibEscape(r.language)],
+      ["note", bibEscape(`Approx. date: ${r.date}`)],
+      r.originalLocation && ["location", bibEscape(r.originalLocation)],
+      r.category && ["keywords", bibEscape(r.category)],
+    ].filter(Boolean);
+    const body = fields.map(([k, v]) => `  ${k} = {${v}}`).join(",\n");
+    return `@book{${keys[i]},\n${body}\n}\n`;
+  }).join("\n");
+}
+
+export function recordsToCslJson(records) {
+  const texts = records.filter((r) => r.kind === "text");
+  const keys = citeKeys(texts);
+  return texts.map((r, i) => {
+    const item = {
+      id: keys[i],
+      type: "book",
+      title: r.title || "Untitled",
+      // CSL years are signed: -500 is 500 BC
+      issued: { "date-parts": [[r.year]], circa: true },
+      note: `Approx. date: ${r.date}`,
+    };
+    if (!isAnonymous(r.author)) item.author = [{ literal: r.author }];
+    if (r.language) item.language = r.language;
+    if (r.originalLocation) item["original-publisher-place"] = r.originalLocation;
+    if (r.category) item.genre = r.category;
+    return item;
+  });
+}
+
+/* ===== Download ===== */
+const FORMATS = {
+  csv: { ext: "csv", type: "text/csv;charset=utf-8", build: recordsToCsv },
+  json: {
+    ext: "json",
+    type: "application/json",
+    build: (records, meta) => JSON.stringify({ ...meta, count: records.length, records }, null, 2),
+  },
+  bibtex: { ext: "bib", type: "application/x-bibtex;charset=utf-8", build: recordsToBibtex },
+  csl: {
+    ext: "csl.json",
+    type: "application/vnd.citationstyles.csl+json",
+    build: (records) => JSON.stringify(recordsToCslJson(records), null, 2),
+  },
+};
+
+/**
+ * @param {"csv"|"json"|"bibtex"|"csl"} format
+ * @param {Array} records   normalized records (see normalizeRecord)
+ * @param {object} [meta]   written at the top of the JSON export (filters, year window)
+ */
+export function exportRecords(format, records, meta = {}) {
+  const f = FORMATS[format];
+  if (!f) throw new Error(`Unknown export format: ${format}`);
+  const stamp = new Date().toISOString().slice(0, 10);
+  downloadBlob(new Blob([f.build(records, meta)], { type: f.type }), `records-${stamp}.${f.ext}`);
+}
@@ -0,0 +1,219 @@
+// utils/exportView.js
+// Export the live timeline <svg> as a standalone SVG or a high-resolution PNG.
+//
+// The app styles its marks, labels and axis through timeline.css, which a
+// downloaded file does not carry. Every cloned element therefore gets the
+// computed styles that differ from a bare element of the same tag inlined,
+// so the file renders the same in a browser, Inkscape or Illustrator.
+//
+// The open card (HTML) can ride along in a <foreignObject>; a caption band
+// under the chart records the visible years and the active filters.
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const XHTML_NS = "http://www.w3.org/1999/xhtml";
+
+// Pure interaction / animation properties say nothing about the picture
+const SKIP_PROPS = /^(transition|animation|cursor|pointer-events|user-select|-webkit-user-select|will-change|caret-color|outline)/;
+// SVG geometry is already in the attributes; as CSS it would double the file
+const SVG_GEOMETRY = new Set(["d", "cx", "cy", "r", "rx", "ry", "x", "y", "width", "height"]);
+
+const CAPTION_FONT_PX = 12;
+const CAPTION_LINE_PX = 16;
+const CAPTION_PAD_PX = 10;
+
+/* ===== Computed-style inlining ===== */
+function makeDefaultStyles() {
+  const host = document.createElement("div");
+  host.style.cssText = "position:absolute;visibility:hidden;width:0;height:0;overflow:hidden";
+  const svgHost = document.createElementNS(SVG_NS, "svg");
+  host.appendChild(svgHost);
+  document.body.appendChild(host);
+
+  const cache = new Map();
+  return {
+    get(el) {
+      const key = `${el.namespaceURI}|${el.localName}`;
+      if (!cache.has(key)) {
+        const probe = el.namespaceURI === SVG_NS
+          ? svgHost.appendChild(document.createElementNS(SVG_NS, el.localName))
+          : host.appendChild(document.createElement(el.localName));
+        const cs = getComputedStyle(probe);
+        const defaults = {};
+        for (const prop of cs) defaults[prop] = cs.getPropertyValue(prop);
+        cache.set(key, defaults);
+      }
+      return cache.get(key);
+    },
+    dispose: () => host.remove(),
+  };
+}
+
+function inlineStyles(source, clone, defaults) {
+  const cs = getComputedStyle(source);
+  const base = defaults.get(source);
+  const isSvg = source.namespaceURI === SVG_NS;
+  const decls = [];
+  for (const prop of cs) {
+    if (SKIP_PROPS.test(prop) || (isSvg && SVG_GEOMETRY.has(prop))) continue;
+    const value = cs.getPropertyValue(prop);
+    if (value !== base[prop]) decls.push(`${prop}:${value}`);
+  }
+  if (decls.length) clone.setAttribute("style", decls.join(";"));
+  clone.removeAttribute("class");
+
+  const srcKids = source.children;
+  const cloneKids = clone.children;
+  for (let i = 0; i < srcKids.length; i++) inlineStyles(srcKids[i], cloneKids[i], defaults);
+}
+
+/* ===== Caption ===== */
+// Rough wrap for the caption band (no text measuring in a detached document)
+function wrapLine(text, maxChars) {
+  const out = [];
+  let line = "";
+  for (const word of String(text).split(/\s+/)) {
+    if (line && line.length + 1 + word.length > maxChars) {
+      out.push(line);
+      line = word;
+    } else line = line ? `${line} ${word}` : word;
+  }
+  if (line) out.push(line);
+  return out;
+}
+
+/**
+ * Build the export document.
+ * @param {object} o
+ * @param {SVGSVGElement} o.svg       the live timeline svg
+ * @param {HTMLElement} [o.card]      open card to include, positioned as on screen
+ * @param {HTMLCanvasElement} [o.marksCanvas]  marks drawn by the canvas renderer
+ * @param {string[]} [o.caption]      caption lines (years, filters, ...)
+ * @returns {{ markup: string, width: number, height: number }}
+ */
+export function buildExportSvg({ svg, card = null, marksCanvas = null, caption = [] }) {
+  const svgRect = svg.getBoundingClientRect();
+  const width = Math.round(svgRect.width);
+  const chartHeight = Math.round(svgRect.height);
+
+  const maxChars = Math.max(20, Math.floor((width - 2 * CAPTION_PAD_PX) / (CAPTION_FONT_PX * 0.55)));
+  const captionLines = caption.flatMap((l) => wrapLine(l, maxChars));
+  const captionHeight = captionLines.length
+    ? captionLines.length * CAPTION_LINE_PX + 2 * CAPTION_PAD_PX
+    : 0;
+  const height = chartHeight + captionHeight;
+
+  const defaults = makeDefaultStyles();
+  try {
+    const out = svg.cloneNode(true);
+    inlineStyles(svg, out, defaults);
+
+    // the root keeps only what the standalone file needs
+    const rootCs = getComputedStyle(svg.parentElement || svg);
+    out.setAttribute("xmlns", SVG_NS);
+    out.setAttribute("width", width);
+    out.setAttribute("height", height);
+    out.setAttribute("viewBox", `0 0 ${width} ${height}`);
+    out.setAttribute("style", `font-family:${rootCs.fontFamily};color:${rootCs.color}`);
+
+    const background = rootCs.backgroundColor;
+    const bg = document.createElementNS(SVG_NS, "rect");
+    bg.setAttribute("width", width);
+    bg.setAttribute("height", height);
+    bg.setAttribute("fill", background && background !== "rgba(0, 0, 0, 0)" ? background : "#fff");
+    out.insertBefore(bg, out.firstChild);
+
+    // canvas renderer: the marks are pixels under the svg, as on screen
+    if (marksCanvas) {
+      const r = marksCanvas.getBoundingClientRect();
+      const img = document.createElementNS(SVG_NS, "image");
+      img.setAttribute("x", Math.round(r.left - svgRect.left));
+      img.setAttribute("y", Math.round(r.top - svgRect.top));
+      img.setAttribute("width", r.width);
+      img.setAttribute("height", r.height);
+      img.setAttribute("href", marksCanvas.toDataURL("image/png"));
+      out.insertBefore(img, bg.nextSibling);
+    }
+
+    if (card) {
+      const r = card.getBoundingClientRect();
+      const fo = document.createElementNS(SVG_NS, "foreignObject");
+      fo.setAttribute("x", Math.round(r.left - svgRect.left));
+      fo.setAttribute("y", Math.round(r.top - svgRect.top));
+      fo.setAttribute("width", Math.ceil(r.width));
+      fo.setAttribute("height", Math.ceil(r.height));
+      const cardClone = card.cloneNode(true);
+      inlineStyles(card, cardClone, defaults);
+      cardClone.setAttribute("xmlns", XHTML_NS);
+      // placed by the foreignObject, not by the on-screen offsets
+      cardClone.style.position = "static";
+      cardClone.style.left = "";
+      cardClone.style.top = "";
+      cardClone.style.margin = "0";
+      fo.appendChild(cardClone);
+      out.appendChild(fo);
+    }
+
+    if (captionLines.length) {
+      const g = document.createElementNS(SVG_NS, "g");
+      g.setAttribute("transform", `translate(${CAPTION_PAD_PX},${chartHeight + CAPTION_PAD_PX})`);
+      g.setAttribute("font-size", CAPTION_FONT_PX);
+      g.setAttribute("fill", "#374151");
+      captionLines.forEach((line, i) => {
+        const t = document.createElementNS(SVG_NS, "text");
+        t.setAttribute("y", (i + 1) * CAPTION_LINE_PX - 4);
+        t.textContent = line;
+        g.appendChild(t);
+      });
+      out.appendChild(g);
+    }
+
+    const markup = `<?xml version="1.0" encoding="UTF-8"?>\n${new XMLSerializer().serializeToString(out)}`;
+    return { markup, width, height };
+  } finally {
+    defaults.dispose();
+  }
+}
+
+/* ===== Downloads ===== */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+export function exportSvg(opts, fileName) {
+  const { markup } = buildExportSvg(opts);
+  downloadBlob(new Blob([markup], { type: "image/svg+xml" }), fileName);
+}
+
+/**
+ * Rasterize at `scale`× the on-screen size (2 or 4 for print).
+ * @returns {Promise<void>} rejects when the browser refuses to draw the image
+ */
+export async function exportPng(opts, fileName, scale = 2) {
+  const { markup, width, height } = buildExportSvg(opts);
+
+  // a data: URL keeps the canvas untainted when the card is a foreignObject
+  const img = new Image();
+  img.decoding = "sync";
+  const loaded = new Promise((resolve, reject) => {
+    img.onload = resolve;
+    img.onerror = () => reject(new Error("Could not render the SVG for PNG export"));
+  });
+  img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(markup)}`;
+  await loaded;
+
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(width * scale);
+  canvas.height = Math.round(height * scale);
+  const ctx = canvas.getContext("2d");
+  ctx.scale(scale, scale);
+  ctx.drawImage(img, 0, 0, width, height);
+
+  const blob = await new Promise((resolve) => canvas.toBlob(resolve, "image/png"));
+  if (!blob) throw new Error("PNG encoding failed");
+  downloadBlob(blob, fileName);
+}
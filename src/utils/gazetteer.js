@@ -0,0 +1,76 @@
+// utils/gazetteer.js
+// Place-name lookup for the map view.
+//
+// src/data/geo/gazetteer.json lists places as
+//   { name, lat, lon, kind: "site" | "region", aliases: [...] }
+// and src/data/geo/basemap.topo.json is Natural Earth 1:50m land
+// (world-atlas 2.0.2, land-50m) clipped to lon -15..80, lat 5..55.
+//
+// Location cells are free text ("Saqqara (Memphis)", "Athens or Rome",
+// "Carthage (origin) / possibly Nicomedia (composition)"), so resolvePlace
+// tries, in order: the whole string, the string without hedges and
+// parentheses, each alternative piece, and finally any known name that
+// appears inside the text. The first hit wins.
+
+import GAZETTEER from "../data/geo/gazetteer.json";
+import { fold } from "./searchIndex.js";
+
+const HEDGES = /^(likely|possibly|probably|near|ancient|the|roman|punic|ptolemaic|hellenistic)\s+/;
+
+const byName = new Map();
+for (const place of GAZETTEER) {
+  for (const n of [place.name, ...(place.aliases || [])]) byName.set(fold(n), place);
+}
+// longest names first so "Upper Egypt" wins over "Egypt" in the substring pass
+const namesByLength = [...byName.keys()].sort((a, b) => b.length - a.length);
+
+function clean(s) {
+  let t = fold(s);
+  for (let prev = null; prev !== t; ) {
+    prev = t;
+    t = t.replace(HEDGES, "");
+  }
+  return t;
+}
+
+const cache = new Map();
+
+/**
+ * @param {string} text  a location cell
+ * @returns {{ name, lat, lon, kind }|null}
+ */
+export function resolvePlace(text) {
+  const raw = String(text ?? "").trim();
+  if (!raw || raw === "-") return null;
+  if (cache.has(raw)) return cache.get(raw);
+
+  const tryKey = (s) => byName.get(fold(s)) || byName.get(clean(s)) || null;
+
+  let hit = tryKey(raw) || tryKey(raw.replace(/\([^)]*\)/g, " "));
+
+  if (!hit) {
+    // alternatives and qualifiers: "A / B", "A, B", "A or B", "A (B)", "A → B"
+    const pieces = raw
+      .split(/\s*(?:\/|,|;|→|&|\bor\b|\band\b|\(|\))\s*/i)
+      .filter(Boolean);
+    for (const p of pieces) if ((hit = tryKey(p))) break;
+  }
+
+  if (!hit) {
+    const folded = ` ${fold(raw)} `;
+    const name = namesByLength.find((n) => folded.includes(` ${n} `));
+    hit = name ? byName.get(name) : null;
+  }
+
+  cache.set(raw, hit);
+  return hit;
+}
+
+/**
+ * Where a record sits on the map: texts by their original location (falling
+ * back to the current one), fathers by their location.
+ */
+export function placeOfRow(row) {
+  if (row.kind === "father") return resolvePlace(row.location);
+  return resolvePlace(row.originalGeographicalLocation) || resolvePlace(row.currentGeographicalLocation);
+}
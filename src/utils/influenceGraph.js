@@ -0,0 +1,192 @@
+// utils/influenceGraph.js
+// Nodes + weighted edges for the influence network view.
+//
+// Edges are inferred from the data we already have, strongest first:
+//   relation    explicit `relations` links (see relations.js)
+//   author      a text's Author names a father ("Cleanthes of Assos")
+//   sameAuthor  two texts attributed to the same author
+//   title       a father's name appears in a text title ("Hymn to Osiris")
+//   tags        records sharing several tags across the filter groups
+// Pairs matched by more than one rule get a single edge with the summed weight.
+
+export const EDGE_KINDS = {
+  relation:   { label: "Explicit link",    weight: 5 },
+  author:     { label: "Author",           weight: 4 },
+  sameAuthor: { label: "Same author",      weight: 3 },
+  title:      { label: "Named in title",   weight: 2 },
+  tags:       { label: "Shared tags",      weight: 0.5 }, // per shared tag
+};
+
+const MIN_SHARED_TAGS = 3;      // fewer shared tags is background noise
+const MAX_TAG_LINKS_PER_NODE = 3;
+const MIN_TITLE_NAME_LENGTH = 4; // "Ra", "Nut" would match half the titles
+
+/* ===== Name matching ===== */
+const fold = (s) =>
+  String(s || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9() ]+/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// "Galen (Claudius Galenus)" -> ["galen", "claudius galenus"]
+function nameVariants(raw) {
+  const s = fold(raw);
+  if (!s || s === "-") return [];
+  const out = new Set();
+  const bare = s.replace(/\([^)]*\)/g, " ").replace(/\s+/g, " ").trim();
+  if (bare) out.add(bare);
+  for (const m of s.matchAll(/\(([^)]*)\)/g)) {
+    const inner = m[1].trim();
+    if (inner) out.add(inner);
+  }
+  return [...out];
+}
+
+// "Plato" matches "Plato"; "Cleanthes" matches "Cleanthes of Assos"
+const namesMatch = (a, b) =>
+  a === b || a.startsWith(`${b} `) || b.startsWith(`${a} `);
+
+const splitAuthors = (raw) =>
+  String(raw || "")
+    .split(/,|;|&|\band\b/)
+    .map((s) => s.trim())
+    .filter((s) => s && s !== "-");
+
+/* ===== Graph ===== */
+const pairKey = (a, b) => (a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`);
+
+function popcount(v) {
+  v -= (v >>> 1) & 0x55555555;
+  v = (v & 0x33333333) + ((v >>> 2) & 0x33333333);
+  return (((v + (v >>> 4)) & 0x0f0f0f0f) * 0x01010101) >>> 24;
+}
+
+function allTags(row) {
+  const out = [];
+  for (const [group, tags] of Object.entries(row.tags || {})) {
+    for (const t of tags || []) out.push(`${group}:${t}`);
+  }
+  return out;
+}
+
+/**
+ * Build the influence graph for the given (already filtered) rows.
+ * @param {Array} rows  timeline text + father rows (need id, kind, tags, relations)
+ * @returns {{ nodes: Array<{ id, row, degree }>, links: Array<{ source, target, weight, kinds: string[] }> }}
+ */
+export function buildInfluenceGraph(rows) {
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  const edges = new Map(); // pairKey -> { source, target, weight, kinds:Set }
+
+  const addEdge = (a, b, kind, weight = EDGE_KINDS[kind].weight) => {
+    if (!a || !b || a === b || !byId.has(a) || !byId.has(b)) return;
+    const key = pairKey(a, b);
+    let e = edges.get(key);
+    if (!e) {
+      e = { source: a, target: b, weight: 0, kinds: new Set() };
+      edges.set(key, e);
+    }
+    e.weight += weight;
+    e.kinds.add(kind);
+  };
+
+  const texts = rows.filter((r) => r.kind === "text");
+  const fathers = rows.filter((r) => r.kind === "father");
+
+  // relation: explicit links, in either direction
+  for (const r of rows) {
+    for (const { targetId } of r.relations || []) addEdge(r.id, targetId, "relation");
+  }
+
+  // author / title: text <-> father by name
+  const fatherNames = fathers.map((f) => {
+    const variants = nameVariants(f.name);
+    const titleWords = variants
+      .filter((v) => v.length >= MIN_TITLE_NAME_LENGTH)
+      .map((v) => ` ${v} `);
+    return { id: f.id, variants, titleWords };
+  });
+  for (const t of texts) {
+    const authorVariants = splitAuthors(t.authorName).flatMap(nameVariants);
+    const title = ` ${fold(t.title).replace(/[()]/g, " ")} `;
+    for (const f of fatherNames) {
+      if (authorVariants.some((a) => f.variants.some((v) => namesMatch(a, v)))) {
+        addEdge(t.id, f.id, "author");
+      } else if (f.titleWords.some((w) => title.includes(w))) {
+        addEdge(t.id, f.id, "title");
+      }
+    }
+  }
+
+  // sameAuthor: chain texts by the same author in date order (a clique would
+  // swamp the layout for prolific authors like Tertullian)
+  const byAuthor = new Map();
+  for (const t of texts) {
+    if (!t.authorKey) continue;
+    const arr = byAuthor.get(t.authorKey) || [];
+    arr.push(t);
+    byAuthor.set(t.authorKey, arr);
+  }
+  for (const arr of byAuthor.values()) {
+    arr.sort((a, b) => a.when - b.when);
+    for (let i = 1; i < arr.length; i++) addEdge(arr[i - 1].id, arr[i].id, "sameAuthor");
+  }
+
+  // tags: keep only each node's strongest few overlaps. Tag sets are bitsets
+  // so the all-pairs pass stays cheap with ~800 records.
+  const tagIndex = new Map();
+  const tagLists = rows.map((r) =>
+    allTags(r).map((t) => {
+      if (!tagIndex.has(t)) tagIndex.set(t, tagIndex.size);
+      return tagIndex.get(t);
+    })
+  );
+  const words = Math.ceil(tagIndex.size / 32) || 1;
+  const bits = tagLists.map((list) => {
+    const b = new Uint32Array(words);
+    for (const t of list) b[t >>> 5] |= 1 << (t & 31);
+    return b;
+  });
+  const best = rows.map(() => []); // per row: top matches, strongest first
+  const offer = (i, other, shared) => {
+    const list = best[i];
+    if (list.length === MAX_TAG_LINKS_PER_NODE && list[list.length - 1].shared >= shared) return;
+    let at = list.length;
+    while (at > 0 && list[at - 1].shared < shared) at--;
+    list.splice(at, 0, { other, shared });
+    if (list.length > MAX_TAG_LINKS_PER_NODE) list.pop();
+  };
+  for (let i = 0; i < rows.length; i++) {
+    if (tagLists[i].length < MIN_SHARED_TAGS) continue;
+    for (let j = i + 1; j < rows.length; j++) {
+      if (tagLists[j].length < MIN_SHARED_TAGS) continue;
+      let shared = 0;
+      for (let w = 0; w < words; w++) shared += popcount(bits[i][w] & bits[j][w]);
+      if (shared < MIN_SHARED_TAGS) continue;
+      offer(i, j, shared);
+      offer(j, i, shared);
+    }
+  }
+  const tagPairs = new Map();
+  best.forEach((list, i) => {
+    for (const { other, shared } of list) {
+      const a = rows[i].id, b = rows[other].id;
+      tagPairs.set(pairKey(a, b), { a, b, shared });
+    }
+  });
+  for (const { a, b, shared } of tagPairs.values()) {
+    addEdge(a, b, "tags", shared * EDGE_KINDS.tags.weight);
+  }
+
+  const links = [...edges.values()].map((e) => ({ ...e, kinds: [...e.kinds] }));
+  const degree = new Map();
+  for (const l of links) {
+    degree.set(l.source, (degree.get(l.source) || 0) + 1);
+    degree.set(l.target, (degree.get(l.target) || 0) + 1);
+  }
+  const nodes = rows.map((row) => ({ id: row.id, row, degree: degree.get(row.id) || 0 }));
+  return { nodes, links };
+}
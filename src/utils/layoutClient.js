@@ -0,0 +1,101 @@
+// utils/layoutClient.js
+// Main-thread side of the mark layout worker.
+//
+// run() starts a job and returns its cancel function; messages of a job that
+// was cancelled or superseded are dropped here, so callers only ever see
+// progress for the job they asked for. Without Worker support (or if the
+// worker fails to load) jobs run synchronously via layoutAll().
+
+import { layoutAll } from "./markLayout.js";
+
+export const EMPTY_LAYOUT = {
+  textYMap: new Map(),     // bandId -> Map(textId   -> yU)
+  fatherYMap: new Map(),   // bandId -> Map(fatherId -> yU)
+  authorLaneMap: new Map() // bandId -> Map(authorKey -> yU)
+};
+
+export function createLayoutClient() {
+  let worker = null;
+  try {
+    worker = new Worker(new URL("../workers/markLayout.worker.js", import.meta.url), { type: "module" });
+  } catch {
+    worker = null;
+  }
+
+  let nextJobId = 1;
+  const jobs = new Map(); // jobId -> { input, onMessage }
+
+  const runSync = (jobId, input, onMessage) => {
+    // async like the worker, so callers never get a reply before run() returns
+    Promise.resolve().then(() => {
+      if (!jobs.has(jobId)) return;
+      jobs.delete(jobId);
+      onMessage({ type: "done", jobId, ...layoutAll(input) });
+    });
+  };
+
+  if (worker) {
+    worker.onmessage = (e) => {
+      const job = jobs.get(e.data.jobId);
+      if (!job) return; // stale
+      if (e.data.type === "done") jobs.delete(e.data.jobId);
+      job.onMessage(e.data);
+    };
+    worker.onerror = () => {
+      // fall back for good; rerun whatever was in flight
+      worker.terminate();
+      worker = null;
+      for (const [jobId, job] of jobs) runSync(jobId, job.input, job.onMessage);
+    };
+  }
+
+  return {
+    /**
+     * @param {{ bands, texts, marks }} input  see utils/markLayout.js
+     * @param {(msg) => void} onMessage       "progress" and "done" messages
+     * @returns {() => void} cancel
+     */
+    run(input, onMessage) {
+      const jobId = nextJobId++;
+      jobs.set(jobId, { input, onMessage });
+      if (worker) worker.postMessage({ type: "layout", jobId, input });
+      else runSync(jobId, input, onMessage);
+
+      return () => {
+        if (!jobs.delete(jobId)) return;
+        worker?.postMessage({ type: "cancel", jobId });
+      };
+    },
+    dispose() {
+      jobs.clear();
+      worker?.terminate();
+      worker = null;
+    },
+  };
+}
+
+/**
+ * Fold worker messages into the layout state. Progress replaces whole bands
+ * (bands not reported yet keep their previous placement); "done" also drops
+ * bands that no longer have marks and installs the author lanes.
+ */
+export function applyLayoutMessages(prev, messages) {
+  if (!messages.length) return prev;
+  const textYMap = new Map(prev.textYMap);
+  const fatherYMap = new Map(prev.fatherYMap);
+  let authorLaneMap = prev.authorLaneMap;
+
+  for (const msg of messages) {
+    for (const band of msg.bands) {
+      textYMap.set(band.id, new Map(band.text));
+      fatherYMap.set(band.id, new Map(band.father));
+    }
+    if (msg.type === "done") {
+      const live = new Set(msg.bandIds);
+      for (const id of [...textYMap.keys()]) if (!live.has(id)) textYMap.delete(id);
+      for (const id of [...fatherYMap.keys()]) if (!live.has(id)) fatherYMap.delete(id);
+      authorLaneMap = new Map(msg.lanes.map(([bandId, lanes]) => [bandId, new Map(lanes)]));
+    }
+  }
+  return { textYMap, fatherYMap, authorLaneMap };
+}
@@ -0,0 +1,82 @@
+// utils/markGeometry.js
+// Shapes of the timeline marks, shared by the SVG and the canvas renderers.
+// Father marks are right-pointing triangles whose left edge is split into
+// one slice per symbolic-system color; text dots are pies with white
+// separators. Everything is in screen pixels.
+
+export function overlayStrokeWidth(r){
+  // consistent stroke scaling; clamps avoid overdraw/vanish
+  return Math.max(0.5, Math.min(r * 0.16, 2.0));
+}
+
+// white center → rim lines between the slices of a multi-color dot
+export function sliceSeparatorWidth(r) {
+  return Math.max(0.35, Math.min(r * 0.18, 1.5));
+}
+
+export function buildOverlaySegments(cx, cy, r, colors, showMid) {
+  const segs = [];
+  const { LT, LB, RM } = triPoints(cx, cy, r);
+  const n = colors.length;
+
+  // Internal split lines (between color slices)
+  if (n > 1) {
+    for (let i = 1; i < n; i++) {
+      const t = i / n;
+      const P = lerpPt(LT, LB, t);
+      segs.push({ type: "split", x1: P.x, y1: P.y, x2: RM.x, y2: RM.y });
+    }
+  }
+
+  // Vertical midline (historic badge)
+  if (showMid) {
+    const cap = r * 0.5;
+    segs.push({ type: "mid", x1: cx, y1: cy - cap, x2: cx, y2: cy + cap });
+  }
+
+  return segs;
+}
+
+// Big triangle points (right-pointing)
+export function triPoints(cx, cy, r) {
+  return {
+    LT: { x: cx - r, y: cy - r },  // left-top
+    LB: { x: cx - r, y: cy + r },  // left-bottom
+    RM: { x: cx + r, y: cy },      // right-mid
+  };
+}
+function lerpPt(a, b, t) {
+  return { x: a.x + (b.x - a.x) * t, y: a.y + (b.y - a.y) * t };
+}
+
+/**
+ * Split the *left* edge (LT→LB) into n segments and form n skinny sub-triangles
+ * with the right-mid point. Returns an array of { d, fill } for path drawing.
+ */
+export function leftSplitTriangleSlices(cx, cy, r, colors) {
+  const n = Math.max(1, (colors || []).length);
+  const { LT, LB, RM } = triPoints(cx, cy, r);
+
+  // Single color → single full triangle
+  if (n === 1) {
+    return [{ d: `M ${LT.x} ${LT.y} L ${LB.x} ${LB.y} L ${RM.x} ${RM.y} Z`, fill: colors?.[0] || "#666" }];
+  }
+
+  const slices = [];
+  for (let i = 0; i < n; i++) {
+    const t0 = i / n, t1 = (i + 1) / n;
+    const A = lerpPt(LT, LB, t0); // upper point on left edge
+    const B = lerpPt(LT, LB, t1); // lower point on left edge
+    slices.push({
+      d: `M ${A.x} ${A.y} L ${B.x} ${B.y} L ${RM.x} ${RM.y} Z`,
+      fill: colors[i],
+    });
+  }
+  return slices;
+}
+
+// Point-in-triangle for the right-pointing triangle above
+export function inTriangle(px, py, cx, cy, r) {
+  if (px < cx - r || px > cx + r) return false;
+  return Math.abs(py - cy) <= (cx + r - px) / 2;
+}
@@ -0,0 +1,244 @@
+// utils/markLayout.js
+// Vertical placement of the timeline marks inside their duration bands.
+//
+// Pure functions on plain data so the same code runs in the layout worker
+// (src/workers/markLayout.worker.js) and, as a fallback, on the main thread.
+// The timeline resolves its d3 scales before handing data over:
+//
+//   bands: [{ id, topU, botU }]                    band edges in band-units (px at k=1)
+//   texts: [{ bandId, authorKey }]                 every text row, for the author lanes
+//   marks: [{ id, kind, bandId, when, cx, rPx,     cx = x at k=1, rPx = base draw radius
+//             authorKey, baseYU, priority }]
+//
+// Bands are independent of each other, which is what lets the worker report
+// them one chunk at a time. Same input, same output: every ordering below is
+// explicit (sorted bins, sorted authors, stable tie-breaks).
+
+/* ===== Author lanes ===== */
+/**
+ * One evenly spaced lane per distinct author in a band.
+ * @returns {Map<string, Map<string, number>>} bandId -> authorKey -> lane yU
+ */
+export function computeAuthorLanes(texts, bands) {
+  const map = new Map();
+
+  // Group texts by band
+  const byBand = new Map();
+  for (const t of texts) {
+    const arr = byBand.get(t.bandId) || [];
+    arr.push(t);
+    byBand.set(t.bandId, arr);
+  }
+
+  const bandById = new Map(bands.map((b) => [b.id, b]));
+
+  for (const [bandId, items] of byBand.entries()) {
+    const band = bandById.get(bandId);
+    if (!band) continue;
+
+    const bandTopU = band.topU;
+    const bandHeightU = band.botU - band.topU;
+
+    // Unique, non-placeholder authors present in this band (deterministic order)
+    const authors = Array.from(
+      new Set(items.filter(t => t.authorKey).map(t => t.authorKey))
+    ).sort();
+
+    if (authors.length === 0) {            // no real authors in this band
+      map.set(bandId, new Map());          // still set an empty map
+      continue;
+    }
+
+    // Even spacing with padding
+    const padU = Math.max(1, bandHeightU * 0.08);
+    const usableU = Math.max(1, bandHeightU - 2 * padU);
+    const n = Math.max(1, authors.length);
+    const stepU = n > 1 ? usableU / (n - 1) : 0;
+
+    const lanes = new Map();
+    authors.forEach((ak, i) => {
+      const yLaneU = n === 1
+        ? bandTopU + bandHeightU / 2
+        : bandTopU + padU + i * stepU;
+      lanes.set(ak, yLaneU);
+    });
+
+    map.set(bandId, lanes);
+  }
+
+  return map;
+}
+
+/* ===== Collision placement ===== */
+/**
+ * Bin every mark by its k=1 pixel footprint, per band.
+ * @returns {Map<string, Map<number, Array>>} bandId -> bin -> marks
+ */
+export function binMarksByBand(marks, bands) {
+  const known = new Set(bands.map((b) => b.id));
+  const perBand = new Map();
+
+  for (const m of marks) {
+    if (!known.has(m.bandId)) continue;
+
+    // choose a bin width that scales with the item’s footprint
+    const BIN_PAD_PX = 6;
+    const binW = Math.max(24, 2 * m.rPx + BIN_PAD_PX); // diameter + pad
+
+    // put the item into every bin that its diameter touches (edge-safe)
+    const b0 = Math.floor((m.cx - m.rPx) / binW);
+    const b1 = Math.floor((m.cx + m.rPx) / binW);
+
+    // 1 band-unit == 1px at k=1, so the radius is the same in both
+    const enriched = { ...m, _rRU: m.rPx };
+
+    const bandBins = perBand.get(m.bandId) || new Map();
+    for (let b = b0; b <= b1; b++) {
+      const arr = bandBins.get(b) || [];
+      arr.push(enriched);
+      bandBins.set(b, arr);
+    }
+    perBand.set(m.bandId, bandBins);
+  }
+  return perBand;
+}
+
+// collision check: two items collide if their vertical distance is too small
+// *and* their horizontal spans overlap on screen.
+function overlapsInX(a, b) {
+  return Math.abs(a.cx - b.cx) <= (a.rPx + b.rPx);
+}
+function minSepRU(a, b) {
+  const BASE_SEP_RU = 2;            // small constant buffer
+  return BASE_SEP_RU + a._rRU + b._rRU;
+}
+
+/**
+ * Place the marks of one band.
+ * @returns {{ text: Array<[id, yU]>, father: Array<[id, yU]> }}
+ */
+export function placeBand(buckets, band, lanes) {
+  const out = { text: [], father: [] };
+
+  // Usable vertical bounds inside the band (in band-units)
+  const padU = Math.max(1, (band.botU - band.topU) * 0.08);
+  const bounds = { yMin: band.topU + padU, yMax: band.botU - padU };
+
+  // track already placed marks across all bins (global for the band)
+  const placed = []; // [{yU, item}]
+  const setY = (m, yU) => {
+    out[m.kind === "text" ? "text" : "father"].push([m.id, yU]);
+    placed.push({ yU, item: m });
+  };
+
+  // deterministic bin order (left → right)
+  const binKeys = Array.from(buckets.keys()).sort((a,b)=>a-b);
+
+  for (const key of binKeys) {
+    const items = buckets.get(key);
+
+    // split by locked-lane only for texts (authors)
+    const locked = [];
+    const free   = [];
+    for (const m of items) {
+      let yLock = null;
+      // 1) texts with real authors → lock to their author lane
+      if (m.kind === "text" && m.authorKey) {
+        const lane = lanes?.get(m.authorKey);
+        if (Number.isFinite(lane)) yLock = lane;
+      }
+      // 2) otherwise, if baseYU is provided (texts w/o author OR fathers), lock to it
+      if (!Number.isFinite(yLock) && Number.isFinite(m.baseYU)) {
+        yLock = m.baseYU;
+      }
+      if (Number.isFinite(yLock)) locked.push({ m, yLock });
+      else free.push(m);
+    }
+
+    // place locked first — clamp to bounds
+    for (const { m, yLock } of locked) {
+      const yU = Math.max(bounds.yMin, Math.min(bounds.yMax, yLock));
+      setY(m, yU);
+    }
+
+    // sort free: priority desc, size desc, kind stable, time then id
+    free.sort((a, b) => {
+      const pr = (b.priority ?? 0) - (a.priority ?? 0);
+      if (pr) return pr;
+      if (a._rRU !== b._rRU) return b._rRU - a._rRU;
+      if (a.kind !== b.kind) return a.kind.localeCompare(b.kind);
+      if (a.when !== b.when) return a.when - b.when;
+      return String(a.id).localeCompare(String(b.id));
+    });
+
+    // anchor: avg of locked lanes if any; else band center
+    const anchorU = locked.length
+      ? locked.reduce((s, { yLock }) => s + yLock, 0) / locked.length
+      : (bounds.yMin + bounds.yMax) / 2;
+
+    // try placing each free mark, nudging until it doesn't collide
+    for (let i = 0; i < free.length; i++) {
+      const m = free[i];
+
+      // start near anchor; alternate above/below
+      const centeredIndex = (j) => (j===0?0:(j%2 ? (j+1)/2 : -j/2));
+      let yU = anchorU + centeredIndex(i) * (m._rRU + 6);
+
+      // clamp and then resolve collisions w.r.t. already placed items whose x overlaps
+      yU = Math.max(bounds.yMin, Math.min(bounds.yMax, yU));
+
+      let tries = 0;
+      const MAX_TRIES = 24;
+      while (tries < MAX_TRIES) {
+        const badNeighbor = placed.find(p =>
+          overlapsInX(m, p.item) && Math.abs(p.yU - yU) < minSepRU(m, p.item)
+        );
+        if (!badNeighbor) break;
+
+        // nudge up/down in growing steps
+        const step = (m._rRU + 6) * (1 + tries * 0.12);
+        yU += (tries % 2 ? -1 : 1) * step;
+        yU = Math.max(bounds.yMin, Math.min(bounds.yMax, yU));
+        tries++;
+      }
+
+      setY(m, yU);
+    }
+  }
+
+  return out;
+}
+
+/* ===== Whole job ===== */
+/**
+ * A layout job as a generator, so the worker can stop between bands: yields
+ * each finished band as { id, text, father } (in id order, so progress
+ * arrives the same way every time) and returns the author lanes as
+ * [bandId, [[authorKey, yU], ...]] pairs plus the ids of all bands with marks.
+ */
+export function* layoutJob({ bands, texts, marks }) {
+  const laneMap = computeAuthorLanes(texts, bands);
+  const perBand = binMarksByBand(marks, bands);
+  const bandById = new Map(bands.map((b) => [b.id, b]));
+  const bandIds = [...perBand.keys()].sort();
+
+  for (const id of bandIds) {
+    const placed = placeBand(perBand.get(id), bandById.get(id), laneMap.get(id));
+    yield { id, ...placed };
+  }
+
+  return {
+    lanes: [...laneMap].map(([bandId, lanes]) => [bandId, [...lanes]]),
+    bandIds,
+  };
+}
+
+/** Synchronous run (no worker available). */
+export function layoutAll(input) {
+  const job = layoutJob(input);
+  const bands = [];
+  for (let step = job.next(); ; step = job.next()) {
+    if (step.done) return { bands, ...step.value };
+    bands.push(step.value);
+  }
+}
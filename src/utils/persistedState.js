@@ -0,0 +1,31 @@
+// utils/persistedState.js
+// UI choices remembered across visits in localStorage. Where storage is
+// unavailable (private mode, storage disabled) the state works as plain
+// useState and the choice just isn't remembered.
+
+import { useEffect, useState } from "react";
+
+/**
+ * useState backed by localStorage[key].
+ *  - read:  (raw string | null) => value; raw is null when nothing is saved,
+ *           and read(null) is also the fallback when reading fails
+ *  - write: (value) => string
+ */
+export function usePersistedState(key, { read, write = String }) {
+  const [value, setValue] = useState(() => {
+    try {
+      return read(window.localStorage.getItem(key));
+    } catch {
+      return read(null);
+    }
+  });
+  useEffect(() => {
+    try {
+      window.localStorage.setItem(key, write(value));
+    } catch {
+      // private mode: the choice just isn't remembered
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [key, value]);
+  return [value, setValue];
+}
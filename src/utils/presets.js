@@ -0,0 +1,78 @@
+// utils/presets.js
+// Named filter presets, kept in localStorage and shareable as a JSON file.
+//
+// A preset stores its filters in the same serialized form as the URL hash
+// (see viewState.js), so anything a link can restore a preset can too, and
+// old presets keep working as long as old links do.
+//
+//   { id, name, state: "f.jungian=Wise%20Old%20Man&m.jungian=all", withView, createdAt }
+
+const STORAGE_KEY = "uni.filterPresets";
+const FILE_FORMAT = "uni-filter-presets";
+const FILE_VERSION = 1;
+
+const newId = () =>
+  `p${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+function sanitize(p) {
+  if (!p || typeof p !== "object") return null;
+  const name = String(p.name ?? "").trim();
+  if (!name || typeof p.state !== "string") return null;
+  return {
+    id: typeof p.id === "string" && p.id ? p.id : newId(),
+    name,
+    state: p.state,
+    withView: !!p.withView,
+    createdAt: Number.isFinite(p.createdAt) ? p.createdAt : Date.now(),
+  };
+}
+
+/* ===== localStorage ===== */
+export function loadPresets() {
+  try {
+    const raw = JSON.parse(window.localStorage.getItem(STORAGE_KEY) || "[]");
+    return Array.isArray(raw) ? raw.map(sanitize).filter(Boolean) : [];
+  } catch {
+    return [];
+  }
+}
+
+export function savePresets(presets) {
+  try {
+    window.localStorage.setItem(STORAGE_KEY, JSON.stringify(presets));
+  } catch {
+    // storage full or disabled (private mode): presets live for this session only
+  }
+}
+
+export function makePreset(name, state, { withView = false } = {}) {
+  return sanitize({ id: newId(), name, state, withView, createdAt: Date.now() });
+}
+
+/* ===== JSON file ===== */
+export function presetsToFile(presets) {
+  return JSON.stringify({ format: FILE_FORMAT, version: FILE_VERSION, presets }, null, 2);
+}
+
+/**
+ * Parse an exported file (or a bare array of presets).
+ * @throws {Error} when the file is not a presets export
+ */
+export function presetsFromFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file");
+  }
+  const list = Array.isArray(data) ? data : data?.format === FILE_FORMAT ? data.presets : null;
+  if (!Array.isArray(list)) throw new Error("Not a filter presets file");
+  return list.map(sanitize).filter(Boolean);
+}
+
+// Imported presets replace same-id ones and are otherwise appended
+export function mergePresets(current, incoming) {
+  const byId = new Map(current.map((p) => [p.id, p]));
+  for (const p of incoming) byId.set(p.id, p);
+  return [...byId.values()];
+}
@@ -0,0 +1,87 @@
+// utils/relations.js
+// Explicit links between records (texts <-> texts, texts <-> fathers, ...).
+//
+// A row may carry an optional `relations` field that points at other records
+// by stable id (see makeRecordId in viewState.js). Two spellings are accepted:
+//
+//   "relations": { "authoredBy": ["egyptian.father.19"], "mentions": ["egyptian.text.3"] }
+//   "relations": "authoredBy: egyptian.father.19; mentions: egyptian.text.3"
+//
+// The string form exists so the column can live in the spreadsheet.
+
+/* ===== Vocabulary ===== */
+// label: how the source card lists the target; inverse: how the target lists the source
+export const RELATION_TYPES = {
+  authoredBy:   { label: "Authored by",   inverse: "Author of" },
+  mentions:     { label: "Mentions",      inverse: "Mentioned in" },
+  commentsOn:   { label: "Comments on",   inverse: "Commented on by" },
+  influencedBy: { label: "Influenced by", inverse: "Influenced" },
+  deifies:      { label: "Deifies",       inverse: "Deified by" },
+};
+
+const splitIds = (v) =>
+  (Array.isArray(v) ? v : String(v ?? "").split(","))
+    .map((s) => String(s).trim())
+    .filter((s) => s && s !== "-");
+
+/**
+ * Normalize a raw `relations` cell into [{ type, targetId }].
+ * Unknown relation types are kept (the validator reports them) but never rendered.
+ */
+export function parseRelations(raw) {
+  if (raw == null) return [];
+  const out = [];
+
+  if (typeof raw === "object" && !Array.isArray(raw)) {
+    for (const [type, ids] of Object.entries(raw)) {
+      for (const targetId of splitIds(ids)) out.push({ type, targetId });
+    }
+    return out;
+  }
+
+  const s = String(raw).trim();
+  if (!s || s === "-") return [];
+  for (const clause of s.split(";")) {
+    const m = clause.match(/^\s*([A-Za-z]+)\s*:\s*(.*)$/);
+    if (!m) continue;
+    for (const targetId of splitIds(m[2])) out.push({ type: m[1], targetId });
+  }
+  return out;
+}
+
+/**
+ * Build id -> [{ type, label, direction, row }] for every record that has
+ * outgoing or incoming links. `rows` are timeline rows with `id` and `relations`.
+ */
+export function buildRelationIndex(rows) {
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  const index = new Map();
+  const add = (id, entry) => {
+    const arr = index.get(id) || [];
+    if (!arr.some((e) => e.row.id === entry.row.id && e.type === entry.type && e.direction === entry.direction)) {
+      arr.push(entry);
+    }
+    index.set(id, arr);
+  };
+
+  for (const src of rows) {
+    for (const { type, targetId } of src.relations || []) {
+      const def = RELATION_TYPES[type];
+      const target = byId.get(targetId);
+      if (!def || !target || target.id === src.id) continue;
+      add(src.id, { type, label: def.label, direction: "out", row: target });
+      add(target.id, { type, label: def.inverse, direction: "in", row: src });
+    }
+  }
+
+  // stable order: relation vocabulary order, then time
+  const typeOrder = Object.keys(RELATION_TYPES);
+  for (const arr of index.values()) {
+    arr.sort((a, b) =>
+      (typeOrder.indexOf(a.type) - typeOrder.indexOf(b.type)) ||
+      (a.direction === b.direction ? 0 : a.direction === "out" ? -1 : 1) ||
+      (a.row.when - b.row.when)
+    );
+  }
+  return index;
+}
@@ -0,0 +1,278 @@
+// utils/searchIndex.js
+// Search index for SearchBar: diacritic folding, typo tolerance, ranked
+// multi-word queries and field prefixes.
+//
+//   ptahhotep                 matches "Ptaḥḥotep"
+//   instructon amenemope      typos allowed (1 edit from 4 letters, 2 from 8)
+//   author:plato lang:greek   restrict a word to one field
+//   loc:"nag hammadi"         quote multi-word values
+//   tag:trickster             any tag group
+//   year:-500..-300           human years, BCE < 0 (also 500bce..300ce, ..-300)
+//
+// Every word must match somewhere (AND); the score decides the order.
+
+/* ===== Folding ===== */
+const DROP = new Set(["ʿ", "ʾ", "ʼ", "’", "‘", "'", "`", "´"]);
+const SPECIAL = {
+  "ß": "ss", "æ": "ae", "œ": "oe", "ø": "o", "đ": "d", "ð": "d",
+  "ł": "l", "ı": "i", "þ": "th", "ħ": "h",
+};
+
+function foldChar(ch) {
+  if (DROP.has(ch)) return "";
+  const lower = ch.toLowerCase();
+  if (SPECIAL[lower]) return SPECIAL[lower];
+  const base = lower.normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+  return /^[\p{L}\p{N}]+$/u.test(base) ? base : " ";
+}
+
+/**
+ * Fold text to lowercase ASCII-ish words and keep, for every folded char,
+ * the index of the original char it came from (for highlighting).
+ */
+export function foldWithMap(text) {
+  const s = String(text ?? "");
+  let folded = "";
+  const map = [];
+  for (let i = 0; i < s.length; ) {
+    const cp = s.codePointAt(i);
+    const ch = String.fromCodePoint(cp);
+    const out = foldChar(ch);
+    for (let j = 0; j < out.length; j++) {
+      folded += out[j];
+      map.push(i);
+    }
+    i += ch.length;
+  }
+  map.push(s.length);
+  return { folded, map };
+}
+
+export const fold = (text) => foldWithMap(text).folded.replace(/\s+/g, " ").trim();
+
+function wordsOf(folded) {
+  const out = [];
+  const rx = /\S+/g;
+  let m;
+  while ((m = rx.exec(folded))) out.push({ w: m[0], start: m.index });
+  return out;
+}
+
+/* ===== Typo tolerance ===== */
+export const maxEditsFor = (term) => (term.length < 4 ? 0 : term.length < 8 ? 1 : 2);
+
+// Optimal string alignment distance, giving up once it exceeds `max`
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur.push(v);
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+/**
+ * How well `term` matches one word: 1 exact, 0.8 prefix, 0.6 inside,
+ * 0.5 / 0.35 with one / two typos (whole word or as a prefix), else 0.
+ */
+function wordMatch(term, word) {
+  if (word === term) return 1;
+  if (word.startsWith(term)) return 0.8;
+  if (word.includes(term)) return 0.6;
+  const max = maxEditsFor(term);
+  if (!max) return 0;
+  let d = editDistance(term, word, max);
+  if (word.length > term.length) d = Math.min(d, editDistance(term, word.slice(0, term.length), max));
+  if (d > max) return 0;
+  return d === 1 ? 0.5 : 0.35;
+}
+
+/* ===== Query parsing ===== */
+const PREFIX_FIELDS = {
+  author: ["author"],
+  lang: ["language"],
+  loc: ["location"],
+  tag: ["tags"],
+};
+
+function parseYear(s) {
+  const m = String(s).trim().toLowerCase().match(/^(-?\d+)\s*(bce|bc|ce|ad)?$/);
+  if (!m) return null;
+  const n = Number(m[1]);
+  return m[2] === "bce" || m[2] === "bc" ? -Math.abs(n) : n;
+}
+
+/**
+ * @returns {{ terms: Array<{ value: string, fields: string[]|null }>, years: [number, number]|null }}
+ */
+export function parseQuery(q) {
+  const terms = [];
+  let years = null;
+  const rx = /(?:(\w+):)?(?:"([^"]*)"?|(\S+))/g;
+  let m;
+  while ((m = rx.exec(String(q || "")))) {
+    const prefix = m[1]?.toLowerCase();
+    const raw = m[2] ?? m[3] ?? "";
+
+    if (prefix === "year") {
+      const [a, b] = raw.includes("..") ? raw.split("..") : [raw, raw];
+      const lo = a === "" ? -Infinity : parseYear(a);
+      const hi = b === "" ? Infinity : parseYear(b);
+      if (lo != null && hi != null) years = [Math.min(lo, hi), Math.max(lo, hi)];
+      continue;
+    }
+
+    const fields = PREFIX_FIELDS[prefix] || null;
+    // an unknown prefix ("foo:bar") is searched as plain text
+    const text = fields || !prefix ? raw : `${prefix} ${raw}`;
+    for (const value of fold(text).split(" ").filter(Boolean)) {
+      terms.push({ value, fields });
+    }
+  }
+  return { terms, years };
+}
+
+/* ===== Index ===== */
+const FIELD_WEIGHTS = {
+  title: 8,
+  subtitle: 5,
+  author: 4,
+  category: 3,
+  language: 3,
+  location: 3,
+  tags: 3,
+  description: 2,
+  date: 2,
+  index: 1,
+};
+
+/**
+ * @param {Array} items  SearchBar items
+ * @param {(item) => { [field]: string|string[] }} fieldsOf  searchable text per field
+ */
+export function buildSearchIndex(items, fieldsOf) {
+  return items.map((item) => {
+    const fields = {};
+    for (const [name, value] of Object.entries(fieldsOf(item))) {
+      const text = Array.isArray(value) ? value.join(" , ") : value;
+      if (!text) continue;
+      const folded = fold(text);
+      fields[name] = { folded, words: wordsOf(folded).map((x) => x.w) };
+    }
+    return { item, fields, titleFolded: fields.title?.folded || "" };
+  });
+}
+
+// Descriptions repeat the same words a lot: score each distinct word once per term
+function termMatcher(term) {
+  const cache = new Map();
+  return (w) => {
+    let s = cache.get(w);
+    if (s === undefined) cache.set(w, (s = wordMatch(term.value, w)));
+    return s;
+  };
+}
+
+function termScore(entry, term, match) {
+  let best = 0;
+  for (const [name, f] of Object.entries(entry.fields)) {
+    if (term.fields && !term.fields.includes(name)) continue;
+    const weight = FIELD_WEIGHTS[name] ?? 1;
+    let q = 0;
+    for (const w of f.words) {
+      const s = match(w);
+      if (s > q) q = s;
+      if (q === 1) break;
+    }
+    if (q * weight > best) best = q * weight;
+  }
+  return best;
+}
+
+/**
+ * Rank index entries for a query string.
+ * @returns {Array<{ item, score }>} best first
+ */
+export function searchIndex(index, q, { limit = Infinity } = {}) {
+  const { terms, years } = parseQuery(q);
+  if (!terms.length && !years) return [];
+  const phrase = terms.filter((t) => !t.fields).map((t) => t.value).join(" ");
+  const matchers = terms.map(termMatcher);
+
+  const out = [];
+  for (const entry of index) {
+    // periods (start..end) match when they overlap the window
+    const { when, start = when, end = when } = entry.item;
+    if (years && !(Number(end) >= years[0] && Number(start) <= years[1])) continue;
+
+    let score = years ? 1 : 0;
+    let ok = true;
+    for (let i = 0; i < terms.length; i++) {
+      const s = termScore(entry, terms[i], matchers[i]);
+      if (!s) { ok = false; break; }
+      score += s;
+    }
+    if (!ok) continue;
+    if (phrase.includes(" ") && entry.titleFolded.includes(phrase)) score += 4; // whole phrase in title
+    out.push({ item: entry.item, score });
+  }
+
+  out.sort((a, b) =>
+    b.score - a.score ||
+    String(a.item.title).localeCompare(String(b.item.title))
+  );
+  return out.slice(0, limit);
+}
+
+/* ===== Highlighting ===== */
+/**
+ * Character ranges [start, end) in the ORIGINAL text that match the query
+ * terms: substrings where they occur literally (after folding), otherwise
+ * whole words that match with typos.
+ */
+export function highlightRanges(text, q) {
+  const { terms } = typeof q === "string" ? parseQuery(q) : q;
+  if (!text || !terms.length) return [];
+  const { folded, map } = foldWithMap(text);
+  const words = wordsOf(folded);
+
+  const ranges = [];
+  for (const { value } of terms) {
+    let found = false;
+    for (let at = folded.indexOf(value); at !== -1; at = folded.indexOf(value, at + value.length)) {
+      ranges.push([at, at + value.length]);
+      found = true;
+    }
+    if (found || !maxEditsFor(value)) continue;
+    for (const { w, start } of words) {
+      if (wordMatch(value, w) > 0) ranges.push([start, start + w.length]);
+    }
+  }
+  if (!ranges.length) return [];
+
+  // folded -> original coordinates, then merge overlaps
+  const orig = ranges
+    .map(([s, e]) => [map[s], map[e - 1] + 1 + (text.codePointAt(map[e - 1]) > 0xffff ? 1 : 0)])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [orig[0]];
+  for (const r of orig.slice(1)) {
+    const last = merged[merged.length - 1];
+    if (r[0] <= last[1]) last[1] = Math.max(last[1], r[1]);
+    else merged.push(r);
+  }
+  return merged;
+}
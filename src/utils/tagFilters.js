@@ -0,0 +1,156 @@
+// utils/tagFilters.js
+// Filter engine shared by the timeline, the network view and TagPanel.
+//
+// Filter state is two objects keyed by tag group:
+//   selectedByGroup  { [groupKey]: Set<tag> }               which tags are ticked
+//   modesByGroup     { [groupKey]: { match, includeNA } }   how they are applied
+//
+// match:
+//   "any"   item has at least one ticked tag (OR); all ticked = no constraint
+//   "all"   item has every ticked tag (AND);   nothing ticked = no constraint
+//   "none"  item has none of the ticked tags (NOT); nothing ticked = no constraint
+// includeNA: items without any value for the group pass the group.
+// Groups are always combined with AND.
+//
+// yearRange  [startYear, endYear] in human years (BCE < 0, no year 0) or null,
+//            set with the brush on the time axis and independent of zoom;
+//            rows pass if their earliest–latest range overlaps it.
+
+export const MATCH_MODES = ["any", "all", "none"];
+
+export const DEFAULT_GROUP_MODE = Object.freeze({ match: "any", includeNA: true });
+
+/* Build "all selected" default state: { [groupKey]: Set(allTags) } */
+export function makeDefaultSelectedByGroup(groups) {
+  const out = {};
+  for (const g of groups) out[g.key] = new Set(g.allTags);
+  return out;
+}
+
+export function makeDefaultModesByGroup(groups) {
+  const out = {};
+  for (const g of groups) out[g.key] = { ...DEFAULT_GROUP_MODE };
+  return out;
+}
+
+export const modeFor = (modesByGroup, key) => modesByGroup?.[key] || DEFAULT_GROUP_MODE;
+
+const appliesToType = (g, type) =>
+  (g.appliesTo === "both" && (type === "text" || type === "father")) ||
+  (g.appliesTo === "texts" && type === "text") ||
+  (g.appliesTo === "fathers" && type === "father") ||
+  (g.appliesTo === "events" && type === "event");
+
+// Does the tick selection constrain anything in this mode?
+function tagsConstrain(g, selected, match) {
+  if (match === "any") return selected.size < g.allTags.length;
+  return selected.size > 0;
+}
+
+export function isGroupActive(g, selected, mode) {
+  return tagsConstrain(g, selected, mode.match) || !mode.includeNA;
+}
+
+function groupPasses(g, row, type, selectedByGroup, modesByGroup) {
+  if (!appliesToType(g, type)) return true;
+
+  const selected = selectedByGroup[g.key] || new Set();
+  const mode = modeFor(modesByGroup, g.key);
+
+  const itemTags = row.tags?.[g.key];
+  if (itemTags == null) return mode.includeNA; // item lacks this group
+  if (!tagsConstrain(g, selected, mode.match)) return true;
+
+  if (mode.match === "all") {
+    for (const t of selected) if (!itemTags.includes(t)) return false;
+    return true;
+  }
+  const hit = itemTags.some((t) => selected.has(t));
+  return mode.match === "none" ? !hit : hit;
+}
+
+export function itemPassesFilters(row, type, selectedByGroup, modesByGroup, groups) {
+  for (const g of groups) {
+    if (!groupPasses(g, row, type, selectedByGroup, modesByGroup)) return false;
+  }
+  return true;
+}
+
+/**
+ * Faceted counts: for every group, how many rows carry each tag when all
+ * the *other* filters (and the year window) are applied.
+ * @param {Array} rows  text + father + event rows (need `kind`, `tags`, `when`)
+ * @returns {{ [groupKey]: Map<tag, number> }}
+ */
+export function facetCounts(rows, { selectedByGroup, modesByGroup, yearRange, groups }) {
+  const out = {};
+  for (const g of groups) out[g.key] = new Map(g.allTags.map((t) => [t, 0]));
+
+  const tally = (g, row) => {
+    const counts = out[g.key];
+    for (const t of row.tags?.[g.key] || []) {
+      if (counts.has(t)) counts.set(t, counts.get(t) + 1);
+    }
+  };
+
+  for (const row of rows) {
+    if (!rowInYearRange(row, yearRange)) continue;
+    // one pass: a row failing no group counts everywhere, a row failing
+    // exactly one group still counts for that group's facets
+    let failed = null, failures = 0;
+    for (const g of groups) {
+      if (groupPasses(g, row, row.kind, selectedByGroup, modesByGroup)) continue;
+      failed = g;
+      if (++failures > 1) break;
+    }
+    if (failures === 0) for (const g of groups) tally(g, row);
+    else if (failures === 1) tally(failed, row);
+  }
+  return out;
+}
+
+/* ===== Readable summary ===== */
+const MAX_LISTED = 3;
+
+function listTags(tags, op) {
+  const shown = tags.slice(0, MAX_LISTED);
+  const more = tags.length - shown.length;
+  return shown.join(` ${op} `) + (more > 0 ? ` ${op} ${more} more` : "");
+}
+
+/**
+ * One clause per active group, e.g.
+ *   { key: "jungian", label: "Jungian", text: "Trickster AND Shadow" }
+ *   { key: "literaryForms", label: "Literary Forms", text: "NOT Liturgy" }
+ * `labelFor(group)` lets the panel apply its own display names.
+ */
+export function describeFilters(groups, selectedByGroup, modesByGroup, labelFor = (g) => g.label) {
+  const clauses = [];
+  for (const g of groups) {
+    const selected = selectedByGroup[g.key] || new Set();
+    const mode = modeFor(modesByGroup, g.key);
+    if (!isGroupActive(g, selected, mode)) continue;
+
+    // keep canonical order so the summary doesn't reshuffle while clicking
+    const tags = g.allTags.filter((t) => selected.has(t));
+    let text;
+    if (!tagsConstrain(g, selected, mode.match)) text = "has any tag";
+    else if (mode.match === "all") text = listTags(tags, "AND");
+    else if (mode.match === "none") {
+      text = tags.length > 1 ? `NOT (${listTags(tags, "OR")})` : `NOT ${tags[0]}`;
+    } else text = tags.length ? listTags(tags, "OR") : "nothing selected";
+
+    if (!mode.includeNA && tagsConstrain(g, selected, mode.match)) text += " (untagged hidden)";
+    clauses.push({ key: g.key, label: labelFor(g), text });
+  }
+  return clauses;
+}
+
+/* ===== Year window ===== */
+// Range-aware: a row passes if its date range (utils/dateRanges.js) overlaps
+// the window, i.e. it could have existed in it. Rows without one use `when`.
+export function rowInYearRange(row, yearRange) {
+  if (!yearRange) return true;
+  const [start, end] = yearRange;
+  return (row.latest ?? row.when) >= start && (row.earliest ?? row.when) <= end;
+}
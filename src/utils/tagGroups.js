@@ -0,0 +1,178 @@
+// utils/tagGroups.js
+// Tag vocabulary shared by the timeline, the filter panel and the data scripts
+// under scripts/. Plain JS (no JSX, no browser globals) so Node can import it.
+
+/* ===== Colors for Symbolic Systems ===== */
+export const SymbolicSystemColorPairs = {
+  Persian: "#00BFA6",       /* base */
+  "Indo-Iranian": "#2CCB7C",  /* greener jade */
+  Zoroastrian: "#FFA319",   /* saffron/fire */
+  Elamite: "#2AA6A1",       /* verdigris */
+  Achaemenid: "#008E9B",    /* deep royal turquoise */
+  Sumerian:  "#000000ff",
+  Babylonian:"#1A49D6",
+  Assyrian:  "#C1121F",
+  Canaanite: "#6F2DBD",
+  Akkadian:  "#10B981",
+  Aramaic:   "#9E6CFF",
+  Yahwistic: "#1E88E5",
+  Egyptian: "#E53935",
+  Phrygian: "#D22F27",   // Cap Red — Phrygian cap/dyed wool, bold martial/ritual red
+  Luwian:   "#D99C4A",   // Limestone Ochre — rock-cut reliefs & hieroglyphs on pale stone
+  Hittite:  "#B14D1E",   // Burnt Sienna / Iron Oxide — Hattusa palettes, iron/ochre tones  
+  Hurrian:  "#1F9EDC",   // Mitanni Azure — horse/chariot prestige; Indo-Aryan theonyms → cool azure
+  Lydian:   "#D4AF37",   // Electrum Gold — famed early coinage (electrum), royal metals
+  Mycenaean: "#B36A1B",
+  Hellenic:  "#0057D9",
+  Hellenistic:"#1BB5AC",
+  Orphic:    "#CDA434",
+  Hermetic:  "#8EA1B2",
+  Gnostic:   "#6E3AA6",
+  Berber:     "#0066CC",
+  Phoenician: "#9A1B6A",
+  Etruscan:    "#C4742C",
+  "Oscan-Italic":"#6B8E23",
+  Umbrian:     "#1E7A3F",
+  Christian:   "#5E2D91",
+  Roman: "#C4002F",
+  Islamic: "#006A52",
+  Iranian: "#1C39BB"
+};
+
+const SYMBOLIC_SYSTEM_KEYS = Object.keys(SymbolicSystemColorPairs);
+
+/* ===== Tag groups (config-first) ===== */
+export const TAG_GROUPS = [
+  // TEXTS-ONLY
+  {
+    key: "metaphysical",
+    label: "Metaphysical",
+    appliesTo: "texts",
+    allTags: [ "Apophatic–Aporetic (Unknowable)", "Phenomenology (Experiential)", "Becoming (Process Ontology)", "Pluralism (Multiplicities)", "Grid (Systematic Structuralism)",
+      "Dialectics (Conflict)", "Clockwork (Causal Determinism)", "Monism (Single Principle)", "Subversion (Negation)"
+    ],
+  },
+  {
+    key: "artsSciences",
+    label: "Arts & Sciences",
+    appliesTo: "texts",
+    allTags: [ "Mathematics", "Logic/Formal Reasoning", "Physics", "Chemistry", "Biology", "Medicine", "Astronomy", "Warfare", "Education", "Public Relations", "Political Science/Law",
+     "Economics", "Agriculture", "Sociology", "Linguistics", "Psychology", "Theology", "Literature", "Art/Aesthetics", "History", "Philosophy", "Anthropology"],
+  },
+  {
+    key: "literaryForms",
+    label: "Literary Forms",
+    appliesTo: "texts",
+    allTags: ["Poetry", "Dialogue", "Drama (Play)", "Narrative", "Essay / Argument", "Fiction", "Personal Writings", "Myth", "Doctrine / Treatise", "Record / Chronicle",
+       "Commentary / Exegesis", "Parable / Fable", "Proclamation / Decree", "Fragment", "Manual / Instruction", "Glossary / Taxonomy", "Analysis", "Liturgy", "Epic",
+        "Rulebook / Code", "Riddle / Aphorism", "Petition / Appeal", "Oral Tradition"],
+
+  },
+  {
+    key: "literaryContent",
+    label: "Literary Themes",
+    appliesTo: "texts",
+    allTags: ["Ritual / Devotional", "Comic / Satirical", "Adventure / Heroic Journey", "Coming of Age", "Introspective", "Apocalyptic / Eschatological", 
+      "Utopian / Dystopian", "Historical Reflection", "Metaphysical", "Epistemological / Hermeneutics", "Political", "Romantic / Erotic", "Tragic / Lamentation",
+       "Didactic / Ethical", "Absurd", "Prophetic / Revelation", "Existential", "Feminine", "Cosmological"],
+  },
+
+  // SHARED (texts + fathers)
+  {
+    key: "jungian",
+    label: "Jungian Archetypes",
+    appliesTo: "both",
+    allTags: [
+      "Shadow","Anima","Animus","Persona","Self","Hero","Wise Old Man","Wise Old Woman","Trickster","Initiator",
+      "Father Archetype","Mother Archetype","Terrible Mother","Terrible Father"
+    ],
+  },
+  {
+    key: "neumann",
+    label: "Neumann Stages",
+    appliesTo: "both",
+    allTags: [
+      "Uroboric Stage","Separation from World Parents","Battle with the Dragon","Isolation","Divine Intervention",
+      "Initiation","Death","Rebirth","Magical Empowerment","Return to the Community","Descent into the Underworld",
+      "Mythic Ordering of Reality","Ego Collapse","Ego Transcendence","Coronation of the King"
+    ],
+  },
+  {
+    key: "comtean",
+    label: "Comtean Framework",
+    appliesTo: "both",
+    allTags: [
+      "Theological/Mythological","Philosophical/Metaphysical","Positive/Empirical","Synthetic Literature"
+    ],
+  },
+  {
+    key: "socioPolitical",
+    label: "Socio-political",
+    appliesTo: "both",
+    allTags: ["Priestly / Theocratic", "Bureaucratic / Legal / Scribal", "Merchant / Cosmopolitan", "Warrior / Imperial", "Royal", "Scholarly", "Bohemian / Aesthetic", 
+      "Folk / Communal", "Subversive / Revolutionary", "Mystical / Initiatory", "National", "Recluse / Ascetic"],
+  },
+
+  {
+  key: "symbolicSystems",
+  label: "Symbolic Systems",
+  appliesTo: "both",
+  allTags: SYMBOLIC_SYSTEM_KEYS,
+},
+
+  // EVENTS-ONLY
+  {
+    key: "eventTypes",
+    label: "Event Types",
+    appliesTo: "events",
+    allTags: ["Battle", "Conquest", "Foundation", "Destruction", "Treaty", "Succession", "Reform", "Revolt",
+      "Migration", "Religious", "Natural Disaster"],
+  },
+];
+
+
+
+/* Normalizers */
+const canonSetByKey = new Map(
+  TAG_GROUPS.map(g => [g.key, new Set(g.allTags.map(s => s.trim()))])
+);
+
+
+export function normalizeTagStringToArray(raw, groupKey) {
+  const s = String(raw || "").trim();
+  if (s === "-") return null; // NA → ignore this group for this item
+
+  const canon = canonSetByKey.get(groupKey) || new Set();
+  const arr = s
+    .split(",")
+    .map(x => x.trim())
+    .filter(Boolean)
+    .filter(tag => canon.has(tag)); // keep only canonical tags
+  return arr; // [] means “no canonical tags present”, not NA
+}
+
+
+/* ===== Source columns per tag group =====
+ * Spreadsheet column(s) each group is read from; the first non-empty column wins.
+ */
+export const TEXT_TAG_FIELDS = {
+  metaphysical:    ["Metaphysical Tags"],
+  artsSciences:    ["Arts and Sciences Tags"],
+  literaryForms:   ["Literary Forms Tags"],
+  literaryContent: ["Literary Themes Tags", "Literary Content Tags"],
+  jungian:         ["Jungian Archetypes Tags"],
+  neumann:         ["Neumann Stages Tags"],
+  comtean:         ["Comtean framework"],
+  socioPolitical:  ["Socio-political Tags"],
+  symbolicSystems: ["Symbolic System Tags"],
+};
+
+export const FATHER_TAG_FIELDS = {
+  jungian:         ["Jungian Archetypes Tags"],
+  neumann:         ["Neumann Stages Tags"],
+  symbolicSystems: ["Symbolic System", "Symbolic System Tags"],
+};
+
+export const EVENT_TAG_FIELDS = {
+  eventTypes: ["Event Type Tags"],
+};
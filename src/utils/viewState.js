@@ -0,0 +1,173 @@
+// utils/viewState.js
+// Shareable view state: the URL hash is the serialized timeline view.
+//
+// Hash layout (URLSearchParams syntax, every part optional):
+//   #v=<k>,<centerYear>,<centerYFrac>&open=<recordId>&mode=<viewMode>&r=<startYear>,<endYear>
+//    &f.<groupKey>=<tag>|<tag>&m.<groupKey>=<all|none>&na.<groupKey>=hide
+//    &b.<groupKey>=<tag>|<tag>
+//
+// - v     zoom scale, human year (BCE < 0) at the horizontal center, and the
+//         vertical center as a fraction of the chart height. Storing the
+//         center instead of the raw d3 translate keeps links valid across
+//         window sizes.
+// - open  stable record id of the open card (see makeRecordId)
+// - mode  "network" for the influence graph, "table" for the table view,
+//         "compare" for the two-pane comparison; the timeline is the default
+// - r     brushed year window in human years (BCE < 0)
+// - f.*   tag groups the user has narrowed; fully-selected groups are omitted,
+//         an empty value means "nothing selected" in that group.
+// - m.*   non-default match mode of a group (see tagFilters.js)
+// - na.*  "hide" when items missing that group are excluded
+// - b.*   like f.*, for the second pane of the comparison view; only written
+//         when that pane has a selection to keep (match modes are shared)
+
+import { DEFAULT_GROUP_MODE, MATCH_MODES } from "./tagFilters.js";
+
+const TAG_SEP = "|";
+
+export const VIEW_MODES = ["timeline", "network", "table", "compare"];
+
+/* ===== Stable record ids ===== */
+// Ids are built from the dataset folder, the record kind and the spreadsheet
+// Index column, so correcting a title or a date does not break old links.
+export function makeRecordId(folder, kind, index) {
+  return `${folder}.${kind}.${index}`;
+}
+
+// { folder, kind, index } of an id made by makeRecordId, else null
+export function splitRecordId(id) {
+  const m = /^([^.]+)\.([a-z]+)\.(.+)$/.exec(String(id || ""));
+  return m ? { folder: m[1], kind: m[2], index: m[3] } : null;
+}
+
+/* ===== Viewport <-> URL ===== */
+// The untouched identity transform maps to null so a fresh view keeps a clean URL.
+export function transformToView(t, { x, innerWidth, innerHeight, fromAstronomical }) {
+  if (!t || (t.k === 1 && t.x === 0 && t.y === 0)) return null;
+  const cxPx = (innerWidth / 2 - t.x) / t.k;   // k=1 pixel at horizontal center
+  const cyPx = (innerHeight / 2 - t.y) / t.k;
+  return {
+    k: t.k,
+    year: fromAstronomical(x.invert(cxPx)),
+    yFrac: innerHeight > 0 ? cyPx / innerHeight : 0.5,
+  };
+}
+
+export function viewToTransform(view, { x, innerWidth, innerHeight, toAstronomical, zoomIdentity }) {
+  if (!view) return null;
+  const cxPx = x(toAstronomical(view.year));
+  const cyPx = view.yFrac * innerHeight;
+  return zoomIdentity
+    .translate(innerWidth / 2 - view.k * cxPx, innerHeight / 2 - view.k * cyPx)
+    .scale(view.k);
+}
+
+/* ===== Serialize / parse ===== */
+const round = (v, digits) => {
+  const p = 10 ** digits;
+  return Math.round(v * p) / p;
+};
+
+// Narrowed groups under `prefix`; fully-selected groups are omitted
+function setSelection(params, prefix, selectedByGroup, groups) {
+  for (const g of groups) {
+    const selected = selectedByGroup?.[g.key];
+    if (selected && selected.size < g.allTags.length) {
+      // keep canonical order so equal selections give equal URLs
+      const tags = g.allTags.filter((t) => selected.has(t));
+      params.set(`${prefix}.${g.key}`, tags.join(TAG_SEP));
+    }
+  }
+}
+
+function getSelection(params, prefix, g) {
+  const raw = params.get(`${prefix}.${g.key}`);
+  if (raw == null) return new Set(g.allTags);
+  const canon = new Set(g.allTags);
+  return new Set(raw.split(TAG_SEP).filter((t) => canon.has(t)));
+}
+
+export function serializeViewState({
+  view, openId, mode, yearRange, selectedByGroup, modesByGroup, compareSelectedByGroup, groups,
+}) {
+  const params = new URLSearchParams();
+
+  if (view && Number.isFinite(view.k)) {
+    params.set("v", [round(view.k, 3), round(view.year, 1), round(view.yFrac, 4)].join(","));
+  }
+  if (openId) params.set("open", openId);
+  if (mode && mode !== VIEW_MODES[0]) params.set("mode", mode);
+  if (yearRange) params.set("r", yearRange.join(","));
+
+  setSelection(params, "f", selectedByGroup, groups);
+  for (const g of groups) {
+    const groupMode = modesByGroup?.[g.key];
+    if (groupMode && groupMode.match !== DEFAULT_GROUP_MODE.match) params.set(`m.${g.key}`, groupMode.match);
+    if (groupMode && !groupMode.includeNA) params.set(`na.${g.key}`, "hide");
+  }
+  if (compareSelectedByGroup) setSelection(params, "b", compareSelectedByGroup, groups);
+
+  return params.toString();
+}
+
+export function parseViewState(hash, groups) {
+  const params = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const out = {
+    view: null, openId: null, mode: VIEW_MODES[0], yearRange: null,
+    selectedByGroup: null, modesByGroup: null, compareSelectedByGroup: null,
+  };
+
+  const v = params.get("v");
+  if (v) {
+    const [k, year, yFrac] = v.split(",").map(Number);
+    if ([k, year, yFrac].every(Number.isFinite) && k > 0) {
+      out.view = { k, year, yFrac };
+    }
+  }
+
+  const open = params.get("open");
+  if (open) out.openId = open;
+
+  const mode = params.get("mode");
+  if (VIEW_MODES.includes(mode)) out.mode = mode;
+
+  const r = params.get("r");
+  if (r) {
+    const [start, end] = r.split(",").map(Number);
+    if (Number.isFinite(start) && Number.isFinite(end) && start <= end) out.yearRange = [start, end];
+  }
+
+  // Always return a full selection so "no f.* params" restores the defaults
+  const selected = {};
+  const modes = {};
+  for (const g of groups) {
+    const match = params.get(`m.${g.key}`);
+    modes[g.key] = {
+      match: MATCH_MODES.includes(match) ? match : DEFAULT_GROUP_MODE.match,
+      includeNA: params.get(`na.${g.key}`) !== "hide",
+    };
+    selected[g.key] = getSelection(params, "f", g);
+  }
+  out.selectedByGroup = selected;
+  out.modesByGroup = modes;
+
+  // Second comparison pane: null when the link carries no b.* params
+  if (groups.some((g) => params.has(`b.${g.key}`))) {
+    out.compareSelectedByGroup = Object.fromEntries(groups.map((g) => [g.key, getSelection(params, "b", g)]));
+  }
+
+  return out;
+}
+
+export function readHash() {
+  return typeof window !== "undefined" ? window.location.hash.replace(/^#/, "") : "";
+}
+
+export function writeHash(serialized, { replace = false } = {}) {
+  if (serialized === readHash()) return false;
+  const { pathname, search } = window.location;
+  const url = `${pathname}${search}${serialized ? `#${serialized}` : ""}`;
+  if (replace) window.history.replaceState(null, "", url);
+  else window.history.pushState(null, "", url);
+  return true;
+}
@@ -0,0 +1,50 @@
+// workers/markLayout.worker.js
+// Runs mark layout jobs (utils/markLayout.js) off the main thread.
+//
+//   in:  { type: "layout", jobId, input }   input = { bands, texts, marks }
+//        { type: "cancel", jobId }
+//   out: { type: "progress", jobId, bands }  finished bands so far (this slice)
+//        { type: "done", jobId, bands, lanes, bandIds }
+//
+// A job works in time slices and yields to the message queue in between, so
+// a newer job or a cancel stops a stale one before it finishes.
+
+import { layoutJob } from "../utils/markLayout.js";
+
+const SLICE_MS = 12;
+
+let currentJobId = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  if (msg.type === "cancel") {
+    if (currentJobId === msg.jobId) currentJobId = null;
+  } else if (msg.type === "layout") {
+    run(msg.jobId, msg.input);
+  }
+};
+
+function run(jobId, input) {
+  currentJobId = jobId;
+  const job = layoutJob(input);
+
+  const slice = () => {
+    if (currentJobId !== jobId) return; // superseded or cancelled
+
+    const bands = [];
+    const t0 = performance.now();
+    for (;;) {
+      const step = job.next();
+      if (step.done) {
+        currentJobId = null;
+        self.postMessage({ type: "done", jobId, bands, ...step.value });
+        return;
+      }
+      bands.push(step.value);
+      if (performance.now() - t0 > SLICE_MS) break;
+    }
+    self.postMessage({ type: "progress", jobId, bands });
+    setTimeout(slice, 0);
+  };
+  slice();
+}
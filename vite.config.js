@@ -1,9 +1,11 @@
 // zoom-timeline/vite.config.js
 import { defineConfig } from "vite";
 import react from "@vitejs/plugin-react";
+import { validateDataPlugin } from "./scripts/validate-data.js";
+import { searchManifestPlugin } from "./scripts/build-search-manifest.js";
 
 export default defineConfig({
   base: "/UNI/",    // <-- replace with your repo name
-  plugins: [react()],
+  plugins: [react(), validateDataPlugin(), searchManifestPlugin()],
   build: { outDir: "dist" }
 });
\ No newline at end of file